@@ -1,18 +1,133 @@
 const PubNub = require('pubnub');
 const readline = require('readline');
+const fs = require('fs');
+const path = require('path');
+const {
+    parsePolicy,
+    createEngineFromPolicy,
+    diffSegments,
+    summarizeTransformations,
+    readModerationSummary
+} = require('./shared/moderation');
+const { FileStorage } = require('./shared/moderation-storage');
+const {
+    SANCTIONS_CHANNEL,
+    SanctionRegistry,
+    describeSanction,
+    setSanction
+} = require('./shared/sanctions');
+const {
+    conversationChannel,
+    isConversation,
+    inboxChannel,
+    startConversation,
+    joinedConversations
+} = require('./shared/rooms');
+const { ReadMarkers } = require('./shared/read-markers');
+const { fetchPage, fetchGap } = require('./shared/history');
+const { currentVersion } = require('./shared/message-edits');
+const {
+    THREAD,
+    threadChannel,
+    parseThreadChannel,
+    sendReply,
+    fetchReplies,
+    threadSummary
+} = require('./shared/threads');
+const { mentionsUser } = require('./shared/mentions');
+const {
+    typeFromName,
+    formatSize,
+    validateFile,
+    sendFile,
+    listFiles,
+    fileUrl
+} = require('./shared/files');
+const { Outbox, isDuplicate, backoff } = require('./shared/outbox');
+const { ResilientClient } = require('./shared/resilient-client');
+const { originConfig } = require('./shared/origin');
 
 // Initialize PubNub with demo keys (you can get your own from https://admin.pubnub.com)
 const pubnub = new PubNub({
     publishKey: 'demo',
     subscribeKey: 'demo',
-    userId: `user-${Math.random().toString(36).substr(2, 9)}`,
+    // Set PUBNUB_USER_ID to keep the same identity (and read positions) across runs
+    userId: process.env.PUBNUB_USER_ID || `user-${Math.random().toString(36).substr(2, 9)}`,
     // Enable presence to track who's online
-    heartbeatInterval: 19
+    heartbeatInterval: 19,
+    // PUBNUB_ORIGIN=http://localhost:8090 talks to the local mock server
+    // (server/mock-pubnub.js) instead of PubNub
+    ...originConfig(process.env.PUBNUB_ORIGIN)
+});
+
+// REST calls go through the resilient client (see shared/resilient-client.js):
+// retried with backoff, paused while PubNub keeps failing, and counted for
+// /stats. Subscriptions and listeners stay on `pubnub`.
+const client = new ResilientClient(pubnub, {
+    onCircuitChange: state => {
+        if (state === 'open') console.log('\n⛔ PubNub requests keep failing - pausing them for 30 seconds');
+        if (state === 'closed') console.log('\n✅ PubNub requests are going through again');
+    }
 });
 
 // Channel configuration
 const CHANNEL = 'pubnub-trial-chat';
 const PRESENCE_CHANNEL = `${CHANNEL}-pnpres`;
+// MODERATION_GATEWAY=1 publishes through server/moderation-gateway.js,
+// which republishes to CHANNEL
+const PUBLISH_CHANNEL = process.env.MODERATION_GATEWAY ? `${CHANNEL}-inbound` : CHANNEL;
+
+// Same auto-moderation rules as the web chat and dashboard, read from the
+// policy file (override with MODERATION_POLICY=/path/to/policy.json)
+const POLICY_PATH = process.env.MODERATION_POLICY || path.join(__dirname, 'moderation-policy.json');
+// Rate limits and duplicate history survive restarts in this file
+// (override with MODERATION_STATE=/path/to/state.json)
+const STATE_PATH = process.env.MODERATION_STATE || path.join(__dirname, '.moderation-state.json');
+let moderation;
+try {
+    moderation = createEngineFromPolicy(parsePolicy(fs.readFileSync(POLICY_PATH, 'utf8')), {
+        storage: new FileStorage(STATE_PATH),
+        storageKey: 'app-cli'
+    });
+} catch (error) {
+    console.error(`❌ Could not load moderation policy from ${POLICY_PATH}`);
+    console.error(error.message);
+    process.exit(1);
+}
+
+// Messages typed while offline are queued in this file and sent when the
+// network is back, even after a restart (override with OUTBOX_STATE=/path/to/outbox.json)
+const OUTBOX_PATH = process.env.OUTBOX_STATE || path.join(__dirname, '.outbox.json');
+const outbox = new Outbox(client, {
+    storage: new FileStorage(OUTBOX_PATH),
+    storageKey: 'app-cli',
+    onChange: reportOutbox
+});
+// Client message IDs already printed; an outbox retry can deliver a message twice
+const seenMessages = new Set();
+
+// Newest timetoken printed per channel, and when the network went down, so
+// messages published while offline can be fetched once it is back
+const lastReceived = new Map();
+let offlineSince = null;
+
+// Mutes, kicks and bans recorded in App Context (see shared/sanctions.js)
+const sanctions = new SanctionRegistry();
+let removedFromChat = false;
+let sanctionTimer = null;
+
+// The last message auto-moderation changed, so /appeal can send the original
+// to the moderators
+let lastFiltered = null;
+
+// DM and group channels this user is part of (see shared/rooms.js)
+const conversations = new Set();
+
+// Last-read position per channel, kept in App Context memberships
+const readMarkers = new ReadMarkers(client, pubnub.getUserId());
+
+// Messages from the last /history, so /thread <n> can find message n
+let historyListing = [];
 
 // Create readline interface for user input
 const rl = readline.createInterface({
@@ -23,13 +138,54 @@ const rl = readline.createInterface({
 console.log('🚀 PubNub Trial Application Starting...');
 console.log(`📡 User ID: ${pubnub.getUserId()}`);
 console.log(`📢 Channel: ${CHANNEL}`);
+if (process.env.PUBNUB_ORIGIN) console.log(`🧪 Origin: ${process.env.PUBNUB_ORIGIN}`);
 console.log('=' .repeat(50));
 
 // Set up message and presence listeners
 pubnub.addListener({
     message: function(event) {
+        if (event.channel === SANCTIONS_CHANNEL) {
+            handleSanctionNotice(event.message);
+            return;
+        }
+        if (event.channel === inboxChannel(pubnub.getUserId())) {
+            handleConversationNotice(event.message);
+            return;
+        }
+        // Hide messages from muted, kicked and banned users
+        if (sanctions.isSilenced(event.publisher) || sanctions.isSilenced(event.message && event.message.userId)) {
+            return;
+        }
+        // Already printed when catching up after a reconnect
+        if (!noteReceived(event.channel, event.timetoken)) return;
+        if (isDuplicate(seenMessages, event.message)) return;
+
+        console.log('');
+        printMessage(event.channel, event.publisher, event.message, event.timetoken);
+        readMarkers.markRead(event.channel, event.timetoken);
+        console.log('Type your message (or "quit" to exit): ');
+    },
+
+    // Files shared with sendFile (see shared/files.js)
+    file: function(event) {
+        if (sanctions.isSilenced(event.publisher)) return;
+        if (!noteReceived(event.channel, event.timetoken)) return;
+
         const timestamp = new Date(event.timetoken / 10000).toLocaleTimeString();
-        console.log(`\n[${timestamp}] ${event.publisher}: ${event.message.text}`);
+        const size = event.message && event.message.file ? ` (${formatSize(event.message.file.size)})` : '';
+        console.log(`\n[${timestamp}] ${event.publisher}: 📎 ${event.file.name}${size}`);
+        console.log(`   ${fileUrl(client, event.channel, event.file)}`);
+        readMarkers.markRead(event.channel, event.timetoken);
+        console.log('Type your message (or "quit" to exit): ');
+    },
+
+    // Thread replies are counted on the parent (see shared/threads.js)
+    messageAction: function(event) {
+        const { type, uuid } = event.data;
+        if (event.event !== 'added' || type !== THREAD || event.channel !== CHANNEL) return;
+        if (uuid === pubnub.getUserId() || sanctions.isSilenced(uuid)) return;
+
+        console.log(`\n🧵 ${uuid} replied in a thread (/history, then /thread <n>)`);
         console.log('Type your message (or "quit" to exit): ');
     },
     
@@ -53,10 +209,17 @@ pubnub.addListener({
         if (statusEvent.category === "PNConnectedCategory") {
             console.log('✅ Connected to PubNub');
             console.log('Type your message (or "quit" to exit): ');
-        } else if (statusEvent.category === "PNNetworkDownCategory") {
-            console.log('❌ Network is down');
-        } else if (statusEvent.category === "PNNetworkUpCategory") {
+        } else if (statusEvent.category === "PNNetworkDownCategory" || statusEvent.category === "PNNetworkIssuesCategory") {
+            // Without autoNetworkDetection the SDK reports network issues and
+            // keeps reconnecting until PNReconnectedCategory
+            if (offlineSince) return;
+            offlineSince = `${Date.now()}0000`; // timetokens count 100ns units
+            outbox.setOnline(false);
+            console.log('❌ Network is down - messages will be queued');
+        } else if ((statusEvent.category === "PNNetworkUpCategory" || statusEvent.category === "PNReconnectedCategory") && offlineSince) {
+            outbox.setOnline(true);
             console.log('✅ Network is back up');
+            catchUpMissed();
         }
     }
 });
@@ -66,49 +229,426 @@ pubnub.subscribe({
     channels: [CHANNEL],
     withPresence: true
 });
+pubnub.subscribe({ channels: [SANCTIONS_CHANNEL, inboxChannel(pubnub.getUserId())] });
+sanctions.load(client).then(enforceOwnSanction);
+outbox.load().then(items => {
+    if (items.length > 0) console.log(`📤 Sending ${items.length} message(s) queued in an earlier session`);
+});
+joinedConversations(client, pubnub.getUserId())
+    .then(list => subscribeToConversations(list.map(conversation => conversation.id)))
+    .catch(status => console.log('⚠️ Could not load conversations:', status.message || status))
+    .then(() => readMarkers.load())
+    .then(() => readMarkers.unreadCounts([CHANNEL, ...conversations]))
+    .then(counts => {
+        const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+        if (total > 0) {
+            console.log(`\n📬 ${total} unread message${total === 1 ? '' : 's'} since your last visit (/unread for details)`);
+        }
+    })
+    .catch(status => console.log('⚠️ Could not count unread messages:', status.message || status));
+
+// Conversations are subscribed without presence to keep the output quiet
+function subscribeToConversations(channels) {
+    const added = channels.filter(channel => !conversations.has(channel));
+    added.forEach(channel => conversations.add(channel));
+    if (added.length > 0 && !removedFromChat) {
+        pubnub.subscribe({ channels: added });
+    }
+}
+
+// Someone started a DM or group with us (published on our inbox channel)
+function handleConversationNotice(notice) {
+    if (!notice || notice.type !== 'conversation' || conversations.has(notice.id)) return;
+    if (sanctions.isSilenced(notice.startedBy)) return;
+
+    subscribeToConversations([notice.id]);
+    const kind = notice.conversationType === 'group' ? 'a group' : 'a DM';
+    console.log(`\n💌 ${notice.startedBy} started ${kind} with you - reply with /dm ${notice.startedBy} <text>`);
+    console.log('Type your message (or "quit" to exit): ');
+}
+
+// /dm <userId> <text>
+function directMessage(input, done) {
+    const [, userId, ...words] = input.split(/\s+/);
+    const text = words.join(' ');
+    const me = pubnub.getUserId();
+    if (!userId || !text) {
+        console.log('Usage: /dm <userId> <text>');
+        done();
+        return;
+    }
+    if (userId === me) {
+        console.log('ℹ️ You cannot DM yourself');
+        done();
+        return;
+    }
+
+    // The first message records the conversation and tells the other user
+    const channel = conversationChannel([me, userId]);
+    const ready = conversations.has(channel) ?
+        Promise.resolve() :
+        startConversation(client, [me, userId], { startedBy: me }).then(() => subscribeToConversations([channel]));
+
+    ready
+        .then(() => confirmAndPublish(text, channel, done))
+        .catch(status => {
+            console.log('❌ Could not start the conversation:', status.message || status);
+            done();
+        });
+}
+
+// "[-removed-]{+added+}" markers, like git diff --word-diff
+function formatDiff(text, transformations) {
+    return diffSegments(text, transformations).map(segment => {
+        if (segment.type === 'removed') return `[-${segment.text}-]`;
+        if (segment.type === 'added') return `{+${segment.text}+}`;
+        return segment.text;
+    }).join('');
+}
+
+// Show what auto-moderation would change and ask before publishing
+function confirmAndPublish(text, channel, done) {
+    const sanction = sanctions.get(pubnub.getUserId());
+    if (sanction) {
+        console.log(`🚫 You are ${describeSanction(sanction)}`);
+        done();
+        return;
+    }
+
+    const preview = moderation.preview(text);
+    if (!preview.passed || preview.transformations.length === 0) {
+        publishMessage(text, channel);
+        done();
+        return;
+    }
+
+    console.log('🛡️ Your message will be changed before sending:');
+    console.log(`   ${formatDiff(text, preview.transformations)}`);
+    preview.transformations.forEach(t => console.log(`   • ${t.rule}: ${t.reason}`));
+    rl.question('Send it like this? (y/n) ', (answer) => {
+        if (/^y/i.test(answer.trim())) {
+            publishMessage(text, channel);
+        } else {
+            console.log('✏️ Message not sent');
+        }
+        done();
+    });
+}
 
 // Function to publish a message
-function publishMessage(text) {
-    pubnub.publish({
-        channel: CHANNEL,
+function publishMessage(text, channel) {
+    const verdict = moderation.moderate(text);
+    const conversation = isConversation(channel);
+    const thread = parseThreadChannel(channel);
+    if (verdict.action === 'shadow-drop') {
+        // Looks sent to the sender, but nobody else receives it
+        console.log('✅ Message sent!');
+        return;
+    }
+    // Moderators do not read DMs, groups or threads, so anything that would
+    // be held for review there is blocked below instead
+    if (verdict.action === 'flag-for-review' && !conversation && !thread) {
+        // Goes to the moderators' review queue in the dashboard
+        client.publish({
+            channel: `${CHANNEL}-review`,
+            message: {
+                type: 'review',
+                channel: CHANNEL,
+                publisher: pubnub.getUserId(),
+                message: {
+                    text: text,
+                    userId: pubnub.getUserId(),
+                    timestamp: new Date().toISOString()
+                },
+                reason: verdict.reason,
+                triggered: verdict.triggered,
+                receivedAt: new Date().toISOString()
+            }
+        });
+        console.log('🛡️ Message held for moderator review');
+        return;
+    }
+    if (!verdict.passed) {
+        console.log(`🛡️ Message blocked: ${verdict.reason}`);
+        return;
+    }
+
+    const message = {
+        text: verdict.filteredText,
+        timestamp: new Date().toISOString(),
+        moderated: verdict.moderated
+    };
+    if (verdict.moderated) {
+        message.moderation = summarizeTransformations(verdict);
+        if (!conversation && !thread) lastFiltered = { original: text, message: message };
+    }
+
+    if (thread) {
+        sendReply(client, thread.channel, thread.parentTimetoken, message)
+            .then(timetoken => {
+                console.log(`✅ Reply sent! Timetoken: ${timetoken}`);
+                if (verdict.moderated) {
+                    console.log(`🛡️ Reply was auto-filtered: ${verdict.triggered.map(t => t.reason).join(', ')}`);
+                }
+            })
+            .catch(status => console.log('❌ Publish failed:', status.errorData));
+        return;
+    }
+
+    // The gateway only knows its configured channels; DMs and groups go direct.
+    // Through the gateway the raw text goes out and the gateway's verdict
+    // decides what everyone sees. The outbox publishes it (and retries) and
+    // reports back in reportOutbox.
+    const viaGateway = !conversation && PUBLISH_CHANNEL !== CHANNEL;
+    outbox.enqueue(viaGateway ? PUBLISH_CHANNEL : channel,
+        viaGateway ? { text: text, timestamp: message.timestamp } : message, channel);
+    if (verdict.moderated) {
+        console.log(`🛡️ Message was auto-filtered: ${verdict.triggered.map(t => t.reason).join(', ')}`);
+        if (!conversation) console.log('   Type /appeal to ask a moderator to publish the original');
+    }
+}
+
+// Progress of queued messages (see shared/outbox.js)
+function reportOutbox(item) {
+    if (item.state === 'sent') {
+        console.log(`✅ Message sent! Timetoken: ${item.timetoken}`);
+    } else if (item.state === 'pending' && item.attempts > 0) {
+        console.log(`🔄 Publish failed (${item.error}), retrying in ${backoff(item.attempts) / 1000}s...`);
+    } else if (item.state === 'pending' && !outbox.online) {
+        console.log('📥 Offline - message queued');
+    } else if (item.state === 'failed') {
+        console.log(`❌ Message not sent after ${item.attempts} attempts: "${item.message.text}" (retried when the network is back)`);
+    }
+}
+
+// Send the last filtered message's original text to the moderators' review
+// queue, where the dashboard shows it as an appeal
+function appealLastFiltered() {
+    if (!lastFiltered) {
+        console.log('ℹ️ No filtered message to appeal');
+        return;
+    }
+
+    const { original, message } = lastFiltered;
+    const summary = message.moderation;
+    lastFiltered = null;
+    client.publish({
+        channel: `${CHANNEL}-review`,
         message: {
-            text: text,
-            timestamp: new Date().toISOString()
+            type: 'review',
+            kind: 'appeal',
+            channel: CHANNEL,
+            publisher: pubnub.getUserId(),
+            message: {
+                text: original,
+                userId: pubnub.getUserId(),
+                timestamp: message.timestamp
+            },
+            reason: `Appeal: ${summary.reasons.join(', ')}`,
+            triggered: summary.rules.map((rule, i) => ({ rule, action: 'appeal', reason: summary.reasons[i] })),
+            publishedText: message.text,
+            receivedAt: new Date().toISOString()
         }
-    }, function(status, response) {
+    }, function(status) {
         if (status.error) {
-            console.log('❌ Publish failed:', status.errorData);
+            console.log('❌ Appeal failed:', status.errorData);
         } else {
-            console.log(`✅ Message sent! Timetoken: ${response.timetoken}`);
+            console.log('⚖️ Appeal sent to the moderators');
         }
     });
 }
 
-// Function to get message history
+// Function to get message history, numbered for /thread
 function getMessageHistory() {
     console.log('\n📜 Fetching message history...');
-    pubnub.history({
-        channel: CHANNEL,
-        count: 10,
-        stringifiedTimeToken: true
-    }, function(status, response) {
-        if (status.error) {
-            console.log('❌ Failed to fetch history:', status.errorData);
-        } else {
-            console.log('\n--- Message History ---');
-            response.messages.forEach(msg => {
-                const timestamp = new Date(msg.timetoken / 10000).toLocaleTimeString();
-                console.log(`[${timestamp}] ${msg.entry.text}`);
-            });
-            console.log('--- End History ---\n');
-        }
+    fetchPage(client, CHANNEL, { count: 10 }).then(({ entries }) => {
+        historyListing = entries;
+        console.log('\n--- Message History ---');
+        entries.forEach((entry, index) => {
+            const timestamp = new Date(entry.timetoken / 10000).toLocaleTimeString();
+            const version = currentVersion(entry.message, entry.actions, entry.publisher);
+            const file = entry.message.file ? `📎 ${entry.message.file.name} ` : '';
+            const text = version.deleted ? '(deleted)' : `${file}${version.text}${version.edited ? ' (edited)' : ''}`;
+            const summary = threadSummary(entry.actions);
+            const replies = summary ? ` 🧵 ${summary.count} ${summary.count === 1 ? 'reply' : 'replies'}` : '';
+            console.log(`${String(index + 1).padStart(2)}. [${timestamp}] ${text}${replies}`);
+        });
+        console.log('--- End History ---\n');
+
+        const newest = entries[entries.length - 1];
+        if (newest) readMarkers.markRead(CHANNEL, newest.timetoken);
+    }).catch(status => {
+        console.log('❌ Failed to fetch history:', status.errorData || status.message);
     });
 }
 
+// One chat line: [time] 🔔 💌 sender: text (🛡️ rules)
+function printMessage(channel, publisher, message, timetoken) {
+    const timestamp = new Date(timetoken / 10000).toLocaleTimeString();
+    const summary = readModerationSummary(message);
+    const filtered = summary && summary.rules.length > 0 ? ` (🛡️ ${summary.rules.join(', ')})` : '';
+    const where = isConversation(channel) ? (channel.startsWith('dm.') ? '💌 ' : '👥 ') : '';
+    const mention = mentionsUser(message, pubnub.getUserId()) ? '🔔 ' : '';
+    const text = message.file ? `📎 ${message.file.name}${message.text ? ` ${message.text}` : ''}` : message.text;
+    console.log(`[${timestamp}] ${mention}${where}${publisher}: ${text}${filtered}`);
+}
+
+// Remember the newest timetoken seen on `channel`. Returns false for one
+// that is not newer, i.e. already printed.
+function noteReceived(channel, timetoken) {
+    const last = lastReceived.get(channel);
+    if (last && BigInt(timetoken) <= BigInt(last)) return false;
+    lastReceived.set(channel, String(timetoken));
+    return true;
+}
+
+// After a reconnect: print what every subscribed chat channel missed since
+// its newest printed message (or since the network went down), in order
+function catchUpMissed() {
+    const since = offlineSince;
+    offlineSince = null;
+
+    [CHANNEL, ...conversations].forEach(channel => {
+        const from = lastReceived.get(channel) || since;
+        if (!from) return;
+
+        fetchGap(client, channel, from).then(({ entries, truncated }) => {
+            const missed = entries.filter(entry =>
+                !sanctions.isSilenced(entry.publisher) && !sanctions.isSilenced(entry.message.userId) &&
+                noteReceived(channel, entry.timetoken) && !isDuplicate(seenMessages, entry.message));
+            if (missed.length === 0) return;
+
+            console.log(`\n--- Missed while offline${channel === CHANNEL ? '' : ` (${channel})`} ---`);
+            if (truncated) console.log(`⚠️ More messages were missed than can be fetched; only the last ${entries.length} are shown`);
+            missed.forEach(entry => printMessage(channel, entry.publisher, entry.message, entry.timetoken));
+            console.log('--- End Missed ---');
+            readMarkers.markRead(channel, missed[missed.length - 1].timetoken);
+            console.log('Type your message (or "quit" to exit): ');
+        }).catch(status => {
+            console.log('⚠️ Could not load missed messages:', status.message || status);
+        });
+    });
+}
+
+// /thread <n>: show the replies to message n of the last /history, then offer to reply
+function showThread(input, done) {
+    const number = Number(input.split(/\s+/)[1]);
+    const parent = historyListing[number - 1];
+    if (!parent) {
+        console.log('Usage: /thread <n> - n is a message number from /history');
+        done();
+        return;
+    }
+
+    fetchReplies(client, CHANNEL, parent.timetoken).then(replies => {
+        console.log(`\n--- Thread: ${currentVersion(parent.message, parent.actions, parent.publisher).text} ---`);
+        const visible = replies.filter(reply => !sanctions.isSilenced(reply.publisher));
+        visible.forEach(reply => {
+            const timestamp = new Date(reply.timetoken / 10000).toLocaleTimeString();
+            console.log(`[${timestamp}] ${reply.publisher}: ${reply.message.text}`);
+        });
+        if (visible.length === 0) console.log('(no replies yet)');
+        console.log('--- End Thread ---\n');
+
+        rl.question('Reply (Enter to go back): ', (answer) => {
+            if (answer.trim()) {
+                confirmAndPublish(answer.trim(), threadChannel(CHANNEL, parent.timetoken), done);
+            } else {
+                done();
+            }
+        });
+    }).catch(status => {
+        console.log('❌ Failed to load thread:', status.errorData || status.message);
+        done();
+    });
+}
+
+// /upload <path>: share a file in the channel
+function uploadFile(input) {
+    const filePath = input.slice('/upload'.length).trim();
+    if (!filePath) {
+        console.log('Usage: /upload <path>');
+        return;
+    }
+    const sanction = sanctions.get(pubnub.getUserId());
+    if (sanction) {
+        console.log(`🚫 You are ${describeSanction(sanction)}`);
+        return;
+    }
+
+    let stats;
+    try {
+        stats = fs.statSync(filePath);
+    } catch (error) {
+        console.log(`❌ Cannot read ${filePath}: ${error.message}`);
+        return;
+    }
+    const file = { name: path.basename(filePath), size: stats.size, type: typeFromName(filePath) };
+    const problem = stats.isFile() ? validateFile(file) : `${filePath} is not a file`;
+    if (problem) {
+        console.log(`❌ ${problem}`);
+        return;
+    }
+
+    const message = {
+        text: '',
+        userId: pubnub.getUserId(),
+        timestamp: new Date().toISOString(),
+        file: { type: file.type, size: file.size }
+    };
+    console.log(`📤 Uploading ${file.name} (${formatSize(file.size)})...`);
+    sendFile(client, CHANNEL, { data: fs.readFileSync(filePath), name: file.name, mimeType: file.type }, message)
+        .then(sent => console.log(`✅ File shared! Timetoken: ${sent.timetoken}`))
+        .catch(error => console.log('❌ Upload failed:', (error.status && error.status.errorData) || error.message));
+}
+
+// Files shared in the channel, newest first
+function showFiles() {
+    listFiles(client, CHANNEL).then(files => {
+        console.log('\n--- Shared Files ---');
+        files.forEach(file => {
+            const created = new Date(file.created).toLocaleString();
+            console.log(`📎 ${file.name} (${formatSize(file.size)}, ${created})`);
+            console.log(`   ${fileUrl(client, CHANNEL, file)}`);
+        });
+        if (files.length === 0) console.log('(no files yet)');
+        console.log('--- End Files ---\n');
+    }).catch(error => {
+        console.log('❌ Failed to list files:', (error.status && error.status.errorData) || error.message);
+    });
+}
+
+// Unread messages per channel since the last-read marker
+function showUnread() {
+    const channels = [CHANNEL, ...conversations];
+    readMarkers.unreadCounts(channels).then(counts => {
+        console.log('\n--- Unread Messages ---');
+        channels.forEach(channel => {
+            const lastRead = readMarkers.get(channel);
+            const since = lastRead ? `since ${new Date(lastRead / 10000).toLocaleString()}` : 'never read';
+            console.log(`${String(counts[channel]).padStart(4)}  ${channel} (${since})`);
+        });
+        console.log('--- End Unread ---\n');
+    }).catch(status => {
+        console.log('❌ Failed to count unread messages:', status.message || status);
+    });
+}
+
+// Save read positions, then leave
+function quit() {
+    pubnub.unsubscribe({
+        channels: [CHANNEL]
+    });
+    rl.close();
+
+    const timeout = new Promise(resolve => setTimeout(resolve, 3000));
+    Promise.race([readMarkers.flushAll().catch(() => {}), timeout]).then(() => process.exit(0));
+}
+
 // Function to get who's currently online
 function getPresence() {
     console.log('\n👥 Checking who\'s online...');
-    pubnub.hereNow({
+    client.hereNow({
         channels: [CHANNEL],
         includeUUIDs: true
     }, function(status, response) {
@@ -118,13 +658,94 @@ function getPresence() {
             const channelData = response.channels[CHANNEL];
             console.log(`\n--- Online Users (${channelData.occupancy}) ---`);
             channelData.occupants.forEach(user => {
-                console.log(`👤 ${user.uuid}`);
+                const sanction = sanctions.get(user.uuid);
+                console.log(`👤 ${user.uuid}${sanction ? ` (${describeSanction(sanction)})` : ''}`);
             });
             console.log('--- End Online Users ---\n');
         }
     });
 }
 
+// /stats: how PubNub requests have fared this session
+function showStats() {
+    const stats = client.stats();
+    console.log('\n--- Request Stats ---');
+    console.log(`Calls: ${stats.calls} (${stats.succeeded} succeeded, ${stats.failed} failed), retries: ${stats.retries}`);
+    console.log(`Circuit: ${stats.circuit.state}${stats.circuit.opens > 0 ? `, opened ${stats.circuit.opens} time(s)` : ''}${stats.rejected > 0 ? `, ${stats.rejected} call(s) turned away` : ''}`);
+    Object.entries(stats.byCategory).forEach(([category, count]) => {
+        console.log(`❌ ${category}: ${count}`);
+    });
+    if (stats.lastError) {
+        console.log(`Last error: ${stats.lastError.operation} - ${stats.lastError.message || stats.lastError.category} at ${new Date(stats.lastError.at).toLocaleTimeString()}`);
+    }
+    console.log('--- End Stats ---\n');
+}
+
+// Sanction updates published by moderators. Anyone can publish one, so the
+// sanction itself is re-read from App Context.
+function handleSanctionNotice(notice) {
+    if (!notice || notice.type !== 'sanction' || typeof notice.userId !== 'string') return;
+
+    sanctions.refresh(client, notice.userId).then(sanction => {
+        console.log(`\n🛡️ ${notice.userId} ${sanction ? describeSanction(sanction) : 'is no longer sanctioned'}`);
+        if (notice.userId === pubnub.getUserId()) {
+            enforceOwnSanction();
+        }
+        console.log('Type your message (or "quit" to exit): ');
+    });
+}
+
+// Kicked and banned users leave the channel until the sanction expires
+function enforceOwnSanction() {
+    const sanction = sanctions.get(pubnub.getUserId());
+    const shouldLeave = Boolean(sanction && sanction.type !== 'mute');
+
+    if (shouldLeave && !removedFromChat) {
+        pubnub.unsubscribe({ channels: [CHANNEL, ...conversations] });
+        console.log(`\n🚫 You have been ${describeSanction(sanction)}${sanction.reason ? ` (${sanction.reason})` : ''}`);
+    } else if (!shouldLeave && removedFromChat) {
+        pubnub.subscribe({ channels: [CHANNEL], withPresence: true });
+        if (conversations.size > 0) pubnub.subscribe({ channels: [...conversations] });
+        console.log('\n✅ You can rejoin the chat');
+    }
+    removedFromChat = shouldLeave;
+
+    clearTimeout(sanctionTimer);
+    if (sanction && sanction.expiresAt) {
+        // setTimeout overflows past ~24.8 days, so re-check in steps
+        sanctionTimer = setTimeout(enforceOwnSanction, Math.min(sanction.expiresAt - Date.now(), 2147483647)).unref();
+    }
+}
+
+// /mute <userId> [minutes] [reason], /kick ..., /ban ..., /unmute|/unban <userId>
+function sanctionCommand(input) {
+    const [command, userId, minutesArg, ...reasonWords] = input.split(/\s+/);
+    const type = { '/mute': 'mute', '/kick': 'kick', '/ban': 'ban' }[command.toLowerCase()] || null;
+
+    if (!userId) {
+        console.log(`Usage: ${command} <userId>${type ? ' [minutes] [reason]' : ''}`);
+        return;
+    }
+
+    const minutes = minutesArg === undefined ? undefined : Number(minutesArg);
+    if (minutes !== undefined && !(minutes >= 0)) {
+        console.log('❌ Minutes must be a number (0 for no expiry)');
+        return;
+    }
+
+    setSanction(client, userId, type, {
+        minutes: minutes,
+        reason: reasonWords.join(' '),
+        moderatorId: pubnub.getUserId()
+    }).then(data => {
+        sanctions.update(userId, data.custom);
+        const sanction = sanctions.get(userId);
+        console.log(`🛡️ ${userId} ${sanction ? describeSanction(sanction) : 'is no longer sanctioned'}`);
+    }).catch(status => {
+        console.log('❌ Failed to update sanction:', status.errorData || status.message);
+    });
+}
+
 // Handle user input
 function handleUserInput() {
     rl.question('', (input) => {
@@ -132,28 +753,54 @@ function handleUserInput() {
         
         if (command === 'quit' || command === 'exit') {
             console.log('\n👋 Goodbye!');
-            pubnub.unsubscribe({
-                channels: [CHANNEL]
-            });
-            rl.close();
-            process.exit(0);
+            quit();
         } else if (command === '/history') {
             getMessageHistory();
             handleUserInput();
+        } else if (command === '/unread') {
+            showUnread();
+            handleUserInput();
+        } else if (command === '/upload' || command.startsWith('/upload ')) {
+            uploadFile(input.trim());
+            handleUserInput();
+        } else if (command === '/files') {
+            showFiles();
+            handleUserInput();
         } else if (command === '/presence' || command === '/who') {
             getPresence();
             handleUserInput();
+        } else if (command === '/stats') {
+            showStats();
+            handleUserInput();
+        } else if (command === '/thread' || command.startsWith('/thread ')) {
+            showThread(input.trim(), handleUserInput);
+        } else if (command === '/dm' || command.startsWith('/dm ')) {
+            directMessage(input.trim(), handleUserInput);
+        } else if (command === '/appeal') {
+            appealLastFiltered();
+            handleUserInput();
+        } else if (/^\/(mute|kick|ban|unmute|unban)(\s|$)/.test(command)) {
+            sanctionCommand(input.trim());
+            handleUserInput();
         } else if (command === '/help') {
             console.log('\n--- Available Commands ---');
-            console.log('/history - Show recent messages');
+            console.log('/history - Show recent messages, numbered');
+            console.log('/thread <n> - Show the replies to message n from /history and reply');
+            console.log('/unread - Show unread messages per channel');
+            console.log('/upload <path> - Share a file (images, PDF, text or ZIP, up to 5 MB)');
+            console.log('/files - List files shared in the channel');
             console.log('/presence or /who - Show who\'s online');
+            console.log('/stats - Show PubNub request retries and failures');
+            console.log('/mute, /kick, /ban <userId> [minutes] [reason] - Sanction a user');
+            console.log('/unmute or /unban <userId> - Lift a sanction');
+            console.log('/dm <userId> <text> - Send a direct message');
+            console.log('/appeal - Ask a moderator to publish your last filtered message unchanged');
             console.log('/help - Show this help');
             console.log('quit or exit - Leave the chat');
             console.log('--- End Commands ---\n');
             handleUserInput();
         } else if (input.trim()) {
-            publishMessage(input.trim());
-            handleUserInput();
+            confirmAndPublish(input.trim(), CHANNEL, handleUserInput);
         } else {
             handleUserInput();
         }
@@ -162,16 +809,12 @@ function handleUserInput() {
 
 // Start the interactive session
 console.log('\n💬 Welcome to PubNub Trial Chat!');
-console.log('Commands: /history, /presence, /help, quit');
+console.log('Commands: /history, /thread, /unread, /upload, /files, /presence, /stats, /dm, /mute, /kick, /ban, /unban, /appeal, /help, quit');
 handleUserInput();
 
 // Handle graceful shutdown
 process.on('SIGINT', () => {
     console.log('\n\n👋 Shutting down gracefully...');
-    pubnub.unsubscribe({
-        channels: [CHANNEL]
-    });
-    rl.close();
-    process.exit(0);
+    quit();
 });
 
@@ -1,20 +1,48 @@
 // PubNub Chat Application
 class PubNubChat {
     constructor() {
-        this.channel = 'pubnub-web-chat';
+        this.defaultRoom = 'pubnub-web-chat';
+        this.channel = this.defaultRoom; // the room being viewed
+        // With ?gateway in the URL, publish through the server-side moderation
+        // gateway (server/moderation-gateway.js), which republishes to the room
+        this.useGateway = new URLSearchParams(window.location.search).has('gateway');
+        // Rooms (shared/rooms.js): every known room, DM and group, the ones this
+        // user joined, and each joined room's recent messages so switching keeps them
+        this.rooms = new Map([[this.defaultRoom, { id: this.defaultRoom, type: 'room', name: 'General', description: '' }]]);
+        this.joinedRooms = new Set([this.defaultRoom]);
+        this.roomBuffers = new Map(); // room -> [{ message, isOwn, timetoken, actions }]
+        this.roomBufferLimit = 200;
+        this.roomHistory = new Map(); // room -> { request, loaded, older, complete } (shared/history.js)
+        this.unreadCounts = new Map(); // room -> messages since the user last read it
+        this.lastReceived = new Map(); // room -> timetoken of the newest message received, for catching up after a reconnect
+        this.offlineSince = null; // timetoken when the network went down
+        this.roomGaps = new Map(); // room -> timetoken of the first message after missed ones too many to fetch
+        this.baseTitle = document.title;
+        this.selectedUsers = new Set(); // users picked in the users list for a group
         this.username = localStorage.getItem('pubnub-chat-username') || '';
         this.userId = this.generateUserId();
         this.onlineUsers = new Map(); // Changed to Map to store user info
-        this.typingUsers = new Set();
+        this.knownUsers = new Map(); // userId -> name of every App Context user, for @mentions
+        this.mentionAlerts = localStorage.getItem('pubnub-chat-mention-alerts') === 'on'; // desktop notifications
+        this.typingUsers = new Map(); // room -> names of users typing there
         this.typingTimeout = null;
         this.hasSetUsername = !!this.username;
         this.presenceRefreshInterval = null;
+        this.sanctions = new PubNubSanctions.SanctionRegistry();
+        this.removedFromChat = false;
+        this.sanctionTimer = null;
+        this.previewedText = null; // text the sender has seen the moderation preview for
+        this.moderatedOriginals = new Map(); // timestamp -> original text of own filtered messages
+        this.thread = null; // open thread panel: { room, entry, channel, replies } (shared/threads.js)
         
         this.initializePubNub();
         this.initializeUI();
         this.setupEventListeners();
         this.updateMessageInputState();
         this.startPresenceRefresh();
+
+        // Messages still queued when the page was closed
+        this.outbox.load().then(items => items.forEach(item => this.handleOutboxChange(item)));
         
         // If we have a stored username, set it in the UI
         if (this.username) {
@@ -40,22 +68,45 @@ class PubNubChat {
             publishKey: 'demo',
             subscribeKey: 'demo',
             userId: this.userId,
-            heartbeatInterval: 19
+            heartbeatInterval: 19,
+            // ?origin=localhost:8090 talks to the local mock server (server/mock-pubnub.js)
+            ...PubNubOrigin.pageOriginConfig(window.location.search)
         });
 
+        // Last-read positions per room (shared/read-markers.js)
+        this.readMarkers = new PubNubReadMarkers.ReadMarkers(this.pubnub, this.userId);
+        this.readMarkers.load();
+
         // Initialize auto-moderation filters
         this.initializeModerationFilters();
 
+        // Sends are queued so they survive going offline and reloads (shared/outbox.js)
+        this.outbox = new PubNubOutbox.Outbox(this.pubnub, {
+            storage: PubNubModerationStorage.createBrowserStorage(),
+            storageKey: `chat-outbox-${this.userId}`,
+            onChange: item => this.handleOutboxChange(item)
+        });
+
         // Set up listeners
         this.pubnub.addListener({
             message: (event) => {
-                // Only handle messages from the main chat channel, not typing channel
-                if (event.channel === this.channel) {
+                // Chat messages from any joined room; typing events arrive on '<room>-typing'
+                if (this.joinedRooms.has(event.channel)) {
                     this.handleMessage(event);
-                } else if (event.channel === `${this.channel}-typing`) {
+                } else if (event.channel.endsWith('-typing') && this.joinedRooms.has(event.channel.slice(0, -'-typing'.length))) {
                     this.handleTypingMessage(event);
+                } else if (event.channel === PubNubSanctions.SANCTIONS_CHANNEL) {
+                    this.handleSanctionMessage(event);
+                } else if (event.channel === PubNubRooms.ROOMS_CHANNEL) {
+                    this.handleRoomAnnouncement(event.message);
+                } else if (event.channel === PubNubRooms.inboxChannel(this.userId)) {
+                    this.handleConversationNotice(event.message);
+                } else if (this.thread && event.channel === this.thread.channel) {
+                    this.handleThreadReply(event);
                 }
             },
+            file: this.handleFile.bind(this),
+            messageAction: this.handleMessageAction.bind(this),
             presence: this.handlePresence.bind(this),
             status: this.handleStatus.bind(this),
             objects: this.handleObjectsEvent.bind(this)
@@ -63,12 +114,21 @@ class PubNubChat {
 
         // Subscribe to channels
         this.pubnub.subscribe({
-            channels: [this.channel, `${this.channel}-typing`],
+            channels: this.roomSubscriptions(),
             withPresence: true
         });
+        this.pubnub.subscribe({
+            channels: [PubNubSanctions.SANCTIONS_CHANNEL, PubNubRooms.ROOMS_CHANNEL, PubNubRooms.inboxChannel(this.userId)]
+        });
 
         // Initialize App Context for this user
         this.initializeUserMetadata();
+        this.initializeSanctions();
+        this.initializeRooms();
+
+        PubNubMentions.listUsers(this.pubnub)
+            .then(users => users.forEach(user => this.knownUsers.set(user.id, user.name)))
+            .catch(status => console.warn('Users for mentions not loaded:', status));
     }
 
     initializeUI() {
@@ -82,6 +142,24 @@ class PubNubChat {
             usersList: document.getElementById('users-list'),
             onlineCount: document.getElementById('online-count'),
             typingIndicator: document.getElementById('typing-indicator'),
+            roomTitle: document.getElementById('room-title'),
+            roomsList: document.getElementById('rooms-list'),
+            roomNameInput: document.getElementById('room-name-input'),
+            createRoomBtn: document.getElementById('create-room'),
+            conversationsList: document.getElementById('conversations-list'),
+            startGroupBtn: document.getElementById('start-group'),
+            threadPanel: document.getElementById('thread-panel'),
+            threadParent: document.getElementById('thread-parent'),
+            threadReplies: document.getElementById('thread-replies'),
+            threadInput: document.getElementById('thread-input'),
+            threadSendBtn: document.getElementById('thread-send'),
+            threadCloseBtn: document.getElementById('thread-close'),
+            moderationPreview: document.getElementById('moderation-preview'),
+            mentionSuggestions: document.getElementById('mention-suggestions'),
+            mentionAlertsBtn: document.getElementById('mention-alerts'),
+            chatContent: document.querySelector('.chat-content'),
+            attachBtn: document.getElementById('attach-button'),
+            fileInput: document.getElementById('file-input'),
             themeToggle: document.getElementById('theme-toggle'),
             themeIcon: document.querySelector('.theme-icon')
         };
@@ -96,6 +174,16 @@ class PubNubChat {
         
         // Initialize theme
         this.initializeTheme();
+        this.renderRoomList();
+
+        // @mention suggestions for the message input
+        this.mentionAutocomplete = new PubNubMentions.MentionAutocomplete(
+            this.elements.messageInput,
+            this.elements.mentionSuggestions,
+            () => this.mentionCandidates(),
+            { excludeId: this.userId }
+        );
+        this.updateMentionAlertsButton();
     }
 
     setupEventListeners() {
@@ -105,19 +193,88 @@ class PubNubChat {
             if (e.key === 'Enter') this.setUsername();
         });
 
+        // Rooms
+        this.elements.createRoomBtn.addEventListener('click', () => this.createRoom());
+        this.elements.roomNameInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.createRoom();
+        });
+        this.elements.startGroupBtn.addEventListener('click', () => {
+            this.startConversation([...this.selectedUsers]);
+            this.selectedUsers.clear();
+            this.updateUsersList();
+        });
+
         // Message sending - ONLY on button click and Enter key
-        this.elements.sendButton.addEventListener('click', this.sendMessage.bind(this));
+        this.elements.sendButton.addEventListener('click', () => this.sendMessage());
         this.elements.messageInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
+            if (e.key === 'Enter' && !e.shiftKey) {
                 e.preventDefault();
                 this.sendMessage();
             }
         });
+        this.elements.messageInput.addEventListener('input', () => this.fitMessageInput());
+
+        // File sharing: 📎, pasting a screenshot or dropping files on the chat
+        this.elements.attachBtn.addEventListener('click', () => this.elements.fileInput.click());
+        this.elements.fileInput.addEventListener('change', () => {
+            this.uploadFiles(Array.from(this.elements.fileInput.files));
+            this.elements.fileInput.value = '';
+        });
+        this.elements.messageInput.addEventListener('paste', (e) => {
+            const files = Array.from(e.clipboardData.files);
+            if (files.length > 0) {
+                e.preventDefault();
+                this.uploadFiles(files);
+            }
+        });
+        this.elements.chatContent.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer.types.includes('Files')) return;
+            e.preventDefault();
+            this.elements.chatContent.classList.add('drop-target');
+        });
+        this.elements.chatContent.addEventListener('dragleave', (e) => {
+            if (!this.elements.chatContent.contains(e.relatedTarget)) {
+                this.elements.chatContent.classList.remove('drop-target');
+            }
+        });
+        this.elements.chatContent.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.elements.chatContent.classList.remove('drop-target');
+            this.uploadFiles(Array.from(e.dataTransfer.files));
+        });
+
+        // Thread panel
+        this.elements.threadSendBtn.addEventListener('click', () => this.sendThreadReply());
+        this.elements.threadInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.sendThreadReply();
+            }
+        });
+        this.elements.threadCloseBtn.addEventListener('click', () => this.closeThread());
 
         // Typing indicator - separate from message sending
         this.elements.messageInput.addEventListener('input', this.handleTyping.bind(this));
         this.elements.messageInput.addEventListener('blur', this.stopTyping.bind(this));
 
+        // Scrolling to the top pages in older messages
+        this.elements.messagesContainer.addEventListener('scroll', () => this.handleMessagesScroll());
+
+        // Messages that arrived while the tab was hidden get a "new messages" divider
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden && this.unreadCounts.get(this.channel)) {
+                this.renderRoomMessages();
+                this.markRoomRead(this.channel);
+            }
+        });
+
+        // Editing the text invalidates the moderation preview
+        this.elements.messageInput.addEventListener('input', () => {
+            if (this.previewedText !== null) this.hideModerationPreview();
+        });
+
+        this.elements.mentionAlertsBtn.addEventListener('click', () => this.toggleMentionAlerts());
+
         // Theme toggle
         if (this.elements.themeToggle) {
             this.elements.themeToggle.addEventListener('click', this.toggleTheme.bind(this));
@@ -149,7 +306,7 @@ class PubNubChat {
             
             // Update user state
             this.pubnub.setState({
-                channels: [this.channel],
+                channels: [...this.joinedRooms],
                 state: { username: this.username }
             });
             
@@ -158,7 +315,7 @@ class PubNubChat {
         }
     }
 
-    sendMessage() {
+    sendMessage(confirmed = false) {
         // Check if username is set
         if (!this.hasSetUsername || !this.username) {
             this.showError('Please set your name before sending messages');
@@ -168,14 +325,26 @@ class PubNubChat {
         const messageText = this.elements.messageInput.value.trim();
         if (!messageText) return;
 
-        // Apply auto-moderation
-        const moderation = this.moderateMessage(messageText);
-        
-        if (!moderation.passed) {
-            this.showError(`Message blocked: ${moderation.reason}`);
+        const sanction = this.sanctions.get(this.userId);
+        if (sanction) {
+            this.showError(`You are ${PubNubSanctions.describeSanction(sanction)}`);
             return;
         }
 
+        // Show the sender what moderation would change before it is sent;
+        // sending again unchanged (or pressing "Send") confirms
+        if (!confirmed && this.previewedText !== messageText) {
+            const preview = this.moderation.preview(messageText);
+            if (preview.passed && preview.transformations.length > 0) {
+                this.showModerationPreview(messageText, preview);
+                return;
+            }
+        }
+        this.hideModerationPreview();
+
+        // Apply auto-moderation
+        const moderation = this.moderateMessage(messageText);
+
         const message = {
             text: moderation.filteredText,
             username: this.username,
@@ -183,20 +352,202 @@ class PubNubChat {
             timestamp: new Date().toISOString(),
             moderated: moderation.filteredText !== messageText
         };
+        if (message.moderated) {
+            message.moderation = PubNubModeration.summarizeTransformations(moderation);
+        }
+        const mentions = this.mentionAutocomplete.mentionsIn(message.text);
+        if (mentions.length > 0) message.mentions = mentions;
+
+        if (moderation.action === 'shadow-drop') {
+            // Looks sent to the sender, but nobody else receives it
+            this.addToRoom(this.channel, message, true, null, this.userId);
+            this.clearMessageInput();
+            this.stopTyping();
+            return;
+        }
+
+        // Moderators do not read DMs and groups, so anything that would be
+        // held for review there is blocked below instead
+        if (moderation.action === 'flag-for-review' && !PubNubRooms.isConversation(this.channel)) {
+            this.flagForReview(message, moderation);
+            this.showNotification('Message held for moderator review');
+            this.clearMessageInput();
+            this.stopTyping();
+            return;
+        }
+
+        if (!moderation.passed) {
+            this.showError(`Message blocked: ${moderation.reason}`);
+            return;
+        }
+
+        // Through the gateway the raw text goes to -inbound and the gateway's
+        // verdict decides what everyone, this sender included, sees. Its copy
+        // may be filtered even when ours was not, so keep every original.
+        const publishChannel = this.publishChannelFor(this.channel);
+        const viaGateway = publishChannel !== this.channel;
+        if (message.moderated || viaGateway) {
+            this.rememberOriginal(message.timestamp, messageText);
+        }
+
+        let outgoing = message;
+        if (viaGateway) {
+            outgoing = { text: messageText, username: message.username, userId: message.userId, timestamp: message.timestamp };
+            if (message.mentions) outgoing.mentions = message.mentions;
+        }
+
+        // Shown at once as pending; the outbox publishes it when it can
+        this.outbox.enqueue(publishChannel, outgoing, this.channel);
+        this.clearMessageInput();
+        this.stopTyping();
+
+        if (message.moderated) {
+            this.showNotification(`Message was auto-filtered: ${moderation.triggered.map(t => t.reason).join(', ')}`);
+        }
+    }
+
+    // One row per line, up to five; Shift+Enter adds a line
+    fitMessageInput() {
+        const input = this.elements.messageInput;
+        input.rows = Math.min(5, input.value.split('\n').length);
+    }
+
+    clearMessageInput() {
+        this.elements.messageInput.value = '';
+        this.fitMessageInput();
+    }
+
+    // ============================================
+    // MODERATION PREVIEW & APPEALS
+    // ============================================
+
+    showModerationPreview(text, verdict) {
+        const panel = this.elements.moderationPreview;
+        panel.replaceChildren();
+
+        const title = document.createElement('div');
+        title.className = 'preview-title';
+        title.textContent = '🛡️ Your message will be changed before sending:';
+
+        // Removed text struck through, inserted text highlighted
+        const diff = document.createElement('div');
+        diff.className = 'preview-diff';
+        PubNubModeration.diffSegments(text, verdict.transformations).forEach(segment => {
+            const span = document.createElement('span');
+            span.className = `diff-${segment.type}`;
+            span.textContent = segment.text;
+            diff.appendChild(span);
+        });
+
+        const reasons = document.createElement('ul');
+        reasons.className = 'preview-reasons';
+        verdict.transformations.forEach(t => {
+            const item = document.createElement('li');
+            item.textContent = `${t.rule}: ${t.reason}`;
+            reasons.appendChild(item);
+        });
+
+        const send = document.createElement('button');
+        send.className = 'preview-send';
+        send.textContent = 'Send';
+        send.addEventListener('click', () => this.sendMessage(true));
+
+        const edit = document.createElement('button');
+        edit.className = 'preview-edit';
+        edit.textContent = 'Edit';
+        edit.addEventListener('click', () => {
+            this.hideModerationPreview();
+            this.elements.messageInput.focus();
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'preview-actions';
+        actions.append(send, edit);
+
+        panel.append(title, diff, reasons, actions);
+        panel.hidden = false;
+        this.previewedText = text;
+    }
+
+    hideModerationPreview() {
+        this.previewedText = null;
+        this.elements.moderationPreview.hidden = true;
+        this.elements.moderationPreview.replaceChildren();
+    }
+
+    // Keep the originals of the last few filtered messages so they can be appealed
+    rememberOriginal(timestamp, text) {
+        this.moderatedOriginals.set(timestamp, text);
+        if (this.moderatedOriginals.size > 50) {
+            this.moderatedOriginals.delete(this.moderatedOriginals.keys().next().value);
+        }
+    }
+
+    // "🛡️ profanity, caps" badge; own messages also get an appeal button
+    createModerationBadge(message, isOwn) {
+        const summary = PubNubModeration.readModerationSummary(message);
+        const badge = document.createElement('span');
+        badge.className = 'moderation-badge';
+        badge.textContent = `🛡️ ${summary.rules.join(', ') || 'filtered'}`;
+        badge.title = summary.reasons.join('\n') || 'Changed by auto-moderation';
+
+        if (isOwn && this.moderatedOriginals.has(message.timestamp) && !PubNubRooms.isConversation(this.channel)) {
+            const appeal = document.createElement('button');
+            appeal.className = 'appeal-button';
+            appeal.textContent = 'Appeal';
+            appeal.addEventListener('click', () => this.appealModeration(message, appeal));
+            badge.appendChild(appeal);
+        }
+        return badge;
+    }
+
+    // Ask a moderator to publish the original text instead (see dashboard.js)
+    appealModeration(message, button) {
+        const summary = PubNubModeration.readModerationSummary(message);
+        button.disabled = true;
 
         this.pubnub.publish({
-            channel: this.channel,
-            message: message
-        }, (status, response) => {
+            channel: `${this.channel}-review`,
+            message: {
+                type: 'review',
+                kind: 'appeal',
+                channel: this.channel,
+                publisher: this.userId,
+                message: {
+                    text: this.moderatedOriginals.get(message.timestamp),
+                    username: message.username,
+                    userId: message.userId,
+                    timestamp: message.timestamp
+                },
+                reason: `Appeal: ${summary.reasons.join(', ') || 'auto-filtered'}`,
+                triggered: summary.rules.map((rule, i) => ({ rule, action: 'appeal', reason: summary.reasons[i] })),
+                publishedText: message.text,
+                receivedAt: new Date().toISOString()
+            }
+        }, (status) => {
             if (status.error) {
-                this.showError('Failed to send message');
+                button.disabled = false;
+                this.showError('Failed to send appeal');
             } else {
-                this.elements.messageInput.value = '';
-                this.stopTyping();
-                
-                if (message.moderated) {
-                    this.showNotification('Message was auto-filtered for content');
-                }
+                button.textContent = 'Appealed';
+                this.moderatedOriginals.delete(message.timestamp);
+                this.showNotification('Appeal sent to the moderators');
+            }
+        });
+    }
+
+    // Hand the original text to the moderators' review queue (see dashboard.js)
+    flagForReview(message, moderation) {
+        this.pubnub.publish({
+            channel: `${this.channel}-review`,
+            message: {
+                type: 'review',
+                channel: this.channel,
+                publisher: this.userId,
+                message: Object.assign({}, message, { text: moderation.originalText }),
+                reason: moderation.reason,
+                triggered: moderation.triggered,
+                receivedAt: new Date().toISOString()
             }
         });
     }
@@ -211,32 +562,105 @@ class PubNubChat {
         };
 
         this.pubnub.publish({
-            channel: this.channel,
+            channel: this.publishChannelFor(this.channel),
             message: message
         });
     }
 
+    // The gateway moderates every room it has seen announced; DMs and groups go direct
+    publishChannelFor(room) {
+        return this.useGateway && !PubNubRooms.isConversation(room) ? `${room}-inbound` : room;
+    }
+
     handleMessage(event) {
         const message = event.message;
-        this.displayMessage(message, event.publisher === this.userId);
+        if (this.isFromSanctionedUser(event)) return;
+        if (!this.addToRoom(event.channel, message, event.publisher === this.userId, event.timetoken, event.publisher)) return;
+
+        if (event.publisher !== this.userId && PubNubMentions.mentionsUser(message, this.userId)) {
+            this.notifyMention(event.channel, message);
+        }
+    }
+
+    // Buffer the message for its room and show it if that room is open.
+    // Returns whether it was new.
+    addToRoom(room, message, isOwn, timetoken, publisher) {
+        const buffer = this.roomBuffers.get(room) || [];
+        // A history page may have delivered it before the live event
+        if (timetoken && buffer.some(entry => entry.timetoken === String(timetoken))) return false;
+        // An outbox retry may publish a message twice; our own echo completes the queued copy
+        const queued = message.clientMessageId && buffer.find(entry => entry.message.clientMessageId === message.clientMessageId);
+        if (queued) {
+            if (!queued.timetoken && timetoken) {
+                Object.assign(queued, { message, publisher, timetoken: String(timetoken), outbox: null });
+                this.noteReceived(room, timetoken);
+                if (room === this.channel) this.refreshMessage(queued);
+            }
+            return false;
+        }
+        const entry = { message, isOwn, publisher, timetoken: timetoken ? String(timetoken) : null, actions: [] };
+        buffer.push(entry);
+        if (timetoken) this.noteReceived(room, timetoken);
+        if (buffer.length > this.roomBufferLimit) {
+            buffer.shift();
+            // The dropped message can be paged back in from history
+            if (this.roomHistory.has(room)) this.roomHistory.get(room).complete = false;
+        }
+        this.roomBuffers.set(room, buffer);
+
+        if (room === this.channel) {
+            this.displayMessage(message, isOwn, entry);
+        }
+
+        // Read if it is on screen; otherwise it counts towards the room's badge
+        if (room === this.channel && !document.hidden) {
+            if (timetoken) this.readMarkers.markRead(room, timetoken);
+        } else if (!isOwn) {
+            this.unreadCounts.set(room, (this.unreadCounts.get(room) || 0) + 1);
+            this.renderRoomList();
+        }
+        return true;
     }
 
     handleTypingMessage(event) {
         const typingData = event.message;
         if (typingData.userId === this.userId) return; // Don't show our own typing
+        if (this.isFromSanctionedUser(event)) return;
+
+        const room = event.channel.slice(0, -'-typing'.length);
+        if (!this.typingUsers.has(room)) this.typingUsers.set(room, new Set());
+        const typingUsers = this.typingUsers.get(room);
         
         if (typingData.typing) {
-            this.typingUsers.add(typingData.username || typingData.userId);
+            typingUsers.add(typingData.username || typingData.userId);
         } else {
-            this.typingUsers.delete(typingData.username || typingData.userId);
+            typingUsers.delete(typingData.username || typingData.userId);
         }
         
-        this.updateTypingIndicator();
+        if (room === this.channel) this.updateTypingIndicator();
     }
 
-    displayMessage(message, isOwn = false) {
+    displayMessage(message, isOwn = false, entry = null) {
+        const messageElement = this.createMessageElement(message, isOwn, entry);
+
+        // Remove welcome message if it exists
+        const welcomeMessage = this.elements.messagesContainer.querySelector('.welcome-message');
+        if (welcomeMessage) {
+            welcomeMessage.remove();
+        }
+
+        this.elements.messagesContainer.appendChild(messageElement);
+        this.scrollToBottom();
+    }
+
+    // `entry` is the room buffer entry: its timetoken and message actions
+    // (edits and deletions) decide what is shown
+    createMessageElement(message, isOwn, entry) {
+        const version = PubNubMessageEdits.currentVersion(message, entry && entry.actions, entry && entry.publisher);
         const messageElement = document.createElement('div');
         messageElement.className = `message ${isOwn ? 'own' : ''}`;
+        if (entry && entry.timetoken) messageElement.dataset.timetoken = entry.timetoken;
+        if (message.clientMessageId) messageElement.dataset.clientMessageId = message.clientMessageId;
         
         const time = new Date(message.timestamp).toLocaleTimeString([], {
             hour: '2-digit',
@@ -249,21 +673,55 @@ class PubNubChat {
                 <span class="message-time">${time}</span>
             </div>
             <div class="message-content">
-                ${this.escapeHtml(message.text)}
+                ${this.escapeHtml(version.text)}
             </div>
         `;
 
-        // Remove welcome message if it exists
-        const welcomeMessage = this.elements.messagesContainer.querySelector('.welcome-message');
-        if (welcomeMessage) {
-            welcomeMessage.remove();
+        // Deleted messages keep their place as a tombstone
+        if (version.deleted) {
+            messageElement.classList.add('deleted');
+            messageElement.querySelector('.message-content').textContent = '🗑️ This message was deleted';
+            return messageElement;
         }
 
-        this.elements.messagesContainer.appendChild(messageElement);
-        this.scrollToBottom();
+        messageElement.querySelector('.message-content').replaceChildren(...PubNubFormatting.render(version.text, {
+            renderText: text => this.createMentionNodes(text, message.mentions)
+        }));
+        if (message.file) {
+            messageElement.querySelector('.message-content').appendChild(this.createAttachment(message.file));
+        }
+
+        const header = messageElement.querySelector('.message-header');
+        if (entry && entry.outbox) {
+            messageElement.classList.add(entry.outbox === 'failed' ? 'failed' : 'pending');
+            header.appendChild(this.createOutboxStatus(entry));
+        }
+        // The badge describes the original text, so edits drop it; a malformed
+        // summary gets none
+        if (message.moderated && !version.edited && PubNubModeration.readModerationSummary(message)) {
+            header.appendChild(this.createModerationBadge(message, isOwn));
+        }
+        if (version.edited) {
+            header.appendChild(this.createEditedLabel(version, messageElement));
+        }
+        if (entry && entry.timetoken && PubNubMessageEdits.messageAuthor(message, entry.publisher) === this.userId) {
+            header.appendChild(this.createMessageControls(entry, messageElement));
+        }
+        if (entry && entry.timetoken) {
+            header.appendChild(this.createReactionButton(entry, messageElement));
+            header.appendChild(this.createThreadButton(entry));
+            messageElement.appendChild(this.createReactionList(entry));
+
+            const summary = PubNubThreads.threadSummary(entry.actions);
+            if (summary) messageElement.appendChild(this.createThreadSummary(entry, summary));
+        }
+        return messageElement;
     }
 
     handlePresence(event) {
+        // The users list shows the open room only
+        if (event.channel !== this.channel) return;
+
         const username = event.state?.username || event.uuid;
         
         switch (event.action) {
@@ -309,27 +767,39 @@ class PubNubChat {
             // Set user state if we have a username
             if (this.username) {
                 this.pubnub.setState({
-                    channels: [this.channel],
+                    channels: [...this.joinedRooms],
                     state: { username: this.username }
                 });
             }
             
             this.getInitialPresence();
-        } else if (statusEvent.category === 'PNNetworkDownCategory') {
-            this.showError('Connection lost');
-        } else if (statusEvent.category === 'PNNetworkUpCategory') {
+            this.refreshUnreadCounts();
+            this.openRoomHistory(this.channel);
+        } else if (statusEvent.category === 'PNNetworkDownCategory' || statusEvent.category === 'PNNetworkIssuesCategory') {
+            // The browser reports going offline; a failing subscribe reports
+            // network issues and is followed by PNReconnectedCategory
+            if (this.offlineSince) return;
+            this.offlineSince = PubNubReadMarkers.nowTimetoken();
+            this.outbox.setOnline(false);
+            this.showError('Connection lost - messages will be sent when it is back');
+        } else if ((statusEvent.category === 'PNNetworkUpCategory' || statusEvent.category === 'PNReconnectedCategory') && this.offlineSince) {
+            this.outbox.setOnline(true);
             this.showNotification('Connection restored');
+            this.catchUpMissed();
+            this.refreshUnreadCounts();
         }
     }
 
     getInitialPresence() {
+        const room = this.channel;
         this.pubnub.hereNow({
-            channels: [this.channel],
+            channels: [room],
             includeUUIDs: true,
             includeState: true
         }, (status, response) => {
-            if (!status.error && response.channels[this.channel]) {
-                const channelData = response.channels[this.channel];
+            // Ignore answers for a room the user has since switched away from
+            if (!status.error && room === this.channel && response.channels[room]) {
+                const channelData = response.channels[room];
                 this.onlineUsers.clear();
                 
                 channelData.occupants.forEach(occupant => {
@@ -357,9 +827,42 @@ class PubNubChat {
             } else {
                 userItem.textContent = userInfo.username;
             }
+
+            if (userId !== this.userId) {
+                // Click a user to pick them for a group; 💬 opens a DM
+                userItem.classList.toggle('selected', this.selectedUsers.has(userId));
+                userItem.addEventListener('click', () => {
+                    if (!this.selectedUsers.delete(userId)) this.selectedUsers.add(userId);
+                    this.updateUsersList();
+                });
+
+                const dmButton = document.createElement('button');
+                dmButton.className = 'user-dm';
+                dmButton.textContent = '💬';
+                dmButton.title = 'Start DM';
+                dmButton.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.startConversation([userId]);
+                });
+                userItem.appendChild(dmButton);
+            }
+
+            const sanction = this.sanctions.get(userId);
+            if (sanction) {
+                const badge = document.createElement('span');
+                badge.className = 'user-sanction';
+                badge.textContent = PubNubSanctions.describeSanction(sanction);
+                badge.title = sanction.reason;
+                userItem.appendChild(badge);
+            }
             
             this.elements.usersList.appendChild(userItem);
         });
+
+        // Picked users who went offline can still be messaged
+        const picked = this.selectedUsers.size;
+        this.elements.startGroupBtn.hidden = picked < 2;
+        this.elements.startGroupBtn.textContent = `Start group with ${picked}`;
     }
 
     updateOnlineCount() {
@@ -425,7 +928,7 @@ class PubNubChat {
     }
 
     updateTypingIndicator() {
-        const typingArray = Array.from(this.typingUsers);
+        const typingArray = Array.from(this.typingUsers.get(this.channel) || []);
         if (typingArray.length === 0) {
             this.elements.typingIndicator.textContent = '';
         } else if (typingArray.length === 1) {
@@ -438,24 +941,32 @@ class PubNubChat {
     }
 
     updateMessageInputState() {
-        if (this.hasSetUsername) {
+        const sanction = this.sanctions.get(this.userId);
+        if (sanction) {
+            this.elements.messageInput.disabled = true;
+            this.elements.sendButton.disabled = true;
+            this.elements.attachBtn.disabled = true;
+            this.elements.messageInput.placeholder = `You are ${PubNubSanctions.describeSanction(sanction)}`;
+        } else if (this.hasSetUsername) {
             // Enable message input and send button
             this.elements.messageInput.disabled = false;
             this.elements.sendButton.disabled = false;
-            this.elements.messageInput.placeholder = 'Type your message...';
+            this.elements.attachBtn.disabled = false;
+            this.elements.messageInput.placeholder = 'Type your message... (@ to mention)';
         } else {
             // Disable message input and send button
             this.elements.messageInput.disabled = true;
             this.elements.sendButton.disabled = true;
+            this.elements.attachBtn.disabled = true;
             this.elements.messageInput.placeholder = 'Please set your name first...';
-            this.elements.messageInput.value = '';
+            this.clearMessageInput();
         }
     }
 
-    showNotification(message) {
+    showNotification(message, type = 'info') {
         // Create toast notification
         const toast = document.createElement('div');
-        toast.className = 'toast-notification';
+        toast.className = `toast-notification ${type}`;
         toast.textContent = message;
         
         // Add toast styles
@@ -463,7 +974,7 @@ class PubNubChat {
             position: 'fixed',
             top: '20px',
             right: '20px',
-            background: 'var(--accent-primary)',
+            background: type === 'mention' ? 'var(--warning)' : 'var(--accent-primary)',
             color: 'var(--text-inverse)',
             padding: '12px 20px',
             borderRadius: 'var(--radius-lg)',
@@ -484,7 +995,7 @@ class PubNubChat {
             toast.style.transform = 'translateX(0)';
         }, 10);
         
-        // Remove after 3 seconds
+        // Remove after 3 seconds (mentions stay a little longer)
         setTimeout(() => {
             toast.style.transform = 'translateX(100%)';
             setTimeout(() => {
@@ -492,7 +1003,7 @@ class PubNubChat {
                     document.body.removeChild(toast);
                 }
             }, 300);
-        }, 3000);
+        }, type === 'mention' ? 6000 : 3000);
         
         console.log('Notification:', message);
     }
@@ -527,218 +1038,1133 @@ class PubNubChat {
     // ============================================
     
     initializeModerationFilters() {
-        // Profanity filter with common inappropriate words
-        this.profanityList = [
-            'spam', 'badword', 'inappropriate', // Add more as needed
-        ];
-        
-        // Spam detection settings
-        this.messageHistory = []; // Stores {text, timestamp} objects for duplicate detection
-        this.messageTimestamps = []; // Stores just timestamps for rate limiting
-        this.maxMessagesPerMinute = 10;
-        this.similarityThreshold = 0.8;
+        // Shared engine (shared/moderation.js) so chat, dashboard and CLI apply the same rules.
+        // Start with the built-in defaults, then switch to moderation-policy.json once it loads.
+        // Rate limits and duplicate history are persisted, so reloading does not reset them.
+        const engineOptions = {
+            storage: PubNubModerationStorage.createBrowserStorage(),
+            storageKey: `chat-${this.userId}`
+        };
+        this.moderation = PubNubModeration.createDefaultEngine(engineOptions);
+
+        PubNubModeration.loadPolicy('moderation-policy.json')
+            .then(policy => {
+                this.moderation = PubNubModeration.createEngineFromPolicy(policy, engineOptions);
+                console.log('Moderation policy loaded:', policy);
+            })
+            .catch(error => {
+                if (error instanceof PubNubModeration.PolicyError) {
+                    console.error(error.message);
+                    this.showError('Moderation policy is invalid, using defaults');
+                } else {
+                    console.warn('Moderation policy not loaded, using defaults:', error.message);
+                }
+            });
     }
 
     moderateMessage(text) {
-        const moderationResult = {
-            passed: true,
-            reason: '',
-            filteredText: text
-        };
+        return this.moderation.moderate(text);
+    }
+
+    // ============================================
+    // APP CONTEXT (OBJECTS) FEATURES
+    // ============================================
+
+    initializeUserMetadata() {
+        if (!this.username) return;
+
+        // Set user metadata using App Context. Merged rather than replaced so
+        // any sanction a moderator recorded on this user survives.
+        PubNubSanctions.mergeUUIDMetadata(this.pubnub, this.userId, {
+            name: this.username,
+            profileUrl: `https://ui-avatars.com/api/?name=${encodeURIComponent(this.username)}`,
+            custom: {
+                joinedAt: new Date().toISOString(),
+                messageCount: 0
+            }
+        })
+            .then(data => console.log('User metadata set:', data))
+            .catch(status => console.warn('User metadata not set:', status));
+    }
 
-        // Check for duplicate/similar messages FIRST (before adding to history)
-        if (this.isDuplicateMessage(text)) {
-            moderationResult.passed = false;
-            moderationResult.reason = 'Duplicate message detected';
-            return moderationResult;
+    updateUserMetadata() {
+        if (!this.username) return;
+
+        PubNubSanctions.mergeUUIDMetadata(this.pubnub, this.userId, {
+            name: this.username,
+            profileUrl: `https://ui-avatars.com/api/?name=${encodeURIComponent(this.username)}`,
+            custom: {
+                lastUpdated: new Date().toISOString()
+            }
+        }).catch(status => console.warn('User metadata not updated:', status));
+    }
+
+    handleObjectsEvent(event) {
+        console.log('Objects event:', event);
+        
+        // Handle user metadata updates
+        if (event.message.type === 'uuid') {
+            const userData = event.message.data;
+            console.log('User metadata updated:', userData);
+
+            if (userData.name) this.knownUsers.set(userData.id, userData.name);
+
+            if (userData.custom) {
+                this.sanctions.update(userData.id, userData.custom);
+                this.updateUsersList();
+                if (userData.id === this.userId) this.enforceOwnSanction();
+            }
         }
+        
+        // Handle channel metadata updates
+        if (event.message.type === 'channel') {
+            const channelData = event.message.data;
+            console.log('Channel metadata updated:', channelData);
 
-        // Check for profanity
-        const lowerText = text.toLowerCase();
-        for (const word of this.profanityList) {
-            if (lowerText.includes(word)) {
-                moderationResult.passed = false;
-                moderationResult.reason = 'Profanity detected';
-                moderationResult.filteredText = this.filterProfanity(text);
-                break;
+            const room = this.rooms.get(channelData.id);
+            if (room) {
+                this.rooms.set(room.id, Object.assign({}, room, {
+                    name: channelData.name ?? room.name,
+                    description: channelData.description ?? room.description
+                }));
+                this.renderRoomList();
             }
         }
+    }
+
+    // ============================================
+    // ROOMS
+    // ============================================
+
+    initializeRooms() {
+        // Every room, for browsing (see shared/rooms.js)
+        PubNubRooms.listRooms(this.pubnub)
+            .then(rooms => {
+                rooms.forEach(room => this.rooms.set(room.id, room));
+                this.renderRoomList();
+            })
+            .catch(status => console.warn('Rooms not loaded:', status));
+
+        // Rooms this user joined before, from their App Context memberships
+        PubNubRooms.joinedRooms(this.pubnub, this.userId)
+            .then(rooms => {
+                rooms.forEach(room => this.rooms.set(room.id, room));
+                this.subscribeToRooms(rooms.map(room => room.id));
+                this.restoreLastRoom();
+                this.refreshUnreadCounts();
+            })
+            .catch(status => console.warn('Room memberships not loaded:', status));
+
+        // DMs and groups this user is part of
+        PubNubRooms.joinedConversations(this.pubnub, this.userId)
+            .then(conversations => {
+                conversations.forEach(conversation => this.addConversation(conversation));
+                this.restoreLastRoom();
+                this.refreshUnreadCounts();
+            })
+            .catch(status => console.warn('Conversations not loaded:', status));
+    }
 
-        // Check for spam (rate limiting)
-        if (this.isSpamming()) {
-            moderationResult.passed = false;
-            moderationResult.reason = 'Sending messages too quickly';
-            return moderationResult;
+    // Reopen the room from the last visit once its membership has loaded
+    restoreLastRoom() {
+        const lastRoom = localStorage.getItem('pubnub-chat-room');
+        if (lastRoom && this.joinedRooms.has(lastRoom)) {
+            this.switchRoom(lastRoom);
         }
+    }
 
-        // Check for excessive caps
-        if (this.hasExcessiveCaps(text)) {
-            moderationResult.filteredText = this.normalizeCaps(text);
+    // Each room's chat channel plus its typing channel
+    roomSubscriptions(rooms = [...this.joinedRooms]) {
+        return rooms.flatMap(room => [room, `${room}-typing`]);
+    }
+
+    subscribeToRooms(rooms) {
+        const added = rooms.filter(room => !this.joinedRooms.has(room));
+        if (added.length === 0) return;
+        added.forEach(room => this.joinedRooms.add(room));
+
+        // Kicked and banned users are resubscribed when their sanction ends
+        if (this.removedFromChat) return;
+
+        this.pubnub.subscribe({
+            channels: this.roomSubscriptions(added),
+            withPresence: true
+        });
+        if (this.username) {
+            this.pubnub.setState({
+                channels: added,
+                state: { username: this.username }
+            });
         }
+    }
 
-        // Track message after all checks pass
-        this.trackMessageForModeration(text);
+    handleRoomAnnouncement(notice) {
+        if (!notice || notice.type !== 'room' || !notice.id) return;
 
-        return moderationResult;
+        this.rooms.set(notice.id, { id: notice.id, type: 'room', name: notice.name || notice.id, description: notice.description || '' });
+        this.renderRoomList();
     }
 
-    trackMessageForModeration(text) {
-        const now = Date.now();
-        
-        // Track message text and timestamp for duplicate detection
-        this.messageHistory.push({
-            text: text,
-            timestamp: now
-        });
-        
-        // Keep only last 10 messages for duplicate detection
-        if (this.messageHistory.length > 10) {
-            this.messageHistory.shift();
+    // ============================================
+    // DIRECT MESSAGES & GROUPS
+    // ============================================
+
+    // Start (or reopen) a conversation with `userIds` and open it
+    startConversation(userIds) {
+        PubNubRooms.startConversation(this.pubnub, [this.userId, ...userIds], { startedBy: this.userId })
+            .then(conversation => {
+                this.addConversation(conversation);
+                this.switchRoom(conversation.id);
+            })
+            .catch(error => this.showError(error.message || 'Failed to start conversation'));
+    }
+
+    // Someone started a conversation with us (published on our inbox channel)
+    handleConversationNotice(notice) {
+        if (!notice || notice.type !== 'conversation' || !notice.id) return;
+        if (this.sanctions.isSilenced(notice.startedBy)) return;
+
+        const isNew = !this.joinedRooms.has(notice.id);
+        this.addConversation({ id: notice.id, type: notice.conversationType });
+        if (isNew) {
+            const from = this.onlineUsers.get(notice.startedBy)?.username || notice.startedBy;
+            this.showNotification(`${from} started a conversation with you`);
         }
-        
-        // Track timestamps for rate limiting
-        this.messageTimestamps.push(now);
-        const oneMinuteAgo = now - 60000;
-        this.messageTimestamps = this.messageTimestamps.filter(t => t > oneMinuteAgo);
     }
 
-    filterProfanity(text) {
-        let filtered = text;
-        for (const word of this.profanityList) {
-            const regex = new RegExp(word, 'gi');
-            filtered = filtered.replace(regex, '***');
+    addConversation(conversation) {
+        if (!this.rooms.has(conversation.id)) {
+            this.rooms.set(conversation.id, {
+                id: conversation.id,
+                type: conversation.type,
+                name: conversation.type === 'group' ? 'Group' : 'Direct message',
+                description: ''
+            });
         }
-        return filtered;
+        this.subscribeToRooms([conversation.id]);
+        this.loadConversationName(conversation.id);
+        this.renderRoomList();
     }
 
-    isSpamming() {
-        const now = Date.now();
-        const oneMinuteAgo = now - 60000;
-        const recentMessages = this.messageTimestamps.filter(timestamp => timestamp > oneMinuteAgo);
-        return recentMessages.length >= this.maxMessagesPerMinute;
+    // Conversations are named after the other participants (App Context names)
+    loadConversationName(channel) {
+        PubNubRooms.conversationMembers(this.pubnub, channel)
+            .then(members => {
+                const others = members.filter(member => member.id !== this.userId).map(member => member.name);
+                const room = this.rooms.get(channel);
+                this.rooms.set(channel, Object.assign({}, room, { name: others.join(', ') || room.name }));
+                this.renderRoomList();
+                if (channel === this.channel && this.elements.messagesContainer.querySelector('.welcome-message')) {
+                    this.renderRoomMessages();
+                }
+            })
+            .catch(status => console.warn('Conversation members not loaded:', status));
     }
 
-    isDuplicateMessage(text) {
-        if (this.messageHistory.length === 0) return false;
-        
-        const now = Date.now();
-        const lastMessage = this.messageHistory[this.messageHistory.length - 1];
-        const timeSinceLastMessage = now - lastMessage.timestamp;
-        
-        // Check if exact same message was sent within 5 seconds
-        if (timeSinceLastMessage < 5000 && lastMessage.text === text) {
-            return true;
+    createRoom() {
+        const name = this.elements.roomNameInput.value.trim();
+        if (!name) return;
+
+        let room;
+        try {
+            room = PubNubRooms.roomChannel(name);
+        } catch (error) {
+            this.showError(error.message);
+            return;
         }
-        
-        // Check for very similar messages within 10 seconds
-        const similarity = this.calculateSimilarity(text, lastMessage.text);
-        return similarity > this.similarityThreshold && timeSinceLastMessage < 10000;
+
+        // Creating a room that already exists just joins it
+        const created = this.rooms.has(room) ?
+            Promise.resolve(this.rooms.get(room)) :
+            PubNubRooms.createRoom(this.pubnub, name, { createdBy: this.userId });
+
+        created
+            .then(info => {
+                this.elements.roomNameInput.value = '';
+                this.rooms.set(info.id, info);
+                return this.joinRoom(info.id);
+            })
+            .catch(error => this.showError(error.message || 'Failed to create room'));
     }
 
-    calculateSimilarity(str1, str2) {
-        const longer = str1.length > str2.length ? str1 : str2;
-        const shorter = str1.length > str2.length ? str2 : str1;
-        
-        if (longer.length === 0) return 1.0;
-        
-        const editDistance = this.levenshteinDistance(longer, shorter);
-        return (longer.length - editDistance) / longer.length;
+    // Joining records an App Context membership, then subscribes and opens the room
+    joinRoom(room) {
+        if (this.joinedRooms.has(room)) {
+            this.switchRoom(room);
+            return Promise.resolve();
+        }
+
+        return PubNubRooms.joinRoom(this.pubnub, this.userId, room)
+            .then(() => {
+                this.subscribeToRooms([room]);
+                this.switchRoom(room);
+            })
+            .catch(() => this.showError('Failed to join room'));
     }
 
-    levenshteinDistance(str1, str2) {
-        const matrix = [];
-        
-        for (let i = 0; i <= str2.length; i++) {
-            matrix[i] = [i];
+    switchRoom(room) {
+        if (room === this.channel) return;
+
+        // Tell the old room we stopped typing before leaving it
+        if (this.typingTimeout) this.stopTyping();
+        this.hideModerationPreview();
+
+        this.closeThread();
+        this.channel = room;
+        localStorage.setItem('pubnub-chat-room', room);
+
+        // Render before marking read so the divider lands at the old position
+        this.renderRoomMessages();
+        this.openRoomHistory(room);
+        this.updateTypingIndicator();
+
+        this.onlineUsers.clear();
+        this.updateUsersList();
+        this.updateOnlineCount();
+        this.getInitialPresence();
+    }
+
+    renderRoomMessages() {
+        const container = this.elements.messagesContainer;
+        container.replaceChildren();
+
+        const buffer = this.roomBuffers.get(this.channel) || [];
+        if (buffer.length === 0) {
+            // Same placeholder as the welcome message; removed by the first message
+            const empty = document.createElement('div');
+            empty.className = 'welcome-message';
+            const icon = document.createElement('div');
+            icon.className = 'welcome-icon';
+            icon.textContent = '💬';
+            const title = document.createElement('h2');
+            title.textContent = this.roomLabel(this.rooms.get(this.channel));
+            const hint = document.createElement('p');
+            hint.textContent = PubNubRooms.isConversation(this.channel) ?
+                'This is the start of your conversation' :
+                this.rooms.get(this.channel).description || 'No messages yet - say hello!';
+            empty.append(icon, title, hint);
+            container.appendChild(empty);
+            return;
         }
-        
-        for (let j = 0; j <= str1.length; j++) {
-            matrix[0][j] = j;
+
+        // "New messages" divider above the first unread message from someone else
+        const lastRead = this.readMarkers.get(this.channel);
+        const gap = this.roomGaps.get(this.channel);
+        let divider = null;
+        buffer.forEach(entry => {
+            const { message, isOwn, timetoken } = entry;
+            if (gap && timetoken === gap) {
+                const notice = document.createElement('div');
+                notice.className = 'history-gap';
+                notice.textContent = 'Some messages sent while you were offline could not be loaded';
+                container.appendChild(notice);
+            }
+            if (!divider && lastRead && !isOwn && PubNubReadMarkers.isAfter(timetoken, lastRead)) {
+                divider = document.createElement('div');
+                divider.className = 'new-messages-divider';
+                divider.textContent = 'New messages';
+                container.appendChild(divider);
+            }
+            this.displayMessage(message, isOwn, entry);
+        });
+
+        if (divider) divider.scrollIntoView({ block: 'center' });
+    }
+
+    // ============================================
+    // MESSAGE EDITING & DELETION
+    // ============================================
+
+    // Edits, deletions and reactions arrive as message actions on the original message
+    handleMessageAction(event) {
+        const entry = (this.roomBuffers.get(event.channel) || [])
+            .find(item => item.timetoken === String(event.data.messageTimetoken));
+        if (!entry) return;
+
+        entry.actions = PubNubMessageEdits.updateActions(entry.actions, event);
+        if (event.channel === this.channel) this.refreshMessage(entry);
+    }
+
+    refreshMessage(entry) {
+        const clientId = entry.message.clientMessageId;
+        const element = this.elements.messagesContainer.querySelector(clientId ?
+            `[data-client-message-id="${CSS.escape(clientId)}"]` : `[data-timetoken="${entry.timetoken}"]`);
+        if (element) element.replaceWith(this.createMessageElement(entry.message, entry.isOwn, entry));
+    }
+
+    // "(edited)", which toggles the list of earlier versions
+    createEditedLabel(version, messageElement) {
+        const label = document.createElement('button');
+        label.className = 'edited-label';
+        label.textContent = '(edited)';
+        label.title = 'Show earlier versions';
+
+        label.addEventListener('click', () => {
+            const open = messageElement.querySelector('.edit-history');
+            if (open) {
+                open.remove();
+                return;
+            }
+
+            const list = document.createElement('ul');
+            list.className = 'edit-history';
+            version.versions.slice(0, -1).forEach(({ text, timetoken }) => {
+                const item = document.createElement('li');
+                const when = timetoken ?
+                    new Date(Number(BigInt(timetoken) / 10000n)).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) :
+                    'Original';
+                item.textContent = `${when}: ${text}`;
+                list.appendChild(item);
+            });
+            messageElement.appendChild(list);
+        });
+        return label;
+    }
+
+    // ✏️ and 🗑️ on the user's own messages
+    createMessageControls(entry, messageElement) {
+        const room = this.channel;
+        const controls = document.createElement('span');
+        controls.className = 'message-controls';
+
+        const edit = document.createElement('button');
+        edit.className = 'message-control';
+        edit.textContent = '✏️';
+        edit.title = 'Edit message';
+        edit.addEventListener('click', () => this.startEditing(room, entry, messageElement));
+        // Shared files and messages the gateway republished can be deleted but not edited
+        edit.hidden = Boolean(entry.message.file) || !PubNubMessageEdits.acceptsEdits(entry.publisher);
+
+        const remove = document.createElement('button');
+        remove.className = 'message-control';
+        remove.textContent = '🗑️';
+        remove.title = 'Delete message';
+        remove.addEventListener('click', () => this.deleteMessage(room, entry));
+
+        controls.append(edit, remove);
+        return controls;
+    }
+
+    // Swap the message text for a text box; Enter saves, Shift+Enter adds a line, Escape cancels
+    startEditing(room, entry, messageElement) {
+        const content = messageElement.querySelector('.message-content');
+        if (!content) return;
+
+        const form = document.createElement('div');
+        form.className = 'edit-form';
+        const input = document.createElement('textarea');
+        input.maxLength = 500;
+        input.value = PubNubMessageEdits.currentVersion(entry.message, entry.actions, entry.publisher).text;
+        input.rows = Math.min(5, input.value.split('\n').length);
+        const save = document.createElement('button');
+        save.textContent = 'Save';
+        const cancel = document.createElement('button');
+        cancel.textContent = 'Cancel';
+        form.append(input, save, cancel);
+
+        save.addEventListener('click', () => this.editMessage(room, entry, input.value));
+        cancel.addEventListener('click', () => this.refreshMessage(entry));
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                this.editMessage(room, entry, input.value);
+            } else if (e.key === 'Escape') {
+                this.refreshMessage(entry);
+            }
+        });
+
+        content.replaceWith(form);
+        input.focus();
+    }
+
+    // Edits go through the same moderation as new messages
+    editMessage(room, entry, text) {
+        const newText = text.trim();
+        if (!newText || newText === PubNubMessageEdits.currentVersion(entry.message, entry.actions, entry.publisher).text) {
+            this.refreshMessage(entry);
+            return;
         }
-        
-        for (let i = 1; i <= str2.length; i++) {
-            for (let j = 1; j <= str1.length; j++) {
-                if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-                    matrix[i][j] = matrix[i - 1][j - 1];
-                } else {
-                    matrix[i][j] = Math.min(
-                        matrix[i - 1][j - 1] + 1,
-                        matrix[i][j - 1] + 1,
-                        matrix[i - 1][j] + 1
-                    );
+
+        const sanction = this.sanctions.get(this.userId);
+        if (sanction) {
+            this.showError(`You are ${PubNubSanctions.describeSanction(sanction)}`);
+            return;
+        }
+
+        const moderation = this.moderateMessage(newText);
+        if (!moderation.passed) {
+            this.showError(`Edit blocked: ${moderation.reason}`);
+            return;
+        }
+
+        PubNubMessageEdits.editMessage(this.pubnub, room, entry.timetoken, moderation.filteredText)
+            .then(action => {
+                this.applyOwnAction(room, entry, action);
+                if (moderation.filteredText !== newText) {
+                    this.showNotification(`Edit was auto-filtered: ${moderation.triggered.map(t => t.reason).join(', ')}`);
                 }
+            })
+            .catch(() => this.showError('Failed to edit message'));
+    }
+
+    deleteMessage(room, entry) {
+        if (!confirm('Delete this message for everyone?')) return;
+
+        PubNubMessageEdits.deleteMessage(this.pubnub, room, entry.timetoken)
+            .then(action => this.applyOwnAction(room, entry, action))
+            .catch(() => this.showError('Failed to delete message'));
+    }
+
+    // Show our own change straight away; the echoed event replaces it by actionTimetoken
+    applyOwnAction(room, entry, action, event = 'added') {
+        entry.actions = PubNubMessageEdits.updateActions(entry.actions, { event: event, data: action });
+        if (room === this.channel) this.refreshMessage(entry);
+    }
+
+    // ============================================
+    // REACTIONS
+    // ============================================
+
+    // Opens a row of emoji to react with
+    createReactionButton(entry, messageElement) {
+        const room = this.channel;
+        const button = document.createElement('button');
+        button.className = 'message-control reaction-add';
+        button.textContent = '😀+';
+        button.title = 'Add reaction';
+
+        button.addEventListener('click', () => {
+            const open = messageElement.querySelector('.reaction-picker');
+            if (open) {
+                open.remove();
+                return;
             }
-        }
-        
-        return matrix[str2.length][str1.length];
+
+            const picker = document.createElement('div');
+            picker.className = 'reaction-picker';
+            PubNubReactions.EMOJI.forEach(emoji => {
+                const option = document.createElement('button');
+                option.textContent = emoji;
+                option.addEventListener('click', () => this.toggleReaction(room, entry, emoji));
+                picker.appendChild(option);
+            });
+            messageElement.querySelector('.message-content').after(picker);
+        });
+        return button;
     }
 
-    hasExcessiveCaps(text) {
-        if (text.length < 5) return false;
-        const capsCount = (text.match(/[A-Z]/g) || []).length;
-        return capsCount / text.length > 0.6;
+    // "👍 2 ❤️ 1" under the message; clicking one adds or removes ours
+    createReactionList(entry) {
+        const room = this.channel;
+        const list = document.createElement('div');
+        list.className = 'reactions';
+
+        this.reactionsFor(entry).forEach(reaction => {
+            const chip = document.createElement('button');
+            chip.className = 'reaction-chip';
+            chip.classList.toggle('mine', Boolean(reaction.mine));
+            chip.textContent = `${reaction.emoji} ${reaction.count}`;
+            chip.title = reaction.users.map(userId => this.displayName(userId)).join(', ');
+            chip.addEventListener('click', () => this.toggleReaction(room, entry, reaction.emoji));
+            list.appendChild(chip);
+        });
+        return list;
     }
 
-    normalizeCaps(text) {
-        return text.charAt(0).toUpperCase() + text.slice(1).toLowerCase();
+    // Sanctioned users' reactions are hidden like their messages
+    reactionsFor(entry) {
+        const actions = entry.actions.filter(action => !this.sanctions.isSilenced(action.uuid));
+        return PubNubReactions.aggregateReactions(actions, this.userId);
+    }
+
+    toggleReaction(room, entry, emoji) {
+        const sanction = this.sanctions.get(this.userId);
+        if (sanction) {
+            this.showError(`You are ${PubNubSanctions.describeSanction(sanction)}`);
+            return;
+        }
+
+        const reaction = this.reactionsFor(entry).find(item => item.emoji === emoji);
+        if (reaction && reaction.mine) {
+            PubNubReactions.removeReaction(this.pubnub, room, entry.timetoken, reaction.mine)
+                .then(() => this.applyOwnAction(room, entry, { actionTimetoken: reaction.mine }, 'removed'))
+                .catch(() => this.showError('Failed to remove reaction'));
+        } else {
+            PubNubReactions.addReaction(this.pubnub, room, entry.timetoken, emoji)
+                .then(action => this.applyOwnAction(room, entry, action))
+                .catch(() => this.showError('Failed to add reaction'));
+        }
     }
 
     // ============================================
-    // APP CONTEXT (OBJECTS) FEATURES
+    // THREADS
     // ============================================
 
-    initializeUserMetadata() {
-        if (!this.username) return;
+    createThreadButton(entry) {
+        const room = this.channel;
+        const button = document.createElement('button');
+        button.className = 'message-control';
+        button.textContent = '💬';
+        button.title = 'Reply in thread';
+        button.addEventListener('click', () => this.openThread(room, entry));
+        return button;
+    }
+
+    // "3 replies · Alice, Bob" under a parent message
+    createThreadSummary(entry, summary) {
+        const room = this.channel;
+        const button = document.createElement('button');
+        button.className = 'thread-summary';
+        const names = summary.participants.map(userId => this.displayName(userId)).join(', ');
+        button.textContent = `🧵 ${summary.count} ${summary.count === 1 ? 'reply' : 'replies'} · ${names}`;
+        button.addEventListener('click', () => this.openThread(room, entry));
+        return button;
+    }
+
+    // Subscribe to the parent's thread channel and show it in the side panel
+    openThread(room, entry) {
+        if (this.thread && this.thread.channel === PubNubThreads.threadChannel(room, entry.timetoken)) return;
+        this.closeThread();
+
+        const thread = { room, entry, channel: PubNubThreads.threadChannel(room, entry.timetoken), replies: [] };
+        this.thread = thread;
+        this.pubnub.subscribe({ channels: [thread.channel] });
+
+        // The parent shows its current version but no controls (no timetoken)
+        this.elements.threadParent.replaceChildren(this.createMessageElement(entry.message, entry.isOwn, { actions: entry.actions }));
+        this.renderThreadReplies();
+        this.elements.threadPanel.hidden = false;
+        this.elements.threadInput.focus();
+
+        // Replies that arrive live while this loads are merged by timetoken
+        PubNubThreads.fetchReplies(this.pubnub, room, entry.timetoken)
+            .then(replies => {
+                if (this.thread !== thread) return;
+                const stored = replies
+                    .filter(reply => !this.isFromSanctionedUser(reply))
+                    .map(reply => ({ message: reply.message, isOwn: reply.publisher === this.userId, timetoken: reply.timetoken }));
+                thread.replies = PubNubHistory.mergeEntries(thread.replies, stored);
+                this.renderThreadReplies();
+            })
+            .catch(status => console.warn('Thread not loaded:', status));
+    }
+
+    closeThread() {
+        if (!this.thread) return;
+        this.pubnub.unsubscribe({ channels: [this.thread.channel] });
+        this.thread = null;
+        this.elements.threadPanel.hidden = true;
+        this.elements.threadInput.value = '';
+    }
+
+    handleThreadReply(event) {
+        if (this.isFromSanctionedUser(event)) return;
+        const reply = { message: event.message, isOwn: event.publisher === this.userId, timetoken: String(event.timetoken) };
+        this.thread.replies = PubNubHistory.mergeEntries(this.thread.replies, [reply]);
+        this.renderThreadReplies();
+    }
+
+    renderThreadReplies() {
+        const list = this.elements.threadReplies;
+        list.replaceChildren(...this.thread.replies.map(reply => this.createMessageElement(reply.message, reply.isOwn, null)));
+        list.scrollTop = list.scrollHeight;
+    }
+
+    // Replies are moderated like messages. Moderators do not watch threads,
+    // so anything that would be held for review (or shadow-dropped) is blocked.
+    sendThreadReply() {
+        const thread = this.thread;
+        const text = this.elements.threadInput.value.trim();
+        if (!thread || !text) return;
+
+        if (!this.hasSetUsername || !this.username) {
+            this.showError('Please set your name before sending messages');
+            return;
+        }
+
+        const sanction = this.sanctions.get(this.userId);
+        if (sanction) {
+            this.showError(`You are ${PubNubSanctions.describeSanction(sanction)}`);
+            return;
+        }
+
+        const moderation = this.moderateMessage(text);
+        if (!moderation.passed) {
+            this.showError(`Reply blocked: ${moderation.reason}`);
+            return;
+        }
+
+        const message = {
+            text: moderation.filteredText,
+            username: this.username,
+            userId: this.userId,
+            timestamp: new Date().toISOString(),
+            moderated: moderation.filteredText !== text
+        };
+        if (message.moderated) {
+            message.moderation = PubNubModeration.summarizeTransformations(moderation);
+        }
 
-        // Set user metadata using App Context
-        this.pubnub.objects.setUUIDMetadata({
-            uuid: this.userId,
-            data: {
-                name: this.username,
-                profileUrl: `https://ui-avatars.com/api/?name=${encodeURIComponent(this.username)}`,
-                custom: {
-                    joinedAt: new Date().toISOString(),
-                    messageCount: 0
+        PubNubThreads.sendReply(this.pubnub, thread.room, thread.entry.timetoken, message)
+            .then(() => {
+                if (this.thread === thread) this.elements.threadInput.value = '';
+                if (message.moderated) {
+                    this.showNotification(`Reply was auto-filtered: ${moderation.triggered.map(t => t.reason).join(', ')}`);
                 }
+            })
+            .catch(() => this.showError('Failed to send reply'));
+    }
+
+    // Best-known name for a user: presence state, App Context, then their messages in the open room
+    displayName(userId) {
+        const online = this.onlineUsers.get(userId);
+        if (online) return online.username;
+        if (this.knownUsers.has(userId)) return this.knownUsers.get(userId);
+        const seen = (this.roomBuffers.get(this.channel) || []).find(entry => entry.message.userId === userId);
+        return seen ? seen.message.username : userId;
+    }
+
+    // ============================================
+    // OUTBOX
+    // ============================================
+
+    // Queued messages show in their room right away; a publish response (or
+    // our own echo, through the gateway) gives them their timetoken
+    handleOutboxChange(item) {
+        let entry = (this.roomBuffers.get(item.room) || []).find(other => other.message.clientMessageId === item.id);
+        if (!entry) {
+            if (item.state === 'sent') return;
+            this.addToRoom(item.room, item.message, true, null, this.userId);
+            entry = this.roomBuffers.get(item.room).find(other => other.message.clientMessageId === item.id);
+        }
+
+        if (item.state === 'sent') {
+            // Through the gateway the room's copy has its own timetoken; wait for the echo
+            if (!entry.timetoken && item.channel === item.room) entry.timetoken = item.timetoken;
+            entry.outbox = entry.timetoken ? null : 'sending';
+        } else {
+            entry.outbox = item.state;
+        }
+        if (item.room === this.channel) this.refreshMessage(entry);
+    }
+
+    // "🕓 Sending..." or "⚠️ Not sent" with Retry / Discard
+    createOutboxStatus(entry) {
+        const status = document.createElement('span');
+        status.className = 'outbox-status';
+        if (entry.outbox !== 'failed') {
+            status.textContent = '🕓 Sending...';
+            return status;
+        }
+
+        status.textContent = '⚠️ Not sent';
+        const retry = document.createElement('button');
+        retry.className = 'message-control';
+        retry.textContent = 'Retry';
+        retry.addEventListener('click', () => this.outbox.retry(entry.message.clientMessageId));
+        const discard = document.createElement('button');
+        discard.className = 'message-control';
+        discard.textContent = 'Discard';
+        discard.addEventListener('click', () => this.discardQueued(entry));
+        status.append(retry, discard);
+        return status;
+    }
+
+    discardQueued(entry) {
+        const item = this.outbox.find(entry.message.clientMessageId);
+        this.outbox.discard(entry.message.clientMessageId);
+        const room = item ? item.room : this.channel;
+        this.roomBuffers.set(room, (this.roomBuffers.get(room) || []).filter(other => other !== entry));
+        if (room === this.channel) this.renderRoomMessages();
+    }
+
+    // ============================================
+    // FILE SHARING
+    // ============================================
+
+    // File messages arrive through their own listener; they join the room like messages
+    handleFile(event) {
+        if (!this.joinedRooms.has(event.channel) || this.isFromSanctionedUser(event)) return;
+        const message = PubNubFiles.fileMessage(event.message, event.file);
+        this.addToRoom(event.channel, message, event.publisher === this.userId, event.timetoken, event.publisher);
+    }
+
+    uploadFiles(files) {
+        if (files.length === 0) return;
+        if (!this.hasSetUsername || !this.username) {
+            this.showError('Please set your name before sharing files');
+            return;
+        }
+        const sanction = this.sanctions.get(this.userId);
+        if (sanction) {
+            this.showError(`You are ${PubNubSanctions.describeSanction(sanction)}`);
+            return;
+        }
+
+        const room = this.channel;
+        files.forEach(file => {
+            const problem = PubNubFiles.validateFile(file);
+            if (problem) {
+                this.showError(problem);
+                return;
             }
-        }, (status, response) => {
-            if (!status.error) {
-                console.log('User metadata set:', response);
-            }
+
+            // Pasted screenshots are all called "image.png"
+            const named = file.name && file.name !== 'image.png' ? file :
+                new File([file], `screenshot-${Date.now()}.${file.type.split('/')[1]}`, { type: file.type });
+            const message = {
+                text: '',
+                username: this.username,
+                userId: this.userId,
+                timestamp: new Date().toISOString(),
+                file: { type: file.type, size: file.size }
+            };
+
+            this.showNotification(`Uploading ${named.name}...`);
+            PubNubFiles.sendFile(this.pubnub, room, named, message)
+                .catch(error => this.showError(`Upload of ${named.name} failed: ${error.message || error}`));
         });
     }
 
-    updateUserMetadata() {
-        if (!this.username) return;
+    // Image thumbnail or download link inside the message bubble
+    createAttachment(file) {
+        const link = document.createElement('a');
+        link.href = PubNubFiles.fileUrl(this.pubnub, this.channel, file);
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+
+        if (PubNubFiles.isImage(file)) {
+            link.className = 'file-attachment image';
+            const image = document.createElement('img');
+            image.src = link.href;
+            image.alt = file.name;
+            image.loading = 'lazy';
+            link.appendChild(image);
+        } else {
+            link.className = 'file-attachment';
+            link.download = file.name;
+            link.textContent = file.size ?
+                `📄 ${file.name} (${PubNubFiles.formatSize(file.size)})` : `📄 ${file.name}`;
+        }
+        return link;
+    }
+
+    // ============================================
+    // MENTIONS
+    // ============================================
+
+    // Online users first, then everyone with App Context metadata
+    mentionCandidates() {
+        const online = Array.from(this.onlineUsers, ([id, user]) => ({ id, name: user.username }));
+        const known = Array.from(this.knownUsers, ([id, name]) => ({ id, name }));
+        return online.concat(known);
+    }
+
+    // Mentions show the user's current name; ours are highlighted
+    createMentionNodes(text, mentions) {
+        return PubNubMentions.mentionSegments(text, mentions).map(segment => {
+            if (!segment.userId) return document.createTextNode(segment.text);
+
+            const name = this.displayName(segment.userId);
+            const span = document.createElement('span');
+            span.className = 'mention';
+            span.classList.toggle('me', segment.userId === this.userId);
+            span.textContent = name === segment.userId ? segment.text : `@${name}`;
+            return span;
+        });
+    }
+
+    notifyMention(room, message) {
+        const info = this.rooms.get(room);
+        const where = room === this.channel || !info ? '' : ` in ${this.roomLabel(info)}`;
+        const title = `${message.username || 'Someone'} mentioned you${where}`;
+        this.showNotification(`🔔 ${title}`, 'mention');
+
+        // Desktop notification when the user may not be looking
+        const away = document.hidden || room !== this.channel;
+        if (this.mentionAlerts && away && 'Notification' in window && Notification.permission === 'granted') {
+            const body = PubNubFormatting.plainText(PubNubFormatting.parse(message.text));
+            new Notification(title, { body: body, tag: `mention-${room}` });
+        }
+    }
+
+    // 🔔 in the header: ask for permission the first time it is turned on
+    toggleMentionAlerts() {
+        if (this.mentionAlerts) {
+            this.setMentionAlerts(false);
+        } else if (Notification.permission === 'granted') {
+            this.setMentionAlerts(true);
+        } else {
+            Notification.requestPermission().then(permission => {
+                this.setMentionAlerts(permission === 'granted');
+                if (permission !== 'granted') this.showError('Notifications are blocked in this browser');
+            });
+        }
+    }
 
-        this.pubnub.objects.setUUIDMetadata({
-            uuid: this.userId,
-            data: {
-                name: this.username,
-                profileUrl: `https://ui-avatars.com/api/?name=${encodeURIComponent(this.username)}`,
-                custom: {
-                    lastUpdated: new Date().toISOString()
+    setMentionAlerts(enabled) {
+        this.mentionAlerts = enabled;
+        localStorage.setItem('pubnub-chat-mention-alerts', enabled ? 'on' : 'off');
+        this.updateMentionAlertsButton();
+    }
+
+    updateMentionAlertsButton() {
+        const button = this.elements.mentionAlertsBtn;
+        button.hidden = !('Notification' in window);
+        button.textContent = this.mentionAlerts ? '🔔' : '🔕';
+        button.title = this.mentionAlerts ?
+            'Desktop notifications for mentions are on' :
+            'Turn on desktop notifications for mentions';
+    }
+
+    // ============================================
+    // MESSAGE HISTORY
+    // ============================================
+
+    // Load the room's recent messages the first time it opens, then mark it read
+    openRoomHistory(room) {
+        this.loadRecentHistory(room).then(() => {
+            if (room === this.channel && !document.hidden) this.markRoomRead(room);
+        });
+    }
+
+    loadRecentHistory(room) {
+        if (this.roomHistory.has(room)) return this.roomHistory.get(room).request;
+
+        const state = { request: null, loaded: false, older: null, complete: false };
+        state.request = PubNubHistory.fetchPage(this.pubnub, room)
+            .then(page => {
+                state.loaded = true;
+                state.complete = !page.more;
+                this.mergeHistory(room, page.entries);
+                if (room === this.channel) this.handleMessagesScroll();
+            })
+            .catch(status => {
+                this.roomHistory.delete(room); // try again next time the room opens
+                console.warn('History not loaded:', status);
+            });
+        this.roomHistory.set(room, state);
+        return state.request;
+    }
+
+    // Near the top (or too few messages to scroll): page in older messages
+    handleMessagesScroll() {
+        if (this.elements.messagesContainer.scrollTop < 50) {
+            this.loadOlderHistory(this.channel);
+        }
+    }
+
+    // Fetch the page before the oldest message in the room
+    loadOlderHistory(room) {
+        const state = this.roomHistory.get(room);
+        const oldest = (this.roomBuffers.get(room) || []).find(entry => entry.timetoken);
+        if (!state || !state.loaded || state.complete || state.older || !oldest) return;
+
+        const container = this.elements.messagesContainer;
+        state.older = PubNubHistory.fetchPage(this.pubnub, room, { start: oldest.timetoken })
+            .then(page => {
+                state.older = null;
+                state.complete = !page.more;
+
+                // Keep the messages in view where they were once the page is added above
+                const fromBottom = container.scrollHeight - container.scrollTop;
+                this.mergeHistory(room, page.entries);
+                if (room === this.channel) {
+                    container.scrollTop = container.scrollHeight - fromBottom;
+                    this.handleMessagesScroll();
                 }
+            })
+            .catch(status => {
+                state.older = null;
+                console.warn('Older history not loaded:', status);
+            });
+    }
+
+    // Add stored messages to the room's buffer; ones already received live are skipped
+    mergeHistory(room, entries) {
+        const stored = entries
+            .filter(entry => !this.isFromSanctionedUser(entry))
+            .map(entry => ({ message: entry.message, isOwn: entry.publisher === this.userId, publisher: entry.publisher, timetoken: entry.timetoken, actions: entry.actions }));
+        this.roomBuffers.set(room, PubNubHistory.mergeEntries(this.roomBuffers.get(room) || [], stored));
+        stored.forEach(entry => this.noteReceived(room, entry.timetoken));
+
+        if (room === this.channel) this.renderRoomMessages();
+    }
+
+    noteReceived(room, timetoken) {
+        const last = this.lastReceived.get(room);
+        if (!last || PubNubReadMarkers.isAfter(String(timetoken), last)) this.lastReceived.set(room, String(timetoken));
+    }
+
+    // After a reconnect: fetch what every joined room missed since its newest
+    // received message (or since the network went down) and merge it in order
+    catchUpMissed() {
+        const since = this.offlineSince;
+        this.offlineSince = null;
+
+        [...this.joinedRooms].forEach(room => {
+            const from = this.lastReceived.get(room) || since;
+            if (!from) return;
+
+            PubNubHistory.fetchGap(this.pubnub, room, from)
+                .then(({ entries, truncated }) => {
+                    if (truncated && entries.length > 0) {
+                        // Older missed messages are not in the page; mark where they would be
+                        this.roomGaps.set(room, entries[0].timetoken);
+                        const info = this.rooms.get(room);
+                        this.showError(`Too many messages were missed${info ? ` in ${this.roomLabel(info)}` : ''} - some are not shown`);
+                    }
+                    if (entries.length > 0) this.mergeHistory(room, entries);
+                })
+                .catch(status => console.warn('Missed messages not loaded:', status));
+        });
+    }
+
+    // ============================================
+    // UNREAD COUNTS
+    // ============================================
+
+    // Mark everything in the room read, up to its newest message
+    markRoomRead(room) {
+        const buffer = this.roomBuffers.get(room) || [];
+        const newest = buffer.length > 0 ? buffer[buffer.length - 1].timetoken : null;
+        this.readMarkers.markRead(room, newest || PubNubReadMarkers.nowTimetoken());
+
+        this.unreadCounts.delete(room);
+        this.renderRoomList();
+    }
+
+    // Ask the server what was missed in every joined room (on connect and
+    // reconnect), counted from each room's last-read marker
+    refreshUnreadCounts() {
+        this.readMarkers.unreadCounts([...this.joinedRooms])
+            .then(counts => {
+                Object.entries(counts).forEach(([room, count]) => {
+                    if (room === this.channel && !document.hidden) return;
+                    if (count > 0) {
+                        this.unreadCounts.set(room, count);
+                    } else {
+                        this.unreadCounts.delete(room);
+                    }
+                });
+                this.renderRoomList();
+            })
+            .catch(status => console.warn('Unread counts not loaded:', status));
+    }
+
+    // "(3) PubNub Real-Time Chat"
+    updateDocumentTitle() {
+        const total = Array.from(this.unreadCounts.values()).reduce((sum, count) => sum + count, 0);
+        document.title = total > 0 ? `(${total}) ${this.baseTitle}` : this.baseTitle;
+    }
+
+    // "# General", "@ Alice", "👥 Alice, Bob"
+    roomLabel(room) {
+        const prefix = { dm: '@', group: '👥' }[room.type] || '#';
+        return `${prefix} ${room.name}`;
+    }
+
+    renderRoomList() {
+        this.elements.roomsList.replaceChildren();
+        this.elements.conversationsList.replaceChildren();
+
+        // Default room first, then joined rooms, then the rest by name
+        const rooms = Array.from(this.rooms.values()).sort((a, b) =>
+            (b.id === this.defaultRoom) - (a.id === this.defaultRoom) ||
+            this.joinedRooms.has(b.id) - this.joinedRooms.has(a.id) ||
+            a.name.localeCompare(b.name));
+
+        rooms.forEach(room => {
+            const list = PubNubRooms.isConversation(room.id) ? this.elements.conversationsList : this.elements.roomsList;
+            const item = document.createElement('li');
+            item.className = 'room-item';
+            item.classList.toggle('active', room.id === this.channel);
+            item.classList.toggle('joined', this.joinedRooms.has(room.id));
+            item.textContent = this.roomLabel(room);
+            item.title = room.description || (this.joinedRooms.has(room.id) ? room.name : 'Click to join');
+
+            const unread = this.unreadCounts.get(room.id);
+            if (unread) {
+                const badge = document.createElement('span');
+                badge.className = 'room-unread';
+                badge.textContent = unread > 99 ? '99+' : unread;
+                badge.title = `${unread} unread`;
+                item.appendChild(badge);
             }
+
+            item.addEventListener('click', () => this.joinRoom(room.id));
+            list.appendChild(item);
         });
+
+        this.elements.roomTitle.textContent = this.roomLabel(this.rooms.get(this.channel));
+        this.updateDocumentTitle();
     }
 
-    handleObjectsEvent(event) {
-        console.log('Objects event:', event);
-        
-        // Handle user metadata updates
-        if (event.message.type === 'uuid') {
-            const userData = event.message.data;
-            console.log('User metadata updated:', userData);
+    // ============================================
+    // USER SANCTIONS (mute / kick / ban)
+    // ============================================
+
+    initializeSanctions() {
+        // Moderators record sanctions in App Context (see shared/sanctions.js)
+        this.sanctions.load(this.pubnub).then(() => {
+            this.updateUsersList();
+            this.enforceOwnSanction();
+        });
+    }
+
+    handleSanctionMessage(event) {
+        const notice = event.message;
+        // Anyone can publish a notice; only App Context says what the sanction is
+        if (!notice || notice.type !== 'sanction' || typeof notice.userId !== 'string') return;
+
+        this.sanctions.refresh(this.pubnub, notice.userId).then(() => {
+            this.updateUsersList();
+            if (notice.userId === this.userId) {
+                this.enforceOwnSanction();
+            }
+        });
+    }
+
+    // Check both the PubNub publisher and the payload's userId, since the
+    // moderation gateway republishes on behalf of the original sender
+    isFromSanctionedUser(event) {
+        return this.sanctions.isSilenced(event.publisher) ||
+            this.sanctions.isSilenced(event.message && event.message.userId);
+    }
+
+    // Muted users cannot send; kicked and banned users also leave the chat
+    // until their sanction expires
+    enforceOwnSanction() {
+        const sanction = this.sanctions.get(this.userId);
+        const wasRemoved = this.removedFromChat;
+        this.removedFromChat = Boolean(sanction && sanction.type !== 'mute');
+
+        if (this.removedFromChat && !wasRemoved) {
+            this.closeThread();
+            this.pubnub.unsubscribe({ channels: this.roomSubscriptions() });
+            this.onlineUsers.clear();
+            this.updateUsersList();
+            this.updateOnlineCount();
+        } else if (!this.removedFromChat && wasRemoved) {
+            this.pubnub.subscribe({
+                channels: this.roomSubscriptions(),
+                withPresence: true
+            });
         }
-        
-        // Handle channel metadata updates
-        if (event.message.type === 'channel') {
-            const channelData = event.message.data;
-            console.log('Channel metadata updated:', channelData);
+
+        clearTimeout(this.sanctionTimer);
+        if (sanction) {
+            const reason = sanction.reason ? ` (${sanction.reason})` : '';
+            this.showError(`You have been ${PubNubSanctions.describeSanction(sanction)}${reason}`);
+            if (sanction.expiresAt) {
+                // setTimeout overflows past ~24.8 days, so re-check in steps
+                const delay = Math.min(sanction.expiresAt - Date.now(), 2147483647);
+                this.sanctionTimer = setTimeout(() => this.enforceOwnSanction(), delay);
+            }
         }
-    }
 
+        this.updateMessageInputState();
+    }
 
     cleanup() {
         // Clear presence refresh interval
@@ -750,10 +2176,19 @@ class PubNubChat {
         if (this.typingTimeout) {
             clearTimeout(this.typingTimeout);
         }
+        clearTimeout(this.sanctionTimer);
+
+        // Best effort: save read positions that are still waiting to be written
+        this.readMarkers.flushAll();
         
         // Unsubscribe from channels
         this.pubnub.unsubscribe({
-            channels: [this.channel, `${this.channel}-typing`]
+            channels: [
+                ...this.roomSubscriptions(),
+                PubNubSanctions.SANCTIONS_CHANNEL,
+                PubNubRooms.ROOMS_CHANNEL,
+                PubNubRooms.inboxChannel(this.userId)
+            ]
         });
     }
 
@@ -2,10 +2,29 @@
 class PubNubDashboard {
     constructor() {
         this.channel = 'pubnub-advanced-demo';
+        // With ?gateway in the URL, publish through the server-side moderation
+        // gateway (server/moderation-gateway.js), which republishes to this.channel
+        this.publishChannel = new URLSearchParams(window.location.search).has('gateway') ?
+            `${this.channel}-inbound` : this.channel;
         this.username = localStorage.getItem('pubnub-username') || '';
         this.userId = this.generateUserId();
         this.onlineUsers = new Map();
+        this.knownUsers = new Map(); // userId -> name of every App Context user, for @mentions
+        this.mentionAlerts = localStorage.getItem('pubnub-dashboard-mention-alerts') === 'on'; // desktop notifications
         this.typingUsers = new Set();
+        this.messages = []; // [{ message, isOwn, timetoken, actions }] shown in the chat, oldest first
+        this.history = { loaded: false, request: null, older: null, complete: false }; // shared/history.js
+        this.lastReceived = null; // timetoken of the newest message received, for catching up after a reconnect
+        this.offlineSince = null; // timetoken when the network went down
+        this.historyGap = null; // timetoken of the first message after missed ones too many to fetch
+        this.reviewQueue = new Map(); // review message timetoken -> flagged item
+        this.sanctions = new PubNubSanctions.SanctionRegistry();
+        this.previewedText = null; // text the sender has seen the moderation preview for
+        this.moderatedOriginals = new Map(); // timestamp -> original text of own filtered messages
+
+        // Chat channels whose flagged messages this dashboard moderates. Each has
+        // a `-review` queue and a `-moderation-audit` log of decisions.
+        this.moderatedChannels = [this.channel, 'pubnub-web-chat', 'pubnub-trial-chat'];
         this.analytics = {
             messagesSent: 0,
             messagesReceived: 0,
@@ -13,12 +32,27 @@ class PubNubDashboard {
             messageHistory: [],
             startTime: Date.now()
         };
+        // Connection health panel: every status event, reconnects, downtime and
+        // publish round trips (from publishing a message to receiving our own echo)
+        this.health = {
+            state: 'connecting',
+            statuses: [], // [{ category, at, error }], newest first
+            reconnects: 0,
+            downtime: 0, // ms of finished outages
+            downSince: null, // start of the current outage
+            latencies: [], // ms, the last few round trips
+            sentAt: new Map() // clientMessageId -> performance.now() when its publish started
+        };
         
         this.initializePubNub();
         this.initializeUI();
         this.setupEventListeners();
         this.initializeModerationFilters();
         this.startAnalytics();
+        this.startHealthMonitor();
+
+        // Messages still queued when the page was closed
+        this.outbox.load().then(items => items.forEach(item => this.handleOutboxChange(item)));
     }
 
     generateUserId() {
@@ -35,20 +69,43 @@ class PubNubDashboard {
             publishKey: 'demo',
             subscribeKey: 'demo',
             userId: this.userId,
-            heartbeatInterval: 19
+            heartbeatInterval: 19,
+            // ?origin=localhost:8090 talks to the local mock server (server/mock-pubnub.js)
+            ...PubNubOrigin.pageOriginConfig(window.location.search)
         });
 
         this.pubnub.addListener({
             message: this.handleMessage.bind(this),
+            file: this.handleFile.bind(this),
+            messageAction: this.handleMessageAction.bind(this),
             presence: this.handlePresence.bind(this),
             status: this.handleStatus.bind(this),
             objects: this.handleObjectsEvent.bind(this)
         });
 
+        // Sends are queued so they survive going offline and reloads (shared/outbox.js)
+        this.outbox = new PubNubOutbox.Outbox(this.pubnub, {
+            storage: PubNubModerationStorage.createBrowserStorage(),
+            storageKey: `dashboard-outbox-${this.userId}`,
+            onChange: item => this.handleOutboxChange(item)
+        });
+
         this.pubnub.subscribe({
             channels: [this.channel, `${this.channel}-typing`],
             withPresence: true
         });
+
+        this.pubnub.subscribe({
+            channels: this.moderatedChannels
+                .flatMap(channel => [`${channel}-review`, `${channel}-moderation-audit`])
+                .concat(PubNubSanctions.SANCTIONS_CHANNEL)
+        });
+
+        this.sanctions.load(this.pubnub).then(() => this.updateUsersList());
+
+        PubNubMentions.listUsers(this.pubnub)
+            .then(users => users.forEach(user => this.knownUsers.set(user.id, user.name)))
+            .catch(status => console.warn('Users for mentions not loaded:', status));
     }
 
     initializeUI() {
@@ -64,6 +121,8 @@ class PubNubDashboard {
             typingIndicator: document.getElementById('typing-indicator'),
             connectionStatus: document.getElementById('connection-status'),
             themeToggle: document.getElementById('theme-toggle'),
+            mentionSuggestions: document.getElementById('mention-suggestions'),
+            mentionAlertsBtn: document.getElementById('mention-alerts'),
             
             // Analytics
             messagesSent: document.getElementById('messages-sent'),
@@ -77,8 +136,20 @@ class PubNubDashboard {
             capsNormalization: document.getElementById('caps-normalization'),
             moderationStatus: document.getElementById('moderation-status'),
             
+            // Review Queue
+            reviewQueue: document.getElementById('review-queue'),
+            reviewCount: document.getElementById('review-count'),
+
             // Event Log
             eventLog: document.getElementById('event-log'),
+
+            // Connection Health
+            healthState: document.getElementById('health-state'),
+            healthLatency: document.getElementById('health-latency'),
+            healthLatencyLabel: document.getElementById('health-latency-label'),
+            healthReconnects: document.getElementById('health-reconnects'),
+            healthDowntime: document.getElementById('health-downtime'),
+            healthStatuses: document.getElementById('health-statuses'),
             
             // Modal
             metadataModal: document.getElementById('metadata-modal'),
@@ -94,6 +165,16 @@ class PubNubDashboard {
 
         this.initializeTheme();
         this.initializeChart();
+        this.renderReviewQueue();
+
+        // @mention suggestions for the message input
+        this.mentionAutocomplete = new PubNubMentions.MentionAutocomplete(
+            this.elements.messageInput,
+            this.elements.mentionSuggestions,
+            () => this.mentionCandidates(),
+            { excludeId: this.userId }
+        );
+        this.updateMentionAlertsButton();
     }
 
     setupEventListeners() {
@@ -106,17 +187,27 @@ class PubNubDashboard {
         // Message sending
         this.elements.sendButton.addEventListener('click', () => this.sendMessage());
         this.elements.messageInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
+            if (e.key === 'Enter' && !e.shiftKey) {
                 e.preventDefault();
                 this.sendMessage();
             }
         });
+        this.elements.messageInput.addEventListener('input', () => this.fitMessageInput());
 
         // Typing indicator
         this.elements.messageInput.addEventListener('input', () => this.handleTyping());
 
+        // Editing the text invalidates the moderation preview
+        this.elements.messageInput.addEventListener('input', () => {
+            if (this.previewedText !== null) this.hideModerationPreview();
+        });
+
+        // Scrolling to the top pages in older messages
+        this.elements.messagesContainer.addEventListener('scroll', () => this.handleMessagesScroll());
+
         // Theme toggle
         this.elements.themeToggle.addEventListener('click', () => this.toggleTheme());
+        this.elements.mentionAlertsBtn.addEventListener('click', () => this.toggleMentionAlerts());
 
         // View metadata
         this.elements.viewMetadataBtn.addEventListener('click', () => this.showMetadata());
@@ -174,30 +265,26 @@ class PubNubDashboard {
     }
 
     setUserMetadata() {
-        this.pubnub.objects.setUUIDMetadata({
-            uuid: this.userId,
-            data: {
-                name: this.username,
-                profileUrl: `https://ui-avatars.com/api/?name=${encodeURIComponent(this.username)}`,
-                custom: {
-                    joinedAt: new Date().toISOString(),
-                    messageCount: 0,
-                    theme: this.currentTheme || 'light'
-                }
-            }
-        }, (status, response) => {
-            if (!status.error) {
-                console.log('User metadata set:', response);
-                this.logEvent('User metadata updated', 'success');
+        // Merged rather than replaced so sanctions recorded on this user survive
+        PubNubSanctions.mergeUUIDMetadata(this.pubnub, this.userId, {
+            name: this.username,
+            profileUrl: `https://ui-avatars.com/api/?name=${encodeURIComponent(this.username)}`,
+            custom: {
+                joinedAt: new Date().toISOString(),
+                messageCount: 0,
+                theme: this.currentTheme || 'light'
             }
-        });
+        }).then(data => {
+            console.log('User metadata set:', data);
+            this.logEvent('User metadata updated', 'success');
+        }).catch(status => console.warn('User metadata not set:', status));
     }
 
     // ============================================
     // MESSAGING
     // ============================================
 
-    sendMessage() {
+    sendMessage(confirmed = false) {
         if (!this.username) {
             this.showNotification('Please set your username first', 'warning');
             return;
@@ -206,17 +293,26 @@ class PubNubDashboard {
         const text = this.elements.messageInput.value.trim();
         if (!text) return;
 
-        // Apply moderation
-        const moderation = this.moderateMessage(text);
-        
-        if (!moderation.passed) {
-            this.showNotification(`Message blocked: ${moderation.reason}`, 'error');
-            this.logEvent(`Message blocked: ${moderation.reason}`, 'warning');
-            this.analytics.messagesModerated++;
-            this.updateAnalytics();
+        const sanction = this.sanctions.get(this.userId);
+        if (sanction) {
+            this.showNotification(`You are ${PubNubSanctions.describeSanction(sanction)}`, 'error');
             return;
         }
 
+        // Preview what moderation would change; sending again unchanged
+        // (or pressing "Send") confirms
+        if (!confirmed && this.previewedText !== text) {
+            const preview = this.moderation.preview(text);
+            if (preview.passed && preview.transformations.length > 0) {
+                this.showModerationPreview(text, preview);
+                return;
+            }
+        }
+        this.hideModerationPreview();
+
+        // Apply moderation
+        const moderation = this.moderateMessage(text);
+
         const message = {
             text: moderation.filteredText,
             username: this.username,
@@ -224,25 +320,67 @@ class PubNubDashboard {
             timestamp: new Date().toISOString(),
             moderated: moderation.filteredText !== text
         };
+        if (message.moderated) {
+            message.moderation = PubNubModeration.summarizeTransformations(moderation);
+        }
+        const mentions = this.mentionAutocomplete.mentionsIn(message.text);
+        if (mentions.length > 0) message.mentions = mentions;
 
-        this.pubnub.publish({
-            channel: this.channel,
-            message: message
-        }, (status, response) => {
-            if (!status.error) {
-                this.elements.messageInput.value = '';
-                this.analytics.messagesSent++;
-                this.trackMessage(text); // Track the original text
-                this.updateAnalytics();
-                
-                if (message.moderated) {
-                    this.showNotification('Message was filtered', 'warning');
-                    this.analytics.messagesModerated++;
-                }
+        if (!moderation.passed) {
+            this.analytics.messagesModerated++;
+            this.updateAnalytics();
+
+            if (moderation.action === 'shadow-drop') {
+                // Looks sent to the sender, but nobody else receives it
+                this.addMessage(message, true, null, this.userId);
+                this.clearMessageInput();
+                this.logEvent(`Message shadow-dropped: ${moderation.reason}`, 'warning');
+            } else if (moderation.action === 'flag-for-review') {
+                this.clearMessageInput();
+                this.flagForReview(message, moderation);
+                this.showNotification('Message held for moderator review', 'warning');
+                this.logEvent(`Message flagged for review: ${moderation.reason}`, 'warning');
             } else {
-                this.showNotification('Failed to send message', 'error');
+                this.showNotification(`Message blocked: ${moderation.reason}`, 'error');
+                this.logEvent(`Message blocked: ${moderation.reason}`, 'warning');
             }
-        });
+            return;
+        }
+
+        // Through the gateway the raw text goes to -inbound and the gateway's
+        // verdict decides what everyone, this sender included, sees. Its copy
+        // may be filtered even when ours was not, so keep every original.
+        const viaGateway = this.publishChannel !== this.channel;
+        if (message.moderated || viaGateway) {
+            this.rememberOriginal(message.timestamp, text);
+        }
+
+        let outgoing = message;
+        if (viaGateway) {
+            outgoing = { text: text, username: message.username, userId: message.userId, timestamp: message.timestamp };
+            if (message.mentions) outgoing.mentions = message.mentions;
+        }
+
+        // Shown at once as pending; the outbox publishes it when it can
+        this.outbox.enqueue(this.publishChannel, outgoing, this.channel);
+        this.clearMessageInput();
+
+        if (message.moderated) {
+            this.showNotification(`Message was filtered: ${moderation.triggered.map(t => t.reason).join(', ')}`, 'warning');
+            this.analytics.messagesModerated++;
+            this.updateAnalytics();
+        }
+    }
+
+    // One row per line, up to five; Shift+Enter adds a line
+    fitMessageInput() {
+        const input = this.elements.messageInput;
+        input.rows = Math.min(5, input.value.split('\n').length);
+    }
+
+    clearMessageInput() {
+        this.elements.messageInput.value = '';
+        this.fitMessageInput();
     }
 
     sendSystemMessage(text) {
@@ -255,210 +393,1012 @@ class PubNubDashboard {
         };
 
         this.pubnub.publish({
-            channel: this.channel,
+            channel: this.publishChannel,
             message: message
         });
     }
 
     handleMessage(event) {
+        if (event.channel === PubNubSanctions.SANCTIONS_CHANNEL) {
+            this.handleSanctionMessage(event.message);
+            return;
+        }
+
+        // Hide everything sanctioned users send, including typing indicators
+        if (this.isFromSanctionedUser(event)) return;
+
         if (event.channel === this.channel) {
             const message = event.message;
-            this.displayMessage(message, event.publisher === this.userId);
+            this.recordRoundTrip(message);
+            if (!this.addMessage(message, event.publisher === this.userId, event.timetoken, event.publisher)) return;
             
             if (event.publisher !== this.userId) {
                 this.analytics.messagesReceived++;
-                this.trackMessage();
                 this.updateAnalytics();
+                if (PubNubMentions.mentionsUser(message, this.userId)) this.notifyMention(message);
             }
         } else if (event.channel === `${this.channel}-typing`) {
             this.handleTypingMessage(event);
+        } else if (event.channel.endsWith('-review')) {
+            this.addReviewItem(event.message, event.timetoken);
+        } else if (event.channel.endsWith('-moderation-audit')) {
+            this.handleModerationDecision(event.message);
+        }
+    }
+
+    // Files shared from the web chat or CLI (shared/files.js)
+    handleFile(event) {
+        if (event.channel !== this.channel || this.isFromSanctionedUser(event)) return;
+        if (!this.addMessage(PubNubFiles.fileMessage(event.message, event.file), event.publisher === this.userId, event.timetoken, event.publisher)) return;
+        this.logEvent(`${event.message.username || event.publisher} shared ${event.file.name}`, 'info');
+    }
+
+    // Image thumbnail or download link inside the message bubble
+    createAttachment(file) {
+        const link = document.createElement('a');
+        link.href = PubNubFiles.fileUrl(this.pubnub, this.channel, file);
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+
+        if (PubNubFiles.isImage(file)) {
+            link.className = 'file-attachment image';
+            const image = document.createElement('img');
+            image.src = link.href;
+            image.alt = file.name;
+            image.loading = 'lazy';
+            link.appendChild(image);
+        } else {
+            link.className = 'file-attachment';
+            link.download = file.name;
+            link.textContent = file.size ?
+                `📄 ${file.name} (${PubNubFiles.formatSize(file.size)})` : `📄 ${file.name}`;
+        }
+        return link;
+    }
+
+    // Show a message unless a history page already did. Returns whether it was new.
+    addMessage(message, isOwn, timetoken, publisher) {
+        if (timetoken && this.messages.some(entry => entry.timetoken === String(timetoken))) return false;
+        // An outbox retry may publish a message twice; our own echo completes the queued copy
+        const queued = message.clientMessageId && this.messages.find(entry => entry.message.clientMessageId === message.clientMessageId);
+        if (queued) {
+            if (!queued.timetoken && timetoken) {
+                Object.assign(queued, { message, publisher, timetoken: String(timetoken), outbox: null });
+                this.noteReceived(timetoken);
+                this.refreshMessage(queued);
+            }
+            return false;
         }
+
+        const entry = { message, isOwn, publisher, timetoken: timetoken ? String(timetoken) : null, actions: [] };
+        this.messages.push(entry);
+        if (timetoken) this.noteReceived(timetoken);
+        this.displayMessage(message, isOwn, entry);
+        return true;
     }
 
-    displayMessage(message, isOwn = false) {
+    displayMessage(message, isOwn = false, entry = null) {
+        const messageElement = this.createMessageElement(message, isOwn, entry);
+
+        const welcomeMessage = this.elements.messagesContainer.querySelector('.welcome-message');
+        if (welcomeMessage) {
+            welcomeMessage.remove();
+        }
+
+        this.elements.messagesContainer.appendChild(messageElement);
+        this.scrollToBottom();
+    }
+
+    // `entry` carries the timetoken and message actions (edits, deletions)
+    createMessageElement(message, isOwn, entry) {
+        const version = PubNubMessageEdits.currentVersion(message, entry && entry.actions, entry && entry.publisher);
         const messageElement = document.createElement('div');
         messageElement.className = `message ${isOwn ? 'own' : ''}`;
+        if (entry && entry.timetoken) messageElement.dataset.timetoken = entry.timetoken;
+        if (message.clientMessageId) messageElement.dataset.clientMessageId = message.clientMessageId;
         
         const time = new Date(message.timestamp).toLocaleTimeString([], {
             hour: '2-digit',
             minute: '2-digit'
         });
 
-        const moderatedBadge = message.moderated ? 
-            '<span class="badge" style="font-size: 0.7rem; margin-left: 0.5rem;">🛡️ Filtered</span>' : '';
-
         messageElement.innerHTML = `
             <div class="message-header">
                 <span class="message-author">${this.escapeHtml(message.username)}</span>
                 <span class="message-time">${time}</span>
-                ${moderatedBadge}
             </div>
             <div class="message-content">
-                ${this.escapeHtml(message.text)}
+                ${this.escapeHtml(version.text)}
             </div>
         `;
 
-        const welcomeMessage = this.elements.messagesContainer.querySelector('.welcome-message');
-        if (welcomeMessage) {
-            welcomeMessage.remove();
+        if (version.deleted) {
+            messageElement.classList.add('deleted');
+            messageElement.querySelector('.message-content').textContent = '🗑️ This message was deleted';
+            return messageElement;
         }
 
-        this.elements.messagesContainer.appendChild(messageElement);
-        this.scrollToBottom();
+        messageElement.querySelector('.message-content').replaceChildren(...PubNubFormatting.render(version.text, {
+            renderText: text => this.createMentionNodes(text, message.mentions)
+        }));
+        if (message.file) {
+            messageElement.querySelector('.message-content').appendChild(this.createAttachment(message.file));
+        }
+
+        const header = messageElement.querySelector('.message-header');
+        if (entry && entry.outbox) {
+            messageElement.classList.add(entry.outbox === 'failed' ? 'failed' : 'pending');
+            header.appendChild(this.createOutboxStatus(entry));
+        }
+        // The badge describes the original text, so edits drop it; a malformed
+        // summary gets none
+        if (message.moderated && !version.edited && PubNubModeration.readModerationSummary(message)) {
+            header.appendChild(this.createModerationBadge(message, isOwn));
+        }
+        if (version.edited) {
+            header.appendChild(this.createEditedLabel(version, messageElement));
+        }
+        if (entry && entry.timetoken && PubNubMessageEdits.messageAuthor(message, entry.publisher) === this.userId) {
+            header.appendChild(this.createMessageControls(entry, messageElement));
+        }
+        if (entry && entry.timetoken) {
+            header.appendChild(this.createReactionButton(entry, messageElement));
+            messageElement.appendChild(this.createReactionList(entry));
+        }
+        return messageElement;
     }
 
     // ============================================
-    // AUTO-MODERATION
+    // OUTBOX
     // ============================================
 
-    initializeModerationFilters() {
-        this.profanityList = ['spam', 'badword', 'inappropriate'];
-        this.messageHistory = []; // Stores {text, timestamp} objects
-        this.messageTimestamps = []; // Stores just timestamps for rate limiting
-        this.maxMessagesPerMinute = 10;
-        this.similarityThreshold = 0.8;
+    // Queued messages show right away; a publish response (or our own echo,
+    // through the gateway) gives them their timetoken
+    handleOutboxChange(item) {
+        if (item.state === 'sending') this.health.sentAt.set(item.id, performance.now());
+        if (item.state === 'failed') this.health.sentAt.delete(item.id);
+
+        let entry = this.messages.find(other => other.message.clientMessageId === item.id);
+        if (!entry) {
+            if (item.state === 'sent') return;
+            this.addMessage(item.message, true, null, this.userId);
+            entry = this.messages.find(other => other.message.clientMessageId === item.id);
+        }
+
+        if (item.state === 'sent') {
+            this.analytics.messagesSent++;
+            this.updateAnalytics();
+            // Through the gateway the channel's copy has its own timetoken; wait for the echo
+            if (!entry.timetoken && item.channel === item.room) entry.timetoken = item.timetoken;
+            entry.outbox = entry.timetoken ? null : 'sending';
+        } else {
+            if (item.state === 'failed' && entry.outbox !== 'failed') {
+                this.logEvent(`Message not sent after ${item.attempts} attempts (${item.error})`, 'error');
+            }
+            entry.outbox = item.state;
+        }
+        this.refreshMessage(entry);
     }
 
-    moderateMessage(text) {
-        const result = {
-            passed: true,
-            reason: '',
-            filteredText: text
-        };
+    // "🕓 Sending..." or "⚠️ Not sent" with Retry / Discard
+    createOutboxStatus(entry) {
+        const status = document.createElement('span');
+        status.className = 'outbox-status';
+        if (entry.outbox !== 'failed') {
+            status.textContent = '🕓 Sending...';
+            return status;
+        }
 
-        // Check for duplicate/similar messages FIRST (before other checks)
-        if (this.isDuplicateMessage(text)) {
-            result.passed = false;
-            result.reason = 'Duplicate message detected';
-            return result;
-        }
-
-        // Profanity filter
-        if (this.elements.profanityFilter.checked) {
-            const lowerText = text.toLowerCase();
-            for (const word of this.profanityList) {
-                if (lowerText.includes(word)) {
-                    result.filteredText = this.filterProfanity(text);
-                    result.reason = 'Profanity detected';
-                    break;
-                }
-            }
+        status.textContent = '⚠️ Not sent';
+        const retry = document.createElement('button');
+        retry.className = 'message-control';
+        retry.textContent = 'Retry';
+        retry.addEventListener('click', () => this.outbox.retry(entry.message.clientMessageId));
+        const discard = document.createElement('button');
+        discard.className = 'message-control';
+        discard.textContent = 'Discard';
+        discard.addEventListener('click', () => {
+            this.outbox.discard(entry.message.clientMessageId);
+            this.messages = this.messages.filter(other => other !== entry);
+            status.closest('.message').remove();
+        });
+        status.append(retry, discard);
+        return status;
+    }
+
+    // ============================================
+    // MENTIONS
+    // ============================================
+
+    // Online users first, then everyone with App Context metadata
+    mentionCandidates() {
+        const online = Array.from(this.onlineUsers, ([id, user]) => ({ id, name: user.username }));
+        const known = Array.from(this.knownUsers, ([id, name]) => ({ id, name }));
+        return online.concat(known);
+    }
+
+    displayName(userId) {
+        return this.onlineUsers.get(userId)?.username || this.knownUsers.get(userId) || userId;
+    }
+
+    // Mentions show the user's current name; ours are highlighted
+    createMentionNodes(text, mentions) {
+        return PubNubMentions.mentionSegments(text, mentions).map(segment => {
+            if (!segment.userId) return document.createTextNode(segment.text);
+
+            const name = this.displayName(segment.userId);
+            const span = document.createElement('span');
+            span.className = 'mention';
+            span.classList.toggle('me', segment.userId === this.userId);
+            span.textContent = name === segment.userId ? segment.text : `@${name}`;
+            return span;
+        });
+    }
+
+    notifyMention(message) {
+        const title = `${message.username || 'Someone'} mentioned you`;
+        this.showNotification(`🔔 ${title}`, 'mention');
+        this.logEvent(title, 'info');
+
+        if (this.mentionAlerts && document.hidden && 'Notification' in window && Notification.permission === 'granted') {
+            const body = PubNubFormatting.plainText(PubNubFormatting.parse(message.text));
+            new Notification(title, { body: body, tag: 'mention' });
         }
+    }
 
-        // Spam detection (rate limiting)
-        if (this.elements.spamDetection.checked && this.isSpamming()) {
-            result.passed = false;
-            result.reason = 'Sending messages too quickly';
-            return result;
+    toggleMentionAlerts() {
+        if (this.mentionAlerts) {
+            this.setMentionAlerts(false);
+        } else if (Notification.permission === 'granted') {
+            this.setMentionAlerts(true);
+        } else {
+            Notification.requestPermission().then(permission => {
+                this.setMentionAlerts(permission === 'granted');
+                if (permission !== 'granted') this.showNotification('Notifications are blocked in this browser', 'error');
+            });
         }
+    }
 
-        // Caps normalization
-        if (this.elements.capsNormalization.checked && this.hasExcessiveCaps(text)) {
-            result.filteredText = this.normalizeCaps(text);
+    setMentionAlerts(enabled) {
+        this.mentionAlerts = enabled;
+        localStorage.setItem('pubnub-dashboard-mention-alerts', enabled ? 'on' : 'off');
+        this.updateMentionAlertsButton();
+    }
+
+    updateMentionAlertsButton() {
+        const button = this.elements.mentionAlertsBtn;
+        button.hidden = !('Notification' in window);
+        button.textContent = this.mentionAlerts ? '🔔' : '🔕';
+        button.title = this.mentionAlerts ?
+            'Desktop notifications for mentions are on' :
+            'Turn on desktop notifications for mentions';
+    }
+
+    // ============================================
+    // MESSAGE EDITING & DELETION
+    // ============================================
+
+    // Edits, deletions and reactions arrive as message actions on the original message
+    handleMessageAction(event) {
+        const type = event.data.type;
+        if (event.channel !== this.channel) return;
+
+        const entry = this.messages.find(item => item.timetoken === String(event.data.messageTimetoken));
+        if (!entry) return;
+
+        entry.actions = PubNubMessageEdits.updateActions(entry.actions, event);
+        this.refreshMessage(entry);
+        if (event.event === 'added' && (type === PubNubMessageEdits.EDITED || type === PubNubMessageEdits.DELETED)) {
+            const verb = type === PubNubMessageEdits.DELETED ? 'deleted' : 'edited';
+            this.logEvent(`${entry.message.username || event.data.uuid} ${verb} a message`, 'info');
         }
+    }
 
-        return result;
+    refreshMessage(entry) {
+        const clientId = entry.message.clientMessageId;
+        const element = this.elements.messagesContainer.querySelector(clientId ?
+            `[data-client-message-id="${CSS.escape(clientId)}"]` : `[data-timetoken="${entry.timetoken}"]`);
+        if (element) element.replaceWith(this.createMessageElement(entry.message, entry.isOwn, entry));
     }
 
-    filterProfanity(text) {
-        let filtered = text;
-        for (const word of this.profanityList) {
-            const regex = new RegExp(word, 'gi');
-            filtered = filtered.replace(regex, '***');
+    // "(edited)", which toggles the list of earlier versions
+    createEditedLabel(version, messageElement) {
+        const label = document.createElement('button');
+        label.className = 'edited-label';
+        label.textContent = '(edited)';
+        label.title = 'Show earlier versions';
+
+        label.addEventListener('click', () => {
+            const open = messageElement.querySelector('.edit-history');
+            if (open) {
+                open.remove();
+                return;
+            }
+
+            const list = document.createElement('ul');
+            list.className = 'edit-history';
+            version.versions.slice(0, -1).forEach(({ text, timetoken }) => {
+                const item = document.createElement('li');
+                const when = timetoken ?
+                    new Date(Number(BigInt(timetoken) / 10000n)).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) :
+                    'Original';
+                item.textContent = `${when}: ${text}`;
+                list.appendChild(item);
+            });
+            messageElement.appendChild(list);
+        });
+        return label;
+    }
+
+    createMessageControls(entry, messageElement) {
+        const controls = document.createElement('span');
+        controls.className = 'message-controls';
+
+        const edit = document.createElement('button');
+        edit.className = 'message-control';
+        edit.textContent = '✏️';
+        edit.title = 'Edit message';
+        edit.addEventListener('click', () => this.startEditing(entry, messageElement));
+        // Shared files and messages the gateway republished can be deleted but not edited
+        edit.hidden = Boolean(entry.message.file) || !PubNubMessageEdits.acceptsEdits(entry.publisher);
+
+        const remove = document.createElement('button');
+        remove.className = 'message-control';
+        remove.textContent = '🗑️';
+        remove.title = 'Delete message';
+        remove.addEventListener('click', () => this.deleteMessage(entry));
+
+        controls.append(edit, remove);
+        return controls;
+    }
+
+    // Swap the message text for a text box; Enter saves, Shift+Enter adds a line, Escape cancels
+    startEditing(entry, messageElement) {
+        const content = messageElement.querySelector('.message-content');
+        if (!content) return;
+
+        const form = document.createElement('div');
+        form.className = 'edit-form';
+        const input = document.createElement('textarea');
+        input.maxLength = 500;
+        input.value = PubNubMessageEdits.currentVersion(entry.message, entry.actions, entry.publisher).text;
+        input.rows = Math.min(5, input.value.split('\n').length);
+        const save = document.createElement('button');
+        save.className = 'btn-primary';
+        save.textContent = 'Save';
+        const cancel = document.createElement('button');
+        cancel.className = 'btn-secondary';
+        cancel.textContent = 'Cancel';
+        form.append(input, save, cancel);
+
+        save.addEventListener('click', () => this.editMessage(entry, input.value));
+        cancel.addEventListener('click', () => this.refreshMessage(entry));
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                this.editMessage(entry, input.value);
+            } else if (e.key === 'Escape') {
+                this.refreshMessage(entry);
+            }
+        });
+
+        content.replaceWith(form);
+        input.focus();
+    }
+
+    // Edits go through the same moderation as new messages
+    editMessage(entry, text) {
+        const newText = text.trim();
+        if (!newText || newText === PubNubMessageEdits.currentVersion(entry.message, entry.actions, entry.publisher).text) {
+            this.refreshMessage(entry);
+            return;
+        }
+
+        const sanction = this.sanctions.get(this.userId);
+        if (sanction) {
+            this.showNotification(`You are ${PubNubSanctions.describeSanction(sanction)}`, 'error');
+            return;
         }
-        return filtered;
+
+        const moderation = this.moderateMessage(newText);
+        if (!moderation.passed) {
+            this.analytics.messagesModerated++;
+            this.updateAnalytics();
+            this.showNotification(`Edit blocked: ${moderation.reason}`, 'error');
+            this.logEvent(`Edit blocked: ${moderation.reason}`, 'warning');
+            return;
+        }
+
+        PubNubMessageEdits.editMessage(this.pubnub, this.channel, entry.timetoken, moderation.filteredText)
+            .then(action => {
+                this.applyOwnAction(entry, action);
+                if (moderation.filteredText !== newText) {
+                    this.showNotification(`Edit was filtered: ${moderation.triggered.map(t => t.reason).join(', ')}`, 'warning');
+                }
+            })
+            .catch(() => this.showNotification('Failed to edit message', 'error'));
     }
 
-    isSpamming() {
-        const now = Date.now();
-        const oneMinuteAgo = now - 60000;
-        const recentMessages = this.messageTimestamps.filter(timestamp => timestamp > oneMinuteAgo);
-        return recentMessages.length >= this.maxMessagesPerMinute;
+    deleteMessage(entry) {
+        if (!confirm('Delete this message for everyone?')) return;
+
+        PubNubMessageEdits.deleteMessage(this.pubnub, this.channel, entry.timetoken)
+            .then(action => this.applyOwnAction(entry, action))
+            .catch(() => this.showNotification('Failed to delete message', 'error'));
     }
 
-    isDuplicateMessage(text) {
-        if (this.messageHistory.length === 0) return false;
-        
-        const now = Date.now();
-        const lastMessage = this.messageHistory[this.messageHistory.length - 1];
-        const timeSinceLastMessage = now - lastMessage.timestamp;
-        
-        // Check if exact same message was sent within 5 seconds
-        if (timeSinceLastMessage < 5000 && lastMessage.text === text) {
-            return true;
+    // Show our own change straight away; the echoed event replaces it by actionTimetoken
+    applyOwnAction(entry, action, event = 'added') {
+        entry.actions = PubNubMessageEdits.updateActions(entry.actions, { event: event, data: action });
+        this.refreshMessage(entry);
+    }
+
+    // ============================================
+    // REACTIONS
+    // ============================================
+
+    // Opens a row of emoji to react with
+    createReactionButton(entry, messageElement) {
+        const button = document.createElement('button');
+        button.className = 'message-control reaction-add';
+        button.textContent = '😀+';
+        button.title = 'Add reaction';
+
+        button.addEventListener('click', () => {
+            const open = messageElement.querySelector('.reaction-picker');
+            if (open) {
+                open.remove();
+                return;
+            }
+
+            const picker = document.createElement('div');
+            picker.className = 'reaction-picker';
+            PubNubReactions.EMOJI.forEach(emoji => {
+                const option = document.createElement('button');
+                option.textContent = emoji;
+                option.addEventListener('click', () => this.toggleReaction(entry, emoji));
+                picker.appendChild(option);
+            });
+            messageElement.querySelector('.message-content').after(picker);
+        });
+        return button;
+    }
+
+    // "👍 2 ❤️ 1" under the message; clicking one adds or removes ours
+    createReactionList(entry) {
+        const list = document.createElement('div');
+        list.className = 'reactions';
+
+        this.reactionsFor(entry).forEach(reaction => {
+            const chip = document.createElement('button');
+            chip.className = 'reaction-chip';
+            chip.classList.toggle('mine', Boolean(reaction.mine));
+            chip.textContent = `${reaction.emoji} ${reaction.count}`;
+            chip.title = reaction.users.map(userId => this.displayName(userId)).join(', ');
+            chip.addEventListener('click', () => this.toggleReaction(entry, reaction.emoji));
+            list.appendChild(chip);
+        });
+        return list;
+    }
+
+    // Sanctioned users' reactions are hidden like their messages
+    reactionsFor(entry) {
+        const actions = entry.actions.filter(action => !this.sanctions.isSilenced(action.uuid));
+        return PubNubReactions.aggregateReactions(actions, this.userId);
+    }
+
+    toggleReaction(entry, emoji) {
+        const sanction = this.sanctions.get(this.userId);
+        if (sanction) {
+            this.showNotification(`You are ${PubNubSanctions.describeSanction(sanction)}`, 'error');
+            return;
+        }
+
+        const reaction = this.reactionsFor(entry).find(item => item.emoji === emoji);
+        if (reaction && reaction.mine) {
+            PubNubReactions.removeReaction(this.pubnub, this.channel, entry.timetoken, reaction.mine)
+                .then(() => this.applyOwnAction(entry, { actionTimetoken: reaction.mine }, 'removed'))
+                .catch(() => this.showNotification('Failed to remove reaction', 'error'));
+        } else {
+            PubNubReactions.addReaction(this.pubnub, this.channel, entry.timetoken, emoji)
+                .then(action => this.applyOwnAction(entry, action))
+                .catch(() => this.showNotification('Failed to add reaction', 'error'));
         }
-        
-        // Check for very similar messages within 10 seconds
-        const similarity = this.calculateSimilarity(text, lastMessage.text);
-        return similarity > this.similarityThreshold && timeSinceLastMessage < 10000;
     }
 
-    calculateSimilarity(str1, str2) {
-        const longer = str1.length > str2.length ? str1 : str2;
-        const shorter = str1.length > str2.length ? str2 : str1;
-        
-        if (longer.length === 0) return 1.0;
-        
-        const editDistance = this.levenshteinDistance(longer, shorter);
-        return (longer.length - editDistance) / longer.length;
+    // ============================================
+    // MESSAGE HISTORY
+    // ============================================
+
+    // Recent messages on first connect; live ones that arrive meanwhile are merged in
+    loadRecentHistory() {
+        if (this.history.request) return;
+
+        this.history.request = PubNubHistory.fetchPage(this.pubnub, this.channel)
+            .then(page => {
+                this.history.loaded = true;
+                this.history.complete = !page.more;
+                this.mergeHistory(page.entries);
+                this.handleMessagesScroll();
+            })
+            .catch(status => {
+                this.history.request = null; // try again on the next connect
+                this.logEvent('Failed to load message history', 'error');
+                console.warn('History not loaded:', status);
+            });
     }
 
-    levenshteinDistance(str1, str2) {
-        const matrix = [];
-        
-        for (let i = 0; i <= str2.length; i++) {
-            matrix[i] = [i];
+    // Near the top (or too few messages to scroll): page in older messages
+    handleMessagesScroll() {
+        if (this.elements.messagesContainer.scrollTop < 50) {
+            this.loadOlderHistory();
         }
-        
-        for (let j = 0; j <= str1.length; j++) {
-            matrix[0][j] = j;
+    }
+
+    // Fetch the page before the oldest message shown
+    loadOlderHistory() {
+        const oldest = this.messages.find(entry => entry.timetoken);
+        if (!this.history.loaded || this.history.complete || this.history.older || !oldest) return;
+
+        const container = this.elements.messagesContainer;
+        this.history.older = PubNubHistory.fetchPage(this.pubnub, this.channel, { start: oldest.timetoken })
+            .then(page => {
+                this.history.older = null;
+                this.history.complete = !page.more;
+
+                // Keep the messages in view where they were once the page is added above
+                const fromBottom = container.scrollHeight - container.scrollTop;
+                this.mergeHistory(page.entries);
+                container.scrollTop = container.scrollHeight - fromBottom;
+                this.handleMessagesScroll();
+            })
+            .catch(status => {
+                this.history.older = null;
+                console.warn('Older history not loaded:', status);
+            });
+    }
+
+    mergeHistory(entries) {
+        const stored = entries
+            .filter(entry => !this.isFromSanctionedUser(entry))
+            .map(entry => ({ message: entry.message, isOwn: entry.publisher === this.userId, publisher: entry.publisher, timetoken: entry.timetoken, actions: entry.actions }));
+        this.messages = PubNubHistory.mergeEntries(this.messages, stored);
+        stored.forEach(entry => this.noteReceived(entry.timetoken));
+        this.renderMessages();
+    }
+
+    renderMessages() {
+        if (this.messages.length === 0) return; // keep the welcome message
+
+        this.elements.messagesContainer.replaceChildren();
+        this.messages.forEach(entry => {
+            if (this.historyGap && entry.timetoken === this.historyGap) {
+                const notice = document.createElement('div');
+                notice.className = 'history-gap';
+                notice.textContent = 'Some messages sent while you were offline could not be loaded';
+                this.elements.messagesContainer.appendChild(notice);
+            }
+            this.displayMessage(entry.message, entry.isOwn, entry);
+        });
+    }
+
+    noteReceived(timetoken) {
+        if (!this.lastReceived || BigInt(timetoken) > BigInt(this.lastReceived)) {
+            this.lastReceived = String(timetoken);
         }
-        
-        for (let i = 1; i <= str2.length; i++) {
-            for (let j = 1; j <= str1.length; j++) {
-                if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-                    matrix[i][j] = matrix[i - 1][j - 1];
+    }
+
+    // After a reconnect: fetch what was published since the newest message
+    // received (or since the network went down) and merge it in order
+    catchUpMissed() {
+        const since = this.lastReceived || this.offlineSince;
+        this.offlineSince = null;
+        if (!since) return;
+
+        PubNubHistory.fetchGap(this.pubnub, this.channel, since)
+            .then(({ entries, truncated }) => {
+                if (entries.length === 0) return;
+                if (truncated) {
+                    // Older missed messages are not in the page; mark where they would be
+                    this.historyGap = entries[0].timetoken;
+                    this.showNotification('Too many messages were missed - some are not shown', 'warning');
+                    this.logEvent(`Missed more than ${entries.length} messages while offline`, 'warning');
                 } else {
-                    matrix[i][j] = Math.min(
-                        matrix[i - 1][j - 1] + 1,
-                        matrix[i][j - 1] + 1,
-                        matrix[i - 1][j] + 1
-                    );
+                    this.logEvent(`Loaded ${entries.length} missed message${entries.length === 1 ? '' : 's'}`, 'info');
                 }
+                this.mergeHistory(entries);
+            })
+            .catch(status => {
+                this.logEvent('Failed to load missed messages', 'error');
+                console.warn('Missed messages not loaded:', status);
+            });
+    }
+
+    // ============================================
+    // AUTO-MODERATION
+    // ============================================
+
+    initializeModerationFilters() {
+        // Shared engine (shared/moderation.js) so chat, dashboard and CLI apply the same rules.
+        // Start with the built-in defaults, then switch to moderation-policy.json once it loads.
+        // Rate limits and duplicate history are persisted, so reloading does not reset them.
+        this.engineOptions = {
+            storage: PubNubModerationStorage.createBrowserStorage(),
+            storageKey: `dashboard-${this.userId}`
+        };
+        this.useModerationEngine(PubNubModeration.createDefaultEngine(this.engineOptions));
+
+        // Sidebar toggles switch individual rules on and off
+        this.moderationToggles = {
+            profanity: this.elements.profanityFilter,
+            rateLimit: this.elements.spamDetection,
+            caps: this.elements.capsNormalization
+        };
+        Object.entries(this.moderationToggles).forEach(([rule, checkbox]) => {
+            checkbox.addEventListener('change', () => {
+                this.moderation.setRuleEnabled(rule, checkbox.checked);
+                this.logEvent(`${rule} rule ${checkbox.checked ? 'enabled' : 'disabled'}`, 'info');
+            });
+        });
+        this.applyModerationToggles();
+
+        PubNubModeration.loadPolicy('moderation-policy.json')
+            .then(policy => {
+                this.useModerationEngine(PubNubModeration.createEngineFromPolicy(policy, this.engineOptions));
+                this.applyModerationToggles();
+                this.logEvent('Moderation policy loaded', 'success');
+            })
+            .catch(error => {
+                if (error instanceof PubNubModeration.PolicyError) {
+                    console.error(error.message);
+                    error.errors.forEach(problem => this.logEvent(`Policy: ${problem}`, 'error'));
+                    this.showNotification('Moderation policy is invalid, using defaults', 'error');
+                } else {
+                    this.logEvent(`Moderation policy not loaded, using defaults (${error.message})`, 'warning');
+                }
+            });
+    }
+
+    useModerationEngine(engine) {
+        this.moderation = engine;
+
+        const rateLimit = engine.getRule('rateLimit');
+        const rateLimitLabel = document.getElementById('rate-limit');
+        if (rateLimitLabel) {
+            rateLimitLabel.textContent = rateLimit ? `${rateLimit.maxMessagesPerMinute} msg/min` : 'off';
+        }
+    }
+
+    applyModerationToggles() {
+        Object.entries(this.moderationToggles).forEach(([rule, checkbox]) => {
+            const policyRule = this.moderation.getRule(rule);
+            // Rules the policy leaves out (or turns off) start unchecked
+            checkbox.disabled = !policyRule;
+            if (!policyRule || !policyRule.enabled) {
+                checkbox.checked = false;
+            } else {
+                policyRule.enabled = checkbox.checked;
             }
+        });
+    }
+
+    moderateMessage(text) {
+        return this.moderation.moderate(text);
+    }
+
+    showModerationPreview(text, verdict) {
+        const panel = this.elements.moderationStatus;
+        panel.replaceChildren();
+
+        const title = document.createElement('div');
+        title.className = 'preview-title';
+        title.textContent = '🛡️ Your message will be changed before sending:';
+
+        // Removed text struck through, inserted text highlighted
+        const diff = document.createElement('div');
+        diff.className = 'preview-diff';
+        PubNubModeration.diffSegments(text, verdict.transformations).forEach(segment => {
+            const span = document.createElement('span');
+            span.className = `diff-${segment.type}`;
+            span.textContent = segment.text;
+            diff.appendChild(span);
+        });
+
+        const reasons = document.createElement('ul');
+        reasons.className = 'preview-reasons';
+        verdict.transformations.forEach(t => {
+            const item = document.createElement('li');
+            item.textContent = `${t.rule}: ${t.reason}`;
+            reasons.appendChild(item);
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'preview-actions';
+        const button = (label, className, onClick) => {
+            const btn = document.createElement('button');
+            btn.className = className;
+            btn.textContent = label;
+            btn.addEventListener('click', onClick);
+            actions.appendChild(btn);
+        };
+        button('Send', 'btn-primary', () => this.sendMessage(true));
+        button('Edit', 'btn-secondary', () => {
+            this.hideModerationPreview();
+            this.elements.messageInput.focus();
+        });
+
+        panel.append(title, diff, reasons, actions);
+        panel.classList.add('preview');
+        this.previewedText = text;
+    }
+
+    hideModerationPreview() {
+        this.previewedText = null;
+        this.elements.moderationStatus.classList.remove('preview');
+        this.elements.moderationStatus.replaceChildren();
+    }
+
+    // Keep the originals of the last few filtered messages so they can be appealed
+    rememberOriginal(timestamp, text) {
+        this.moderatedOriginals.set(timestamp, text);
+        if (this.moderatedOriginals.size > 50) {
+            this.moderatedOriginals.delete(this.moderatedOriginals.keys().next().value);
         }
-        
-        return matrix[str2.length][str1.length];
     }
 
-    hasExcessiveCaps(text) {
-        if (text.length < 5) return false;
-        const capsCount = (text.match(/[A-Z]/g) || []).length;
-        return capsCount / text.length > 0.6;
+    // "🛡️ profanity, caps" badge; own messages also get an appeal button
+    createModerationBadge(message, isOwn) {
+        const summary = PubNubModeration.readModerationSummary(message);
+        const badge = document.createElement('span');
+        badge.className = 'badge moderation-badge';
+        badge.textContent = `🛡️ ${summary.rules.join(', ') || 'Filtered'}`;
+        badge.title = summary.reasons.join('\n') || 'Changed by auto-moderation';
+
+        if (isOwn && this.moderatedOriginals.has(message.timestamp)) {
+            const appeal = document.createElement('button');
+            appeal.className = 'appeal-button';
+            appeal.textContent = 'Appeal';
+            appeal.addEventListener('click', () => this.appealModeration(message, appeal));
+            badge.appendChild(appeal);
+        }
+        return badge;
     }
 
-    normalizeCaps(text) {
-        return text.charAt(0).toUpperCase() + text.slice(1).toLowerCase();
+    // Ask a moderator to publish the original text instead. Appeals go through
+    // the review queue like flagged messages, marked with kind 'appeal'.
+    appealModeration(message, button) {
+        const summary = PubNubModeration.readModerationSummary(message);
+        button.disabled = true;
+
+        this.pubnub.publish({
+            channel: `${this.channel}-review`,
+            message: {
+                type: 'review',
+                kind: 'appeal',
+                channel: this.channel,
+                publisher: this.userId,
+                message: {
+                    text: this.moderatedOriginals.get(message.timestamp),
+                    username: message.username,
+                    userId: message.userId,
+                    timestamp: message.timestamp
+                },
+                reason: `Appeal: ${summary.reasons.join(', ') || 'auto-filtered'}`,
+                triggered: summary.rules.map((rule, i) => ({ rule, action: 'appeal', reason: summary.reasons[i] })),
+                publishedText: message.text,
+                receivedAt: new Date().toISOString()
+            }
+        }, (status) => {
+            if (status.error) {
+                button.disabled = false;
+                this.showNotification('Failed to send appeal', 'error');
+            } else {
+                button.textContent = 'Appealed';
+                this.moderatedOriginals.delete(message.timestamp);
+                this.logEvent('Appeal sent to the review queue', 'info');
+            }
+        });
     }
 
-    trackMessage(text) {
-        const now = Date.now();
-        
-        // Track message text and timestamp for duplicate detection
-        this.messageHistory.push({
-            text: text,
-            timestamp: now
+    // ============================================
+    // MODERATOR REVIEW QUEUE
+    // ============================================
+
+    // Same item shape the server-side gateway publishes for flagged messages
+    flagForReview(message, moderation) {
+        this.pubnub.publish({
+            channel: `${this.channel}-review`,
+            message: {
+                type: 'review',
+                channel: this.channel,
+                publisher: this.userId,
+                message: Object.assign({}, message, { text: moderation.originalText }),
+                reason: moderation.reason,
+                triggered: moderation.triggered,
+                receivedAt: new Date().toISOString()
+            }
         });
-        
-        // Keep only last 10 messages for duplicate detection
-        if (this.messageHistory.length > 10) {
-            this.messageHistory.shift();
+    }
+
+    // Rebuild the queue from history: every flagged item without a decision
+    // Each channel is paged through on its own; one fetch for several
+    // channels returns at most 25 messages per channel
+    loadReviewQueue() {
+        const reviewChannels = this.moderatedChannels.map(channel => `${channel}-review`);
+        const auditChannels = this.moderatedChannels.map(channel => `${channel}-moderation-audit`);
+        const fetchEach = channels => Promise.all(channels.map(channel => PubNubHistory.fetchAll(this.pubnub, channel)));
+
+        Promise.all([fetchEach(reviewChannels), fetchEach(auditChannels)]).then(([reviews, audits]) => {
+            const decided = new Set();
+            audits.flat().forEach(entry => decided.add(String(entry.message && entry.message.reviewTimetoken)));
+
+            reviews.flat().forEach(entry => {
+                if (!decided.has(entry.timetoken)) {
+                    this.addReviewItem(entry.message, entry.timetoken, false);
+                }
+            });
+
+            this.renderReviewQueue();
+        }).catch(() => this.logEvent('Failed to load review queue', 'error'));
+    }
+
+    addReviewItem(item, timetoken, render = true) {
+        if (!item || item.type !== 'review' || !item.message) return;
+
+        this.reviewQueue.set(String(timetoken), Object.assign({}, item, { timetoken: String(timetoken) }));
+        if (render) {
+            this.renderReviewQueue();
+            const verb = item.kind === 'appeal' ? 'appealed' : 'flagged';
+            this.logEvent(`Message from ${item.message.username || item.publisher} ${verb}: ${item.reason}`, 'warning');
         }
-        
-        // Track timestamps for rate limiting
-        this.messageTimestamps.push(now);
-        const oneMinuteAgo = now - 60000;
-        this.messageTimestamps = this.messageTimestamps.filter(t => t > oneMinuteAgo);
+    }
+
+    renderReviewQueue() {
+        const list = this.elements.reviewQueue;
+        list.innerHTML = '';
+        this.elements.reviewCount.textContent = this.reviewQueue.size;
+
+        if (this.reviewQueue.size === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'review-empty';
+            empty.textContent = 'Nothing waiting for review';
+            list.appendChild(empty);
+            return;
+        }
+
+        this.reviewQueue.forEach(item => list.appendChild(this.createReviewElement(item)));
+    }
+
+    createReviewElement(item) {
+        const li = document.createElement('li');
+        li.className = 'review-item';
+
+        const meta = document.createElement('div');
+        meta.className = 'review-meta';
+        const author = document.createElement('strong');
+        author.textContent = item.message.username || item.publisher;
+        meta.appendChild(author);
+        if (item.kind === 'appeal') {
+            const appeal = document.createElement('span');
+            appeal.className = 'review-rule review-appeal';
+            appeal.textContent = '⚖️ Appeal';
+            appeal.title = 'The sender asks for the original text to be published';
+            meta.appendChild(appeal);
+        }
+        (item.triggered || []).forEach(trigger => {
+            const rule = document.createElement('span');
+            rule.className = 'review-rule';
+            rule.textContent = trigger.rule;
+            rule.title = trigger.reason;
+            meta.appendChild(rule);
+        });
+        const time = document.createElement('span');
+        time.className = 'review-time';
+        time.textContent = new Date(item.receivedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        meta.appendChild(time);
+
+        const text = document.createElement('div');
+        text.className = 'review-text';
+        text.textContent = item.message.text;
+
+        // Appeals also show what auto-moderation actually published
+        const published = document.createElement('div');
+        published.className = 'review-published';
+        published.textContent = `Published as: ${item.publishedText}`;
+        published.hidden = item.kind !== 'appeal';
+
+        const editor = document.createElement('textarea');
+        editor.className = 'review-edit';
+        editor.value = item.message.text;
+        editor.hidden = true;
+
+        const actions = document.createElement('div');
+        actions.className = 'review-actions';
+        const button = (label, className, onClick) => {
+            const btn = document.createElement('button');
+            btn.className = className;
+            btn.textContent = label;
+            btn.addEventListener('click', onClick);
+            actions.appendChild(btn);
+            return btn;
+        };
+
+        button('Approve', 'btn-approve', () => this.decideReview(item, 'approve', item.message.text));
+        const editBtn = button('Edit', 'btn-edit', () => {
+            if (editor.hidden) {
+                editor.hidden = false;
+                editBtn.textContent = 'Publish Edit';
+                editor.focus();
+            } else if (editor.value.trim()) {
+                this.decideReview(item, 'edit', editor.value.trim());
+            }
+        });
+        button('Reject', 'btn-reject', () => this.decideReview(item, 'reject', null));
+
+        li.append(meta, text, published, editor, actions);
+        return li;
+    }
+
+    // Publish the (possibly edited) message for approve/edit, then record the
+    // decision on the channel's moderation audit log
+    decideReview(item, decision, publishedText) {
+        const recordDecision = () => {
+            this.pubnub.publish({
+                channel: `${item.channel}-moderation-audit`,
+                message: {
+                    type: 'decision',
+                    decision: decision,
+                    reviewTimetoken: item.timetoken,
+                    channel: item.channel,
+                    author: { userId: item.message.userId || item.publisher, username: item.message.username },
+                    rules: (item.triggered || []).map(trigger => trigger.rule),
+                    reason: item.reason,
+                    originalText: item.message.text,
+                    publishedText: publishedText,
+                    moderator: { userId: this.userId, username: this.username },
+                    decidedAt: new Date().toISOString()
+                }
+            }, (status) => {
+                if (status.error) {
+                    this.showNotification('Failed to record moderation decision', 'error');
+                }
+            });
+        };
+
+        if (decision === 'reject') {
+            recordDecision();
+            return;
+        }
+
+        this.pubnub.publish({
+            channel: item.channel,
+            message: Object.assign({}, item.message, {
+                text: publishedText,
+                timestamp: new Date().toISOString(),
+                moderated: decision === 'edit' || item.message.moderated,
+                reviewedBy: this.username || this.userId
+            })
+        }, (status) => {
+            if (status.error) {
+                this.showNotification('Failed to publish approved message', 'error');
+            } else {
+                recordDecision();
+            }
+        });
+    }
+
+    // Every dashboard (including this one) drops an item once any moderator decides it
+    handleModerationDecision(decision) {
+        if (!decision || decision.type !== 'decision') return;
+
+        if (this.reviewQueue.delete(String(decision.reviewTimetoken))) {
+            this.renderReviewQueue();
+        }
+
+        const moderator = decision.moderator?.username || decision.moderator?.userId || 'A moderator';
+        const author = decision.author?.username || decision.author?.userId || 'unknown sender';
+        const verb = { approve: 'approved', edit: 'edited and published', reject: 'rejected' }[decision.decision] || 'decided on';
+        this.logEvent(`${moderator} ${verb} message from ${author}`, decision.decision === 'reject' ? 'warning' : 'success');
     }
 
     // ============================================
@@ -496,7 +1436,25 @@ class PubNubDashboard {
             const li = document.createElement('li');
             const displayName = userId === this.userId ? 
                 `${userInfo.username} (You)` : userInfo.username;
-            li.textContent = displayName;
+
+            const name = document.createElement('span');
+            name.className = 'user-name';
+            name.textContent = displayName;
+            li.appendChild(name);
+
+            const sanction = this.sanctions.get(userId);
+            if (sanction) {
+                const badge = document.createElement('span');
+                badge.className = 'user-sanction';
+                badge.textContent = PubNubSanctions.describeSanction(sanction);
+                badge.title = sanction.reason || `by ${sanction.by}`;
+                li.appendChild(badge);
+            }
+
+            if (userId !== this.userId) {
+                li.appendChild(this.createSanctionControls(userId, userInfo.username, sanction));
+            }
+
             this.elements.usersList.appendChild(li);
         });
     }
@@ -628,6 +1586,61 @@ class PubNubDashboard {
         this.chart.update();
     }
 
+    // ============================================
+    // USER SANCTIONS (mute / kick / ban)
+    // ============================================
+
+    createSanctionControls(userId, username, sanction) {
+        const controls = document.createElement('span');
+        controls.className = 'user-actions';
+
+        const addButton = (label, title, type) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.title = title;
+            button.addEventListener('click', () => this.sanctionUser(userId, username, type));
+            controls.appendChild(button);
+        };
+
+        if (sanction) {
+            addButton('↩️', 'Lift sanction', null);
+        } else {
+            addButton('🔇', `Mute for ${PubNubSanctions.DEFAULT_MINUTES.mute} min`, 'mute');
+            addButton('⏏️', `Kick for ${PubNubSanctions.DEFAULT_MINUTES.kick} min`, 'kick');
+            addButton('🚫', `Ban for ${PubNubSanctions.DEFAULT_MINUTES.ban / 60} h`, 'ban');
+        }
+        return controls;
+    }
+
+    // Record (or with type null, lift) a sanction in the user's App Context
+    sanctionUser(userId, username, type) {
+        PubNubSanctions.setSanction(this.pubnub, userId, type, {
+            moderatorId: this.userId
+        }).then(data => {
+            this.sanctions.update(userId, data.custom);
+            this.updateUsersList();
+
+            const action = type ? PubNubSanctions.describeSanction(this.sanctions.get(userId)) : 'sanction lifted';
+            this.logEvent(`${username} ${action}`, 'warning');
+        }).catch(() => {
+            this.showNotification(`Failed to update sanction for ${username}`, 'error');
+        });
+    }
+
+    // Anyone can publish a notice; only App Context says what the sanction is
+    handleSanctionMessage(notice) {
+        if (!notice || notice.type !== 'sanction' || typeof notice.userId !== 'string') return;
+
+        this.sanctions.refresh(this.pubnub, notice.userId).then(() => this.updateUsersList());
+    }
+
+    // Check both the PubNub publisher and the payload's userId, since the
+    // moderation gateway republishes on behalf of the original sender
+    isFromSanctionedUser(event) {
+        return this.sanctions.isSilenced(event.publisher) ||
+            this.sanctions.isSilenced(event.message && event.message.userId);
+    }
+
     // ============================================
     // APP CONTEXT & METADATA
     // ============================================
@@ -635,6 +1648,14 @@ class PubNubDashboard {
     handleObjectsEvent(event) {
         console.log('Objects event:', event);
         this.logEvent(`Metadata updated: ${event.message.type}`, 'info');
+
+        if (event.message.type === 'uuid' && event.message.data.name) {
+            this.knownUsers.set(event.message.data.id, event.message.data.name);
+        }
+        if (event.message.type === 'uuid' && event.message.data.custom) {
+            this.sanctions.update(event.message.data.id, event.message.data.custom);
+            this.updateUsersList();
+        }
     }
 
     showMetadata() {
@@ -659,19 +1680,35 @@ class PubNubDashboard {
     // ============================================
 
     handleStatus(statusEvent) {
-        const statusText = this.elements.connectionStatus.querySelector('.status-text');
-        const statusIndicator = this.elements.connectionStatus.querySelector('.status-indicator');
+        this.recordStatus(statusEvent);
 
         if (statusEvent.category === 'PNConnectedCategory') {
-            statusText.textContent = 'Connected';
-            statusIndicator.classList.add('connected');
             this.showNotification('Connected to PubNub', 'success');
             this.logEvent('Connected to PubNub', 'success');
-        } else if (statusEvent.category === 'PNNetworkDownCategory') {
-            statusText.textContent = 'Disconnected';
-            statusIndicator.classList.remove('connected');
-            this.showNotification('Connection lost', 'error');
+            this.loadReviewQueue();
+            this.loadRecentHistory();
+        } else if (statusEvent.category === 'PNNetworkDownCategory' || statusEvent.category === 'PNNetworkIssuesCategory') {
+            // The browser reports going offline; a failing subscribe reports
+            // network issues and is followed by PNReconnectedCategory
+            if (statusEvent.category === 'PNNetworkIssuesCategory') this.logEvent('Network issues - PubNub keeps retrying', 'warning');
+            if (this.offlineSince) return;
+            this.offlineSince = `${Date.now()}0000`; // timetokens count 100ns units
+            this.outbox.setOnline(false);
+            this.showNotification('Connection lost - messages will be sent when it is back', 'error');
             this.logEvent('Connection lost', 'error');
+        } else if (statusEvent.category === 'PNNetworkUpCategory' || statusEvent.category === 'PNReconnectedCategory') {
+            if (statusEvent.category === 'PNReconnectedCategory') this.logEvent('Subscription reconnected', 'success');
+            if (!this.offlineSince) return;
+            this.outbox.setOnline(true);
+            this.showNotification('Connection restored', 'success');
+            this.logEvent('Connection restored', 'success');
+            this.catchUpMissed();
+        } else if (statusEvent.category === 'PNAccessDeniedCategory') {
+            const channels = (statusEvent.errorData && statusEvent.errorData.payload && statusEvent.errorData.payload.channels) || [];
+            this.showNotification('Access denied - check the keys and permissions', 'error');
+            this.logEvent(`Access denied${channels.length > 0 ? ` to ${channels.join(', ')}` : ''}`, 'error');
+        } else {
+            this.logEvent(`Status: ${statusEvent.category}`, statusEvent.error ? 'error' : 'info');
         }
     }
 
@@ -688,6 +1725,111 @@ class PubNubDashboard {
         }
     }
 
+    // ============================================
+    // CONNECTION HEALTH
+    // ============================================
+
+    startHealthMonitor() {
+        // Downtime keeps counting while the connection is down
+        setInterval(() => {
+            if (this.health.downSince) this.renderHealth();
+        }, 1000);
+        this.renderHealth();
+    }
+
+    // Note the status event and whether it takes the connection up or down;
+    // coming back up after an outage counts as a reconnect
+    recordStatus(statusEvent) {
+        const health = this.health;
+        const now = Date.now();
+        health.statuses.unshift({ category: statusEvent.category, at: now, error: Boolean(statusEvent.error) });
+        health.statuses.splice(20); // keep the last 20
+
+        // Categories that say nothing about the connection leave the state as it is
+        const state = {
+            PNConnectedCategory: 'connected',
+            PNNetworkUpCategory: 'connected',
+            PNReconnectedCategory: 'connected',
+            PNNetworkIssuesCategory: 'issues',
+            PNNetworkDownCategory: 'disconnected',
+            PNDisconnectedCategory: 'disconnected',
+            PNDisconnectedUnexpectedlyCategory: 'disconnected',
+            PNAccessDeniedCategory: 'denied'
+        }[statusEvent.category];
+        if (state === 'connected') {
+            if (health.downSince) {
+                const outage = now - health.downSince;
+                health.downtime += outage;
+                health.downSince = null;
+                health.reconnects++;
+                this.logEvent(`Reconnected after ${this.formatDuration(outage)} (reconnect #${health.reconnects})`, 'success');
+            }
+        } else if (state && health.state === 'connected') {
+            health.downSince = now;
+        }
+        if (state) health.state = state;
+
+        this.renderHealth();
+    }
+
+    // Our own message is back: that is one publish round trip
+    recordRoundTrip(message) {
+        const id = message && message.clientMessageId;
+        if (!id || !this.health.sentAt.has(id)) return;
+
+        const latency = Math.round(performance.now() - this.health.sentAt.get(id));
+        this.health.sentAt.delete(id);
+        this.health.latencies = this.health.latencies.concat(latency).slice(-10);
+        if (latency > 1000) this.logEvent(`Slow publish round trip: ${latency} ms`, 'warning');
+        this.renderHealth();
+    }
+
+    renderHealth() {
+        const health = this.health;
+        const labels = { connecting: 'Connecting', connected: 'Connected', issues: 'Unstable', disconnected: 'Offline', denied: 'Denied' };
+
+        // Header dot
+        const statusText = this.elements.connectionStatus.querySelector('.status-text');
+        const statusIndicator = this.elements.connectionStatus.querySelector('.status-indicator');
+        statusText.textContent = health.state === 'connecting' ? 'Connecting...' :
+            health.state === 'connected' ? 'Connected' : 'Disconnected';
+        statusIndicator.classList.toggle('connected', health.state === 'connected');
+
+        this.elements.healthState.textContent = labels[health.state];
+        this.elements.healthState.className = `stat-value health-state ${health.state}`;
+
+        const latencies = health.latencies;
+        if (latencies.length > 0) {
+            const average = Math.round(latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length);
+            this.elements.healthLatency.textContent = `${latencies[latencies.length - 1]} ms`;
+            this.elements.healthLatencyLabel.textContent = `Publish Round Trip (avg ${average} ms)`;
+        }
+
+        this.elements.healthReconnects.textContent = health.reconnects;
+        const downtime = health.downtime + (health.downSince ? Date.now() - health.downSince : 0);
+        this.elements.healthDowntime.textContent = this.formatDuration(downtime);
+
+        this.elements.healthStatuses.replaceChildren(...health.statuses.map(status => {
+            const item = document.createElement('li');
+            item.className = `health-status-item${status.error ? ' error' : ''}`;
+            const category = document.createElement('span');
+            category.textContent = status.category;
+            const time = document.createElement('time');
+            time.dateTime = new Date(status.at).toISOString();
+            time.textContent = new Date(status.at).toLocaleTimeString();
+            item.append(category, time);
+            return item;
+        }));
+    }
+
+    // "45s", "3m 05s", "1h 02m"
+    formatDuration(ms) {
+        const seconds = Math.floor(ms / 1000);
+        if (seconds < 60) return `${seconds}s`;
+        if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+        return `${Math.floor(seconds / 3600)}h ${String(Math.floor(seconds / 60) % 60).padStart(2, '0')}m`;
+    }
+
     // ============================================
     // UI UTILITIES
     // ============================================
@@ -721,7 +1863,7 @@ class PubNubDashboard {
             position: 'fixed',
             top: '20px',
             right: '20px',
-            background: type === 'error' ? '#ef4444' : type === 'warning' ? '#f59e0b' : '#3b82f6',
+            background: type === 'error' ? '#ef4444' : type === 'warning' ? '#f59e0b' : type === 'mention' ? '#8b5cf6' : '#3b82f6',
             color: 'white',
             padding: '12px 20px',
             borderRadius: '8px',
@@ -735,7 +1877,7 @@ class PubNubDashboard {
         setTimeout(() => {
             toast.style.animation = 'slideOutRight 0.3s ease';
             setTimeout(() => toast.remove(), 300);
-        }, 3000);
+        }, type === 'mention' ? 6000 : 3000);
     }
 
     scrollToBottom() {
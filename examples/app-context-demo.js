@@ -1,4 +1,6 @@
 const PubNub = require('pubnub');
+const { ResilientClient } = require('../shared/resilient-client');
+const { originConfig } = require('../shared/origin');
 
 /**
  * PubNub App Context (Objects) Demo
@@ -14,9 +16,13 @@ const PubNub = require('pubnub');
 const pubnub = new PubNub({
     publishKey: 'demo',
     subscribeKey: 'demo',
-    userId: `user-${Math.random().toString(36).substr(2, 9)}`
+    userId: `user-${Math.random().toString(36).substr(2, 9)}`,
+    ...originConfig(process.env.PUBNUB_ORIGIN)
 });
 
+// App Context calls are retried on network errors (see shared/resilient-client.js)
+const client = new ResilientClient(pubnub);
+
 console.log('🚀 PubNub App Context Demo Starting...');
 console.log(`📡 User ID: ${pubnub.getUserId()}`);
 console.log('=' .repeat(50));
@@ -28,7 +34,7 @@ console.log('=' .repeat(50));
 function setUserMetadata() {
     console.log('\n📝 Setting User Metadata...');
     
-    pubnub.objects.setUUIDMetadata({
+    client.objects.setUUIDMetadata({
         uuid: pubnub.getUserId(),
         data: {
             name: 'John Doe',
@@ -57,7 +63,7 @@ function setUserMetadata() {
 function getUserMetadata(userId) {
     console.log(`\n📖 Getting User Metadata for: ${userId}`);
     
-    pubnub.objects.getUUIDMetadata({
+    client.objects.getUUIDMetadata({
         uuid: userId
     }, function(status, response) {
         if (!status.error) {
@@ -72,7 +78,7 @@ function getUserMetadata(userId) {
 function getAllUsers() {
     console.log('\n👥 Getting All Users...');
     
-    pubnub.objects.getAllUUIDMetadata({
+    client.objects.getAllUUIDMetadata({
         include: {
             customFields: true
         },
@@ -92,7 +98,7 @@ function getAllUsers() {
 function updateUserMetadata() {
     console.log('\n🔄 Updating User Metadata...');
     
-    pubnub.objects.setUUIDMetadata({
+    client.objects.setUUIDMetadata({
         uuid: pubnub.getUserId(),
         data: {
             custom: {
@@ -116,7 +122,7 @@ function updateUserMetadata() {
 function setChannelMetadata(channelId) {
     console.log(`\n📝 Setting Channel Metadata for: ${channelId}`);
     
-    pubnub.objects.setChannelMetadata({
+    client.objects.setChannelMetadata({
         channel: channelId,
         data: {
             name: 'Engineering Team Chat',
@@ -145,7 +151,7 @@ function setChannelMetadata(channelId) {
 function getChannelMetadata(channelId) {
     console.log(`\n📖 Getting Channel Metadata for: ${channelId}`);
     
-    pubnub.objects.getChannelMetadata({
+    client.objects.getChannelMetadata({
         channel: channelId,
         include: {
             customFields: true
@@ -163,7 +169,7 @@ function getChannelMetadata(channelId) {
 function getAllChannels() {
     console.log('\n📺 Getting All Channels...');
     
-    pubnub.objects.getAllChannelMetadata({
+    client.objects.getAllChannelMetadata({
         include: {
             customFields: true
         },
@@ -187,7 +193,7 @@ function getAllChannels() {
 function addMembership(channelId) {
     console.log(`\n➕ Adding membership to channel: ${channelId}`);
     
-    pubnub.objects.setMemberships({
+    client.objects.setMemberships({
         uuid: pubnub.getUserId(),
         channels: [{
             id: channelId,
@@ -210,7 +216,7 @@ function addMembership(channelId) {
 function getUserMemberships() {
     console.log('\n📋 Getting User Memberships...');
     
-    pubnub.objects.getMemberships({
+    client.objects.getMemberships({
         uuid: pubnub.getUserId(),
         include: {
             customFields: true,
@@ -234,7 +240,7 @@ function getUserMemberships() {
 function getChannelMembers(channelId) {
     console.log(`\n👥 Getting Channel Members for: ${channelId}`);
     
-    pubnub.objects.getChannelMembers({
+    client.objects.getChannelMembers({
         channel: channelId,
         include: {
             customFields: true,
@@ -258,7 +264,7 @@ function getChannelMembers(channelId) {
 function removeMembership(channelId) {
     console.log(`\n➖ Removing membership from channel: ${channelId}`);
     
-    pubnub.objects.removeMemberships({
+    client.objects.removeMemberships({
         uuid: pubnub.getUserId(),
         channels: [channelId]
     }, function(status, response) {
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const { performance } = require('perf_hooks');
+const {
+    createDefaultEngine,
+    createEngineFromPolicy,
+    parsePolicy,
+    isNearDuplicate,
+    levenshteinDistance
+} = require('../shared/moderation');
+
+/**
+ * Moderation Benchmark
+ *
+ * Times the duplicate checks in shared/moderation.js on pasted ~10 KB
+ * messages, next to the full-matrix Levenshtein the engine used to run, then
+ * engine.moderate() end to end with moderation-policy.json on random and
+ * adversarial 10 KB messages. Fails if a duplicate check takes longer than
+ * BUDGET_MS or a whole message longer than MODERATE_BUDGET_MS.
+ *
+ *   npm run bench:duplicates
+ */
+
+const MESSAGE_SIZE = 10 * 1024;
+const BUDGET_MS = 50;
+const MODERATE_BUDGET_MS = 250;
+
+// Deterministic text so runs are comparable
+let seed = 42;
+function random() {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+}
+
+const vocabulary = Array.from({ length: 2000 }, () =>
+    Array.from({ length: 2 + Math.floor(random() * 8) }, () =>
+        String.fromCharCode(97 + Math.floor(random() * 26))).join(''));
+
+function makeText(length) {
+    let text = '';
+    while (text.length < length) {
+        // Skewed towards common words, like real text
+        text += vocabulary[Math.floor(random() ** 2 * vocabulary.length)] + ' ';
+    }
+    return text.slice(0, length);
+}
+
+// The O(n·m) matrix version the engine used before
+function fullMatrixLevenshtein(str1, str2) {
+    const matrix = [];
+    for (let i = 0; i <= str2.length; i++) matrix[i] = [i];
+    for (let j = 0; j <= str1.length; j++) matrix[0][j] = j;
+
+    for (let i = 1; i <= str2.length; i++) {
+        for (let j = 1; j <= str1.length; j++) {
+            matrix[i][j] = str2.charAt(i - 1) === str1.charAt(j - 1) ?
+                matrix[i - 1][j - 1] :
+                Math.min(matrix[i - 1][j - 1], matrix[i][j - 1], matrix[i - 1][j]) + 1;
+        }
+    }
+    return matrix[str2.length][str1.length];
+}
+
+function time(label, runs, fn, budget = BUDGET_MS) {
+    fn(); // warm up
+    const start = performance.now();
+    let result;
+    for (let i = 0; i < runs; i++) result = fn();
+    const perRun = (performance.now() - start) / runs;
+    console.log(`${perRun <= budget ? '✅' : '❌'} ${label.padEnd(48)} ${perRun.toFixed(2).padStart(9)} ms  → ${result}`);
+    return perRun;
+}
+
+const original = makeText(MESSAGE_SIZE);
+const edited = original.slice(0, 4000) + 'a few words changed here' + original.slice(4100);
+const reworded = original.split(' ').map((word, i) => (i % 7 === 0 ? word.toUpperCase() : word)).join(' ');
+const unrelated = makeText(MESSAGE_SIZE);
+const mediumA = makeText(900);
+const mediumB = makeText(900);
+
+console.log('⏱️  Moderation Benchmark');
+console.log(`📏 Message size: ${original.length} characters, budget ${BUDGET_MS} ms per check`);
+console.log('=' .repeat(70));
+
+const timings = [
+    time('isNearDuplicate: small edit (10 KB)', 20, () => isNearDuplicate(original, edited, 0.8)),
+    time('isNearDuplicate: every 7th word changed (10 KB)', 20, () => isNearDuplicate(original, reworded, 0.8)),
+    time('isNearDuplicate: unrelated text (10 KB)', 20, () => isNearDuplicate(original, unrelated, 0.8)),
+    time('isNearDuplicate: unrelated text (900 chars)', 20, () => isNearDuplicate(mediumA, mediumB, 0.8)),
+    time('levenshteinDistance with cut-off (10 KB)', 20, () => levenshteinDistance(original, unrelated, 100))
+];
+
+// A full window: a new 10 KB message against the last 10 accepted ones
+const engine = createDefaultEngine({ now: () => 1000 });
+for (let i = 0; i < 10; i++) {
+    engine.track(makeText(MESSAGE_SIZE), true, 0);
+}
+const duplicateRule = engine.getRule('duplicate');
+const candidate = makeText(MESSAGE_SIZE);
+timings.push(time('duplicate rule: 10 KB vs 10 in window', 20, () =>
+    (duplicateRule.check(candidate, engine, 1000) ? 'duplicate' : 'unique')));
+
+// The full matrix needs n·m cells, so keep its input small enough to finish
+const BASELINE_SIZE = 4 * 1024;
+console.log('-' .repeat(70));
+console.log(`Before (full matrix, ${BASELINE_SIZE / 1024} KB vs ${BASELINE_SIZE / 1024} KB; grows with the square of the size):`);
+const before = time('fullMatrixLevenshtein: unrelated text', 1, () =>
+    fullMatrixLevenshtein(original.slice(0, BASELINE_SIZE), unrelated.slice(0, BASELINE_SIZE)));
+console.log('=' .repeat(70));
+
+// The whole engine as the CLI and gateway run it: the shipped policy and a
+// sender with a full duplicate window but an unspent rate limit, so every
+// rule runs. Each run gets a fresh engine.
+const policy = parsePolicy(fs.readFileSync(path.join(__dirname, '..', 'moderation-policy.json'), 'utf8'));
+const windowTexts = Array.from({ length: 10 }, () => makeText(MESSAGE_SIZE));
+function senderEngine() {
+    const engine = createEngineFromPolicy(policy, { now: () => 1000 });
+    engine.restore({ messageHistory: windowTexts.map(text => ({ text: text, timestamp: 0 })) });
+    return engine;
+}
+
+const fill = unit => unit.repeat(Math.ceil(MESSAGE_SIZE / unit.length)).slice(0, MESSAGE_SIZE);
+const messages = [
+    ['random text', makeText(MESSAGE_SIZE)],
+    ['random text, links, mentions, a listed word', makeText(MESSAGE_SIZE - 120) +
+        ' see https://pubnub.com/docs and https://example.com/x @alice @bob what a b.a.d.w.o.r.d'],
+    ['near-duplicate of the window', windowTexts[3].slice(0, 5000) + 'changed' + windowTexts[3].slice(5007)],
+    ['shouting', makeText(MESSAGE_SIZE).toUpperCase()],
+    ["'!' (leetspeak and punctuation)", fill('!')],
+    ['"s." (dotted letters)', fill('s.')],
+    ['"s " (spaced letters)', fill('s ')],
+    ['"s!" (letters and leetspeak)', fill('s!')],
+    ['one repeated letter', fill('a')],
+    ['emoji', fill('😀')],
+    ['links', fill('https://a.example ')],
+    ['mentions', makeText(MESSAGE_SIZE).split(' ').map(word => `@${word}`).join(' ').slice(0, MESSAGE_SIZE)],
+    ['zero-width spaces', fill('s\u200B')]
+];
+
+console.log('-' .repeat(70));
+console.log(`engine.moderate() with moderation-policy.json, budget ${MODERATE_BUDGET_MS} ms per message:`);
+const moderateTimings = messages.map(([label, text]) => {
+    const engines = Array.from({ length: 6 }, senderEngine);
+    return time(`moderate: ${label}`, 5, () => engines.pop().moderate(text).action, MODERATE_BUDGET_MS);
+});
+console.log('=' .repeat(70));
+
+const slowest = Math.max(...timings);
+const slowestModerate = Math.max(...moderateTimings);
+console.log(`🏁 Slowest check: ${slowest.toFixed(2)} ms (full matrix on ${BASELINE_SIZE / 1024} KB: ${before.toFixed(0)} ms)`);
+console.log(`🏁 Slowest message through the engine: ${slowestModerate.toFixed(2)} ms`);
+
+if (slowest > BUDGET_MS || slowestModerate > MODERATE_BUDGET_MS) {
+    process.exit(1);
+}
@@ -1,4 +1,6 @@
 const PubNub = require('pubnub');
+const { ResilientClient } = require('../shared/resilient-client');
+const { originConfig } = require('../shared/origin');
 
 console.log('🛡️ PubNub Error Handling and Resilience Demo');
 
@@ -11,16 +13,26 @@ const pubnub = new PubNub({
     heartbeatInterval: 5,
     // Enable retry configuration
     restore: true,
-    reconnectionPolicy: PubNub.EXPONENTIAL_POLICY
+    reconnectionPolicy: PubNub.EXPONENTIAL_POLICY,
+    ...originConfig(process.env.PUBNUB_ORIGIN)
 });
 
 const channel = 'error-handling-demo';
 
-// Comprehensive error tracking
-const errorStats = {
+// Publish and history calls go through the resilient client
+// (shared/resilient-client.js): retried with backoff and jitter, paused by a
+// circuit breaker after repeated failures, and counted in client.stats()
+const client = new ResilientClient(pubnub, {
+    retries: 2,
+    onRetry: retry => {
+        console.log(`🔄 ${retry.operation} failed (${retry.category}), retry #${retry.retry} in ${retry.delay}ms...`);
+    },
+    onCircuitChange: state => console.log(`⚡ Circuit ${state}`)
+});
+
+// Subscribe-side events are not REST calls, so the listener counts them itself
+const connectionStats = {
     networkErrors: 0,
-    publishErrors: 0,
-    subscribeErrors: 0,
     timeouts: 0,
     reconnections: 0
 };
@@ -33,8 +45,8 @@ pubnub.addListener({
     
     presence: function(event) {
         if (event.action === 'timeout') {
-            errorStats.timeouts++;
-            console.log(`⏰ Presence timeout detected for ${event.uuid} (Total: ${errorStats.timeouts})`);
+            connectionStats.timeouts++;
+            console.log(`⏰ Presence timeout detected for ${event.uuid} (Total: ${connectionStats.timeouts})`);
         }
     },
     
@@ -44,15 +56,15 @@ pubnub.addListener({
         switch(statusEvent.category) {
             case 'PNConnectedCategory':
                 console.log('✅ Successfully connected to PubNub');
-                errorStats.reconnections++;
-                if (errorStats.reconnections > 1) {
-                    console.log(`🔄 Reconnection #${errorStats.reconnections - 1} successful`);
+                connectionStats.reconnections++;
+                if (connectionStats.reconnections > 1) {
+                    console.log(`🔄 Reconnection #${connectionStats.reconnections - 1} successful`);
                 }
                 break;
                 
             case 'PNNetworkDownCategory':
-                errorStats.networkErrors++;
-                console.log(`❌ Network is down (Error #${errorStats.networkErrors})`);
+                connectionStats.networkErrors++;
+                console.log(`❌ Network is down (Error #${connectionStats.networkErrors})`);
                 console.log('   PubNub will attempt to reconnect automatically...');
                 break;
                 
@@ -65,8 +77,8 @@ pubnub.addListener({
                 break;
                 
             case 'PNNetworkIssuesCategory':
-                errorStats.networkErrors++;
-                console.log(`⚠️ Network issues detected (Issue #${errorStats.networkErrors})`);
+                connectionStats.networkErrors++;
+                console.log(`⚠️ Network issues detected (Issue #${connectionStats.networkErrors})`);
                 console.log('   Affected channels:', statusEvent.affectedChannels);
                 break;
                 
@@ -103,71 +115,42 @@ pubnub.subscribe({
     withPresence: true
 });
 
-// Function to publish with comprehensive error handling
-function publishWithErrorHandling(message, attempt = 1) {
-    const maxAttempts = 3;
+// Publish; the client retries network and server errors on its own
+function publishWithErrorHandling(message) {
+    console.log(`📤 Publishing message: ${JSON.stringify(message)}`);
     
-    console.log(`📤 Publishing message (attempt ${attempt}/${maxAttempts}): ${JSON.stringify(message)}`);
-    
-    pubnub.publish({
+    client.publish({
         channel: channel,
         message: message,
-        meta: { attempt: attempt, timestamp: Date.now() }
-    }, function(status, response) {
-        if (status.error) {
-            errorStats.publishErrors++;
-            console.log(`❌ Publish failed (Error #${errorStats.publishErrors}):`, {
-                category: status.category,
-                operation: status.operation,
-                statusCode: status.statusCode,
-                errorData: status.errorData
-            });
-            
-            // Retry logic
-            if (attempt < maxAttempts) {
-                const retryDelay = Math.pow(2, attempt) * 1000; // Exponential backoff
-                console.log(`🔄 Retrying in ${retryDelay}ms...`);
-                setTimeout(() => {
-                    publishWithErrorHandling(message, attempt + 1);
-                }, retryDelay);
-            } else {
-                console.log('💀 Max retry attempts reached. Message failed to send.');
-            }
-        } else {
-            console.log('✅ Message published successfully!', {
-                timetoken: response.timetoken,
-                attempt: attempt
-            });
-        }
+        meta: { timestamp: Date.now() }
+    }).then(response => {
+        console.log('✅ Message published successfully!', { timetoken: response.timetoken });
+    }).catch(error => {
+        // ResilientError: kind is network, server, throttled, access, request, cancelled, circuit or unknown
+        console.log('💀 Message failed to send:', {
+            kind: error.kind,
+            category: error.category,
+            statusCode: error.statusCode,
+            attempts: error.attempts
+        });
     });
 }
 
-// Function to demonstrate history with error handling
 function fetchHistoryWithErrorHandling() {
     console.log('\n📜 Fetching history with error handling...');
     
-    pubnub.history({
+    client.history({
         channel: channel,
         count: 5,
         stringifiedTimeToken: true
-    }, function(status, response) {
-        if (status.error) {
-            console.log('❌ History fetch failed:', {
-                category: status.category,
-                statusCode: status.statusCode,
-                errorData: status.errorData
-            });
-            
-            // Retry after delay
-            console.log('🔄 Retrying history fetch in 2 seconds...');
-            setTimeout(fetchHistoryWithErrorHandling, 2000);
-        } else {
-            console.log(`✅ History fetched successfully (${response.messages.length} messages)`);
-            response.messages.forEach((msg, index) => {
-                const timestamp = new Date(msg.timetoken / 10000).toLocaleString();
-                console.log(`  ${index + 1}. [${timestamp}] ${JSON.stringify(msg.entry)}`);
-            });
-        }
+    }).then(response => {
+        console.log(`✅ History fetched successfully (${response.messages.length} messages)`);
+        response.messages.forEach((msg, index) => {
+            const timestamp = new Date(msg.timetoken / 10000).toLocaleString();
+            console.log(`  ${index + 1}. [${timestamp}] ${JSON.stringify(msg.entry)}`);
+        });
+    }).catch(error => {
+        console.log(`❌ History fetch failed after ${error.attempts} attempt(s): ${error.category} (${error.kind})`);
     });
 }
 
@@ -188,30 +171,37 @@ setTimeout(() => {
 setTimeout(() => {
     console.log('\n🧪 Testing error handling with potentially problematic operation...');
     
-    // This might fail with certain PubNub configurations
-    const testPubnub = new PubNub({
+    // This might fail with certain PubNub configurations. Access and request
+    // errors are not retried: trying again would fail the same way.
+    const testClient = new ResilientClient(new PubNub({
         publishKey: 'invalid-key',
         subscribeKey: 'invalid-key',
-        userId: 'test-user'
-    });
+        userId: 'test-user',
+        ...originConfig(process.env.PUBNUB_ORIGIN)
+    }));
     
-    testPubnub.publish({
+    testClient.publish({
         channel: 'test-channel',
         message: 'This should fail'
-    }, function(status, response) {
-        if (status.error) {
-            console.log('✅ Successfully caught expected error:', status.category);
-        } else {
-            console.log('🤔 Unexpected success with invalid keys');
-        }
+    }).then(() => {
+        console.log('🤔 Unexpected success with invalid keys');
+    }).catch(error => {
+        console.log(`✅ Successfully caught expected error: ${error.category} (${error.kind}, ${error.attempts} attempt(s))`);
     });
 }, 8000);
 
 // Print error statistics
 setTimeout(() => {
+    const stats = client.stats();
     console.log('\n📊 Error Statistics Summary:');
     console.log('----------------------------');
-    Object.entries(errorStats).forEach(([key, value]) => {
+    console.log(`calls: ${stats.calls} (${stats.succeeded} succeeded, ${stats.failed} failed)`);
+    console.log(`retries: ${stats.retries}`);
+    console.log(`circuit: ${stats.circuit.state} (opened ${stats.circuit.opens} times, ${stats.rejected} calls turned away)`);
+    Object.entries(stats.byCategory).forEach(([category, count]) => {
+        console.log(`${category}: ${count}`);
+    });
+    Object.entries(connectionStats).forEach(([key, value]) => {
         console.log(`${key}: ${value}`);
     });
     console.log('----------------------------');
@@ -219,7 +209,8 @@ setTimeout(() => {
     console.log('\n✅ Error handling demo completed!');
     console.log('💡 Key takeaways:');
     console.log('   - Always handle status events in your listener');
-    console.log('   - Implement retry logic for critical operations');
+    console.log('   - Retry transient errors with backoff and jitter, not access or request errors');
+    console.log('   - Stop calling a failing service for a while (circuit breaker)');
     console.log('   - Monitor error statistics for debugging');
     console.log('   - PubNub has built-in reconnection capabilities');
     
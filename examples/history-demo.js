@@ -1,13 +1,19 @@
 const PubNub = require('pubnub');
+const { ResilientClient } = require('../shared/resilient-client');
+const { originConfig } = require('../shared/origin');
 
 console.log('📜 PubNub Message History Demo');
 
 const pubnub = new PubNub({
     publishKey: 'demo',
     subscribeKey: 'demo',
-    userId: `history-demo-user-${Date.now()}`
+    userId: `history-demo-user-${Date.now()}`,
+    ...originConfig(process.env.PUBNUB_ORIGIN)
 });
 
+// Publish and history calls are retried on network errors (see shared/resilient-client.js)
+const client = new ResilientClient(pubnub);
+
 const channel = 'history-demo-channel';
 
 // Function to publish sample messages
@@ -24,7 +30,7 @@ async function publishSampleMessages() {
     
     for (let i = 0; i < messages.length; i++) {
         await new Promise((resolve) => {
-            pubnub.publish({
+            client.publish({
                 channel: channel,
                 message: messages[i],
                 meta: { messageIndex: i + 1 }
@@ -47,7 +53,7 @@ async function publishSampleMessages() {
 function fetchHistory(count = 10) {
     console.log(`\n📖 Fetching last ${count} messages from history...`);
     
-    pubnub.history({
+    client.history({
         channel: channel,
         count: count,
         stringifiedTimeToken: true,
@@ -85,7 +91,7 @@ function demonstrateTimeBasedHistory(messages) {
     const startTime = messages[1].timetoken;
     const endTime = messages[Math.min(3, messages.length - 1)].timetoken;
     
-    pubnub.history({
+    client.history({
         channel: channel,
         start: startTime,
         end: endTime,
@@ -117,9 +123,9 @@ function demonstrateMessageCounts() {
     // Get count of messages since a specific time (1 hour ago)
     const oneHourAgo = (Date.now() - 3600000) * 10000; // Convert to PubNub timetoken format
     
-    pubnub.messageCounts({
+    client.messageCounts({
         channels: [channel],
-        channelsTimetoken: [oneHourAgo.toString()]
+        channelTimetokens: [oneHourAgo.toString()]
     }, function(status, response) {
         if (status.error) {
             console.log('❌ Error getting message counts:', status);
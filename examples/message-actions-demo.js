@@ -1,4 +1,6 @@
 const PubNub = require('pubnub');
+const { ResilientClient } = require('../shared/resilient-client');
+const { originConfig } = require('../shared/origin');
 
 /**
  * PubNub Message Actions Demo
@@ -14,9 +16,13 @@ const PubNub = require('pubnub');
 const pubnub = new PubNub({
     publishKey: 'demo',
     subscribeKey: 'demo',
-    userId: `user-${Math.random().toString(36).substr(2, 9)}`
+    userId: `user-${Math.random().toString(36).substr(2, 9)}`,
+    ...originConfig(process.env.PUBNUB_ORIGIN)
 });
 
+// REST calls are retried on network errors (see shared/resilient-client.js)
+const client = new ResilientClient(pubnub);
+
 const CHANNEL = 'message-actions-demo';
 
 console.log('🚀 PubNub Message Actions Demo Starting...');
@@ -34,7 +40,7 @@ let messageTimetoken = null;
 function publishMessage(text, callback) {
     console.log(`\n📤 Publishing message: "${text}"`);
     
-    pubnub.publish({
+    client.publish({
         channel: CHANNEL,
         message: {
             text: text,
@@ -55,7 +61,7 @@ function publishMessage(text, callback) {
 function addReaction(messageTimetoken, emoji) {
     console.log(`\n👍 Adding reaction "${emoji}" to message ${messageTimetoken}`);
     
-    pubnub.addMessageAction({
+    client.addMessageAction({
         channel: CHANNEL,
         messageTimetoken: messageTimetoken,
         action: {
@@ -78,7 +84,7 @@ function addReaction(messageTimetoken, emoji) {
 function addReply(messageTimetoken, replyText) {
     console.log(`\n💬 Adding reply to message ${messageTimetoken}`);
     
-    pubnub.addMessageAction({
+    client.addMessageAction({
         channel: CHANNEL,
         messageTimetoken: messageTimetoken,
         action: {
@@ -97,7 +103,7 @@ function addReply(messageTimetoken, replyText) {
 function addCustomAction(messageTimetoken, actionType, value) {
     console.log(`\n⚡ Adding custom action "${actionType}" to message`);
     
-    pubnub.addMessageAction({
+    client.addMessageAction({
         channel: CHANNEL,
         messageTimetoken: messageTimetoken,
         action: {
@@ -116,7 +122,7 @@ function addCustomAction(messageTimetoken, actionType, value) {
 function getMessageActions(messageTimetoken) {
     console.log(`\n📖 Getting actions for message ${messageTimetoken}`);
     
-    pubnub.getMessageActions({
+    client.getMessageActions({
         channel: CHANNEL,
         start: messageTimetoken,
         end: messageTimetoken
@@ -149,7 +155,7 @@ function getMessageActions(messageTimetoken) {
 function removeMessageAction(messageTimetoken, actionTimetoken) {
     console.log(`\n🗑️ Removing action ${actionTimetoken} from message ${messageTimetoken}`);
     
-    pubnub.removeMessageAction({
+    client.removeMessageAction({
         channel: CHANNEL,
         messageTimetoken: messageTimetoken,
         actionTimetoken: actionTimetoken
@@ -165,7 +171,7 @@ function removeMessageAction(messageTimetoken, actionTimetoken) {
 function getMessagesWithActions() {
     console.log('\n📜 Fetching messages with their actions...');
     
-    pubnub.fetchMessages({
+    client.fetchMessages({
         channels: [CHANNEL],
         count: 10,
         includeMessageActions: true
@@ -1,4 +1,6 @@
 const PubNub = require('pubnub');
+const { ResilientClient } = require('../shared/resilient-client');
+const { originConfig } = require('../shared/origin');
 
 console.log('👥 PubNub Presence Tracking Demo');
 
@@ -12,7 +14,8 @@ for (let i = 1; i <= 3; i++) {
         publishKey: 'demo',
         subscribeKey: 'demo',
         userId: `demo-user-${i}`,
-        heartbeatInterval: 19
+        heartbeatInterval: 19,
+        ...originConfig(process.env.PUBNUB_ORIGIN)
     });
     
     user.addListener({
@@ -36,14 +39,19 @@ for (let i = 1; i <= 3; i++) {
     users.push(user);
 }
 
+// Presence checks go through user 1, retried on network errors (see shared/resilient-client.js)
+const client = new ResilientClient(users[0]);
+
 // Function to get current presence
 function checkPresence() {
-    users[0].hereNow({
+    client.hereNow({
         channels: [channel],
         includeUUIDs: true,
         includeState: true
     }, function(status, response) {
-        if (!status.error) {
+        if (status.error) {
+            console.log('❌ Presence check failed:', status.category);
+        } else {
             const channelData = response.channels[channel];
             console.log(`\n📊 Current Presence on ${channel}:`);
             console.log(`   Total occupancy: ${channelData.occupancy}`);
@@ -0,0 +1,35 @@
+const { createProfanityMatcher } = require('../shared/profanity');
+const corpus = require('./profanity-corpus.json');
+
+/**
+ * Profanity Matcher Demo
+ *
+ * Runs the matcher from shared/profanity.js over the sample corpus in
+ * profanity-corpus.json and reports any case that comes out differently
+ * from what the corpus expects. Exits non-zero on a mismatch, so it can be
+ * used to check changes to the matcher.
+ */
+
+const matcher = createProfanityMatcher(corpus.words, { allowlist: corpus.allowlist });
+
+console.log('🛡️ PubNub Profanity Matcher Demo');
+console.log(`📋 Words: ${corpus.words.join(', ')}`);
+console.log(`✅ Allowlist: ${corpus.allowlist.join(', ')}`);
+console.log('=' .repeat(50));
+
+let failures = 0;
+
+corpus.cases.forEach(testCase => {
+    const matched = matcher.test(testCase.text);
+    const ok = matched === testCase.match;
+    if (!ok) failures++;
+
+    const icon = ok ? '✅' : '❌';
+    const verdict = matched ? `masked → ${JSON.stringify(matcher.mask(testCase.text))}` : 'clean';
+    console.log(`${icon} ${JSON.stringify(testCase.text)} (${testCase.note}): ${verdict}`);
+});
+
+console.log('=' .repeat(50));
+console.log(`${corpus.cases.length - failures}/${corpus.cases.length} cases behaved as expected`);
+
+process.exit(failures > 0 ? 1 : 0);
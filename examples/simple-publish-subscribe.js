@@ -1,4 +1,6 @@
 const PubNub = require('pubnub');
+const { ResilientClient } = require('../shared/resilient-client');
+const { originConfig } = require('../shared/origin');
 
 // This is a simple example showing basic publish/subscribe functionality
 console.log('🔥 Simple PubNub Publish/Subscribe Example');
@@ -6,9 +8,14 @@ console.log('🔥 Simple PubNub Publish/Subscribe Example');
 const pubnub = new PubNub({
     publishKey: 'demo',
     subscribeKey: 'demo',
-    userId: `simple-user-${Date.now()}`
+    userId: `simple-user-${Date.now()}`,
+    // PUBNUB_ORIGIN=http://localhost:8090 runs against server/mock-pubnub.js
+    ...originConfig(process.env.PUBNUB_ORIGIN)
 });
 
+// Publishes are retried on network errors (see shared/resilient-client.js)
+const client = new ResilientClient(pubnub);
+
 const channel = 'simple-test-channel';
 
 // Set up listener for incoming messages
@@ -56,15 +63,13 @@ pubnub.subscribe({
 
 // Function to publish messages
 function publishTestMessage(message) {
-    pubnub.publish({
+    client.publish({
         channel: channel,
         message: message
-    }, function(status, response) {
-        if (status.error) {
-            console.log('❌ Publish error:', status);
-        } else {
-            console.log('✅ Message published successfully');
-        }
+    }).then(() => {
+        console.log('✅ Message published successfully');
+    }).catch(error => {
+        console.log(`❌ Publish error (${error.kind}):`, error.message);
     });
 }
 
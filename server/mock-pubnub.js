@@ -0,0 +1,854 @@
+const http = require('http');
+const zlib = require('zlib');
+const { randomUUID } = require('crypto');
+
+/**
+ * Local PubNub-Compatible Mock Server
+ *
+ * Emulates the part of the PubNub REST API this repo uses, in memory, so the
+ * CLI, the web clients and the examples run without a network connection or
+ * real keys:
+ *   - publish, signal, fire and time
+ *   - subscribe long-polls with message, signal, presence, message action
+ *     and App Context events
+ *   - presence: join / leave / timeout / state-change events, heartbeat,
+ *     hereNow, whereNow, getState and setState
+ *   - history (v2), fetchMessages with or without message actions,
+ *     messageCounts and deleteMessages
+ *   - message actions: add, remove and get
+ *   - App Context: UUID and channel metadata, memberships and members
+ *   - files: sendFile (upload URL, upload and file message), listFiles,
+ *     downloadFile / getFileUrl and deleteFile
+ *
+ * Point a client at it with the `origin` setting (see shared/origin.js):
+ *   PUBNUB_ORIGIN=http://localhost:8090 npm start
+ *   index.html?origin=localhost:8090
+ *
+ * Not emulated: channel groups, Access Manager, file encryption,
+ * filter expressions and App Context `filter` / `sort`. Any `demo`,
+ * `pub-c-...` or `sub-c-...` key is accepted, each subscribe key with its
+ * own data; other keys get "Invalid Key" like PubNub. Nothing is persisted.
+ *
+ *   node server/mock-pubnub.js                  # port 8090
+ *   node server/mock-pubnub.js --port 9000 --verbose
+ */
+
+const DEFAULT_PORT = 8090;
+const REGION = 1;
+
+const DEFAULTS = {
+    longPollTimeout: 280000, // an empty subscribe response after this long
+    presenceTimeout: 300, // seconds, when a client does not send `heartbeat`
+    historyLimit: 1000, // stored messages kept per channel
+    eventLimit: 1000, // recent events kept for subscribers catching up
+    verbose: false,
+    logger: console
+};
+
+// Subscribe envelope `e` values (messages have none)
+const EVENT_TYPES = { signal: 1, objects: 2, action: 3, file: 4 };
+
+// Content-Type stored with an upload, from the file name like PubNub's storage
+const MIME_TYPES = {
+    png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp',
+    pdf: 'application/pdf', txt: 'text/plain', zip: 'application/zip'
+};
+
+const UUID_FIELDS = ['name', 'externalId', 'profileUrl', 'email', 'type', 'status', 'custom'];
+const CHANNEL_FIELDS = ['name', 'description', 'type', 'status', 'custom'];
+
+const isKnownKey = key => key === 'demo' || key === 'demo-36' || /^(pub|sub)-c-/.test(key);
+const isPresenceChannel = channel => channel.endsWith('-pnpres');
+const names = list => (list && list !== ',' ? list.split(',').filter(Boolean) : []);
+
+// A response body that the SDK turns into an error status
+class MockError extends Error {
+    constructor(statusCode, message, body) {
+        super(message);
+        this.statusCode = statusCode;
+        this.body = body || { status: statusCode, error: true, message: message, service: 'Mock PubNub' };
+    }
+}
+
+const notFound = message => new MockError(404, message, { status: 404, error: { message: message, source: 'objects' } });
+
+class MockPubNub {
+    constructor(options = {}) {
+        this.options = Object.assign({}, DEFAULTS, options);
+        this.logger = this.options.logger;
+        this.keysets = new Map(); // subscribe key -> data, see keyset()
+        this.events = []; // { sub, channel, timetoken (BigInt), envelope }, oldest first
+        this.waiting = new Set(); // pending subscribe long-polls
+        this.lastTimetoken = 0n;
+        this.server = http.createServer((req, res) => this.handle(req, res));
+    }
+
+    listen(port = DEFAULT_PORT) {
+        this.sweeper = setInterval(() => this.sweepPresence(), 1000);
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, () => resolve(this.server.address().port));
+        });
+    }
+
+    close() {
+        clearInterval(this.sweeper);
+        this.waiting.forEach(waiter => this.respond(waiter, []));
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    // 17-digit timetokens (10ths of a microsecond), always increasing
+    nextTimetoken() {
+        const now = BigInt(Date.now()) * 10000n;
+        this.lastTimetoken = now > this.lastTimetoken ? now : this.lastTimetoken + 1n;
+        return this.lastTimetoken.toString();
+    }
+
+    keyset(sub) {
+        if (!isKnownKey(sub)) throw new MockError(400, 'Invalid Subscribe Key');
+        if (!this.keysets.has(sub)) {
+            this.keysets.set(sub, {
+                messages: new Map(), // channel -> [{ timetoken, message, uuid, meta, messageType, customMessageType }]
+                actions: new Map(), // channel -> [{ type, value, uuid, actionTimetoken, messageTimetoken }]
+                presence: new Map(), // channel -> Map uuid -> { lastSeen, timeout }
+                states: new Map(), // `${channel}\n${uuid}` -> state
+                uuids: new Map(),
+                channels: new Map(),
+                memberships: new Map(), // `${uuid}\n${channel}` -> { uuid, channel, custom, status, type, updated, eTag }
+                uploads: new Map(), // file id -> { channel, name } until uploaded
+                files: new Map() // channel -> [{ id, name, size, created, mimeType, data }]
+            });
+        }
+        return this.keysets.get(sub);
+    }
+
+    // ============================================
+    // HTTP
+    // ============================================
+
+    handle(req, res) {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', req.headers['access-control-request-headers'] || 'Content-Type');
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        readBody(req).then(raw => {
+            const url = new URL(req.url, 'http://localhost');
+            const segments = url.pathname.split('/').slice(1).map(segment => decodeURIComponent(segment));
+            const request = { method: req.method, segments, query: Object.fromEntries(url.searchParams), body: raw.toString('utf8'), raw, req, res };
+            if (this.options.verbose) this.logger.log(`${req.method} ${url.pathname}`);
+            return this.route(request);
+        }).then(result => {
+            if (result !== undefined) send(res, 200, result);
+        }).catch(error => {
+            if (error instanceof MockError) {
+                send(res, error.statusCode, error.body);
+            } else {
+                this.logger.error(`❌ ${req.method} ${req.url}: ${error.message}`);
+                send(res, 400, { status: 400, error: true, message: error.message, service: 'Mock PubNub' });
+            }
+        });
+    }
+
+    // Resolves with the JSON to answer, or undefined when the handler answers
+    // itself (subscribe long-polls)
+    route(request) {
+        const [root, ...rest] = request.segments;
+        const version = root === 'v1' || root === 'v2' || root === 'v3' ? `${root}/${rest[0]}` : root;
+
+        switch (version) {
+            case 'time':
+                return [this.nextTimetoken()];
+            case 'publish':
+                return this.publish(request, rest);
+            case 'signal':
+                return this.signal(request, rest);
+            case 'v2/subscribe':
+                return this.subscribe(request, rest.slice(1));
+            case 'v2/presence':
+                return this.presenceRequest(request, rest.slice(2));
+            case 'v2/history':
+                return this.history(request, rest.slice(2));
+            case 'v3/history':
+            case 'v3/history-with-actions':
+                return this.fetchMessages(request, rest);
+            case 'v1/message-actions':
+                return this.messageActions(request, rest.slice(1));
+            case 'v2/objects':
+                return this.objects(request, rest.slice(1));
+            case 'v1/files':
+                return this.files(request, rest.slice(1));
+            default:
+                throw new MockError(404, `Unknown endpoint ${request.req.url.split('?')[0]}`);
+        }
+    }
+
+    // ============================================
+    // PUBLISH & SUBSCRIBE
+    // ============================================
+
+    // /publish/{pub}/{sub}/0/{channel}/0[/{message}]
+    publish(request, [pub, sub, , channel, , payload]) {
+        if (!isKnownKey(pub)) throw new MockError(400, 'Invalid Key');
+        const ks = this.keyset(sub);
+        const message = JSON.parse(payload !== undefined ? payload : request.body);
+        const { query } = request;
+        const timetoken = this.nextTimetoken();
+        const meta = query.meta ? JSON.parse(query.meta) : undefined;
+
+        if (query.store !== '0') {
+            this.store(ks, channel, { timetoken, message, uuid: query.uuid, meta, messageType: null, customMessageType: query.custom_message_type });
+        }
+        this.emit(sub, channel, timetoken, { i: query.uuid, d: message, u: meta, cmt: query.custom_message_type });
+        return [1, 'Sent', timetoken];
+    }
+
+    // /signal/{pub}/{sub}/0/{channel}/0/{message}, never stored
+    signal(request, [pub, sub, , channel, , payload]) {
+        if (!isKnownKey(pub)) throw new MockError(400, 'Invalid Key');
+        this.keyset(sub);
+        const timetoken = this.nextTimetoken();
+        this.emit(sub, channel, timetoken, { e: EVENT_TYPES.signal, i: request.query.uuid, d: JSON.parse(payload), cmt: request.query.custom_message_type });
+        return [1, 'Sent', timetoken];
+    }
+
+    store(ks, channel, entry) {
+        const entries = ks.messages.get(channel) || [];
+        entries.push(entry);
+        if (entries.length > this.options.historyLimit) entries.shift();
+        ks.messages.set(channel, entries);
+    }
+
+    // Record an event and hand it to the long-polls waiting for it
+    emit(sub, channel, timetoken, fields) {
+        const envelope = Object.assign({ a: '1', f: 0, p: { t: timetoken, r: REGION }, k: sub, c: channel }, fields);
+        Object.keys(envelope).forEach(key => envelope[key] === undefined && delete envelope[key]);
+        this.events.push({ sub, channel, timetoken: BigInt(timetoken), envelope });
+        if (this.events.length > this.options.eventLimit) this.events.shift();
+
+        this.waiting.forEach(waiter => {
+            if (waiter.sub === sub && waiter.channels.has(channel)) this.respond(waiter, this.eventsFor(waiter));
+        });
+    }
+
+    eventsFor({ sub, channels, cursor }) {
+        return this.events.filter(event => event.sub === sub && channels.has(event.channel) && event.timetoken > cursor).slice(0, 100);
+    }
+
+    // /v2/subscribe/{sub}/{channels}/0?tt=&heartbeat=&state=
+    subscribe(request, [sub, channelList]) {
+        this.keyset(sub);
+        const { query, res } = request;
+        const channels = new Set(names(channelList));
+        const state = query.state ? JSON.parse(query.state) : {};
+        // Handshake: start from now, so the client sees its own join
+        const handshake = !query.tt || query.tt === '0' ? this.nextTimetoken() : null;
+        this.touch(sub, [...channels], query.uuid, Number(query.heartbeat) || this.options.presenceTimeout, state);
+        if (handshake) return { t: { t: handshake, r: REGION }, m: [] };
+
+        const waiter = { sub, channels, uuid: query.uuid, cursor: BigInt(query.tt), res };
+        const events = this.eventsFor(waiter);
+        if (events.length > 0) return this.envelopes(waiter, events);
+
+        waiter.timer = setTimeout(() => this.respond(waiter, []), this.options.longPollTimeout);
+        this.waiting.add(waiter);
+        res.on('close', () => {
+            clearTimeout(waiter.timer);
+            this.waiting.delete(waiter);
+        });
+        return undefined;
+    }
+
+    envelopes(waiter, events) {
+        const cursor = events.length > 0 ? events[events.length - 1].timetoken : waiter.cursor;
+        return { t: { t: cursor.toString(), r: REGION }, m: events.map(event => event.envelope) };
+    }
+
+    respond(waiter, events) {
+        clearTimeout(waiter.timer);
+        this.waiting.delete(waiter);
+        send(waiter.res, 200, this.envelopes(waiter, events));
+    }
+
+    // ============================================
+    // PRESENCE
+    // ============================================
+
+    // /v2/presence/sub-key/{sub}[/channel/{channels}[/heartbeat|/leave|/uuid/{uuid}[/data]]]
+    // /v2/presence/sub-key/{sub}/uuid/{uuid}
+    presenceRequest(request, [sub, kind, target, action, uuid, data]) {
+        const ks = this.keyset(sub);
+        const { query } = request;
+
+        if (kind === 'uuid') {
+            const channels = [...ks.presence.keys()].filter(channel => ks.presence.get(channel).has(target));
+            return { status: 200, message: 'OK', payload: { channels }, service: 'Presence' };
+        }
+
+        const channels = names(target);
+        if (action === 'heartbeat') {
+            this.touch(sub, channels, query.uuid, Number(query.heartbeat) || this.options.presenceTimeout, query.state ? JSON.parse(query.state) : {});
+            return { status: 200, message: 'OK', service: 'Presence' };
+        }
+        if (action === 'leave') {
+            channels.forEach(channel => this.leave(sub, channel, query.uuid, 'leave'));
+            return { status: 200, message: 'OK', action: 'leave', service: 'Presence' };
+        }
+        if (action === 'uuid' && data === 'data') {
+            const state = JSON.parse(query.state || '{}');
+            channels.forEach(channel => this.setState(sub, channel, uuid, state));
+            return { status: 200, message: 'OK', payload: state, service: 'Presence' };
+        }
+        if (action === 'uuid') {
+            const states = Object.fromEntries(channels.map(channel => [channel, ks.states.get(`${channel}\n${uuid}`) || {}]));
+            return { status: 200, message: 'OK', payload: channels.length === 1 ? states[channels[0]] : states, uuid, service: 'Presence' };
+        }
+        if (kind === 'channel' && channels.length === 1) return Object.assign({ status: 200, message: 'OK', service: 'Presence' }, this.occupants(ks, channels[0], query));
+        return this.hereNow(ks, kind === 'channel' ? channels : [...ks.presence.keys()], query);
+    }
+
+    // { occupancy, uuids } for one channel, uuids with their state on `state=1`
+    occupants(ks, channel, query) {
+        const present = [...(ks.presence.get(channel) || new Map()).keys()];
+        if (query.disable_uuids === '1') return { occupancy: present.length };
+        const uuids = query.state !== '1' ? present : present.map(uuid => {
+            const state = ks.states.get(`${channel}\n${uuid}`);
+            return state ? { uuid, state } : { uuid };
+        });
+        return { occupancy: present.length, uuids };
+    }
+
+    hereNow(ks, channels, query) {
+        const byChannel = {};
+        channels.forEach(channel => {
+            byChannel[channel] = this.occupants(ks, channel, query);
+        });
+        const totalOccupancy = Object.values(byChannel).reduce((total, present) => total + present.occupancy, 0);
+        return {
+            status: 200,
+            message: 'OK',
+            payload: { channels: byChannel, total_channels: Object.keys(byChannel).length, total_occupancy: totalOccupancy },
+            service: 'Presence'
+        };
+    }
+
+    // A subscribe or heartbeat from `uuid`: join channels it was not in yet
+    touch(sub, channels, uuid, timeout, state = {}) {
+        if (!uuid) return;
+        const ks = this.keyset(sub);
+        channels.filter(channel => !isPresenceChannel(channel)).forEach(channel => {
+            const present = ks.presence.get(channel) || new Map();
+            ks.presence.set(channel, present);
+            const member = present.get(uuid);
+            if (state[channel]) ks.states.set(`${channel}\n${uuid}`, state[channel]);
+
+            if (member) {
+                member.lastSeen = Date.now();
+                if (timeout) member.timeout = timeout;
+                return;
+            }
+            present.set(uuid, { lastSeen: Date.now(), timeout: timeout || this.options.presenceTimeout });
+            this.emitPresence(sub, channel, 'join', uuid, state[channel]);
+        });
+    }
+
+    leave(sub, channel, uuid, action) {
+        const ks = this.keyset(sub);
+        const present = ks.presence.get(channel);
+        if (!present || !present.delete(uuid)) return;
+        if (present.size === 0) ks.presence.delete(channel);
+        ks.states.delete(`${channel}\n${uuid}`);
+        this.emitPresence(sub, channel, action, uuid);
+    }
+
+    setState(sub, channel, uuid, state) {
+        const ks = this.keyset(sub);
+        ks.states.set(`${channel}\n${uuid}`, state);
+        const present = ks.presence.get(channel);
+        if (present && present.has(uuid)) this.emitPresence(sub, channel, 'state-change', uuid, state);
+    }
+
+    emitPresence(sub, channel, action, uuid, state) {
+        const present = this.keyset(sub).presence.get(channel);
+        const payload = { action, uuid, timestamp: Math.floor(Date.now() / 1000), occupancy: present ? present.size : 0 };
+        if (state && Object.keys(state).length > 0) payload.data = state;
+        this.emit(sub, `${channel}-pnpres`, this.nextTimetoken(), { d: payload });
+    }
+
+    // Time out clients that neither hold a long-poll nor sent a heartbeat in time
+    sweepPresence() {
+        const now = Date.now();
+        this.keysets.forEach((ks, sub) => {
+            ks.presence.forEach((present, channel) => {
+                present.forEach((member, uuid) => {
+                    const connected = [...this.waiting].some(waiter => waiter.sub === sub && waiter.uuid === uuid && waiter.channels.has(channel));
+                    if (connected) {
+                        member.lastSeen = now;
+                    } else if (now - member.lastSeen > member.timeout * 1000) {
+                        this.leave(sub, channel, uuid, 'timeout');
+                    }
+                });
+            });
+        });
+    }
+
+    // ============================================
+    // HISTORY
+    // ============================================
+
+    // /v2/history/sub-key/{sub}/channel/{channel}?count=&start=&end=&reverse=
+    history(request, [sub, , channel]) {
+        const ks = this.keyset(sub);
+        const { query } = request;
+        const count = Math.min(Number(query.count) || 100, 100);
+        const entries = inRange(ks.messages.get(channel), query.start, query.end, count, query.reverse === 'true');
+        const messages = entries.map(entry => {
+            if (query.include_token !== 'true') return entry.message;
+            const item = { message: entry.message, timetoken: entry.timetoken };
+            if (query.include_meta === 'true' && entry.meta) item.meta = entry.meta;
+            return item;
+        });
+        const first = entries.length > 0 ? entries[0].timetoken : 0;
+        const last = entries.length > 0 ? entries[entries.length - 1].timetoken : 0;
+        return [messages, first, last];
+    }
+
+    // /v3/history[-with-actions]/sub-key/{sub}/channel/{channels}
+    // /v3/history/sub-key/{sub}/message-counts/{channels}
+    fetchMessages(request, [endpoint, , sub, kind, channelList]) {
+        const ks = this.keyset(sub);
+        const { query } = request;
+        const channels = names(channelList);
+
+        if (kind === 'message-counts') return this.messageCounts(ks, channels, query);
+        if (request.method === 'DELETE') return this.deleteMessages(ks, channels[0], query);
+
+        const withActions = endpoint === 'history-with-actions';
+        const limit = withActions || channels.length > 1 ? 25 : 100;
+        const count = Math.min(Number(query.max) || limit, limit);
+        const response = { status: 200, error: false, error_message: '', channels: {} };
+
+        channels.forEach(channel => {
+            const all = inRange(ks.messages.get(channel), query.start, query.end, count + 1, false);
+            const entries = all.slice(-count);
+            if (entries.length === 0) return;
+
+            response.channels[channel] = entries.map(entry => {
+                const item = { message: entry.message, timetoken: entry.timetoken, message_type: entry.messageType };
+                if (query.include_uuid === 'true') item.uuid = entry.uuid;
+                if (query.include_meta === 'true' && entry.meta) item.meta = entry.meta;
+                if (query.include_custom_message_type === 'true' && entry.customMessageType) item.custom_message_type = entry.customMessageType;
+                if (withActions) item.actions = groupActions(ks.actions.get(channel), entry.timetoken);
+                return item;
+            });
+            if (withActions && all.length > count) {
+                response.more = { url: request.req.url, start: entries[0].timetoken, max: count };
+            }
+        });
+        return response;
+    }
+
+    messageCounts(ks, channels, query) {
+        const timetokens = query.channelsTimetoken ? query.channelsTimetoken.split(',') : channels.map(() => query.timetoken);
+        const counts = {};
+        channels.forEach((channel, i) => {
+            const since = BigInt(timetokens[i] || timetokens[0] || 0);
+            counts[channel] = (ks.messages.get(channel) || []).filter(entry => BigInt(entry.timetoken) > since).length;
+        });
+        return { status: 200, error: false, error_message: '', channels: counts, more: {} };
+    }
+
+    // Deletes timetokens after the lower bound, up to and including the upper one
+    deleteMessages(ks, channel, query) {
+        const bounds = [query.start, query.end].filter(Boolean).map(BigInt).sort((a, b) => (a < b ? -1 : 1));
+        const [low, high] = bounds.length === 2 ? bounds : [bounds[0], undefined];
+        const kept = (ks.messages.get(channel) || []).filter(entry => {
+            const timetoken = BigInt(entry.timetoken);
+            return !((low === undefined || timetoken > low) && (high === undefined || timetoken <= high));
+        });
+        ks.messages.set(channel, kept);
+        return { status: 200, error: false, error_message: '' };
+    }
+
+    // ============================================
+    // MESSAGE ACTIONS
+    // ============================================
+
+    // GET    /v1/message-actions/{sub}/channel/{channel}?start=&end=&limit=
+    // POST   /v1/message-actions/{sub}/channel/{channel}/message/{messageTimetoken}
+    // DELETE /v1/message-actions/{sub}/channel/{channel}/message/{messageTimetoken}/action/{actionTimetoken}
+    messageActions(request, [sub, , channel, , messageTimetoken, , actionTimetoken]) {
+        const ks = this.keyset(sub);
+        const actions = ks.actions.get(channel) || [];
+        ks.actions.set(channel, actions);
+        const uuid = request.query.uuid;
+
+        if (request.method === 'POST') {
+            const { type, value } = JSON.parse(request.body || '{}');
+            if (!type || !value) throw new MockError(400, 'Missing action type or value');
+            if (actions.some(action => action.messageTimetoken === messageTimetoken && action.type === type && action.value === value && action.uuid === uuid)) {
+                throw new MockError(409, 'Action Already Added', { status: 409, error: { message: 'Action Already Added', source: 'actions' } });
+            }
+            const action = { type, value, uuid, actionTimetoken: this.nextTimetoken(), messageTimetoken };
+            actions.push(action);
+            this.emitAction(sub, channel, 'added', action);
+            return { status: 200, data: action };
+        }
+
+        if (request.method === 'DELETE') {
+            const index = actions.findIndex(action => action.messageTimetoken === messageTimetoken && action.actionTimetoken === actionTimetoken);
+            if (index !== -1) this.emitAction(sub, channel, 'removed', actions.splice(index, 1)[0]);
+            return { status: 200, data: {} };
+        }
+
+        const { start, end } = request.query;
+        const limit = Math.min(Number(request.query.limit) || 100, 100);
+        const matching = actions.filter(action => {
+            const timetoken = BigInt(action.actionTimetoken);
+            return (!start || timetoken < BigInt(start)) && (!end || timetoken >= BigInt(end));
+        });
+        const data = matching.slice(-limit);
+        const response = { status: 200, data };
+        if (matching.length > limit) response.more = { url: request.req.url, start: data[0].actionTimetoken, end: end || null, limit };
+        return response;
+    }
+
+    emitAction(sub, channel, event, action) {
+        this.emit(sub, channel, this.nextTimetoken(), {
+            e: EVENT_TYPES.action,
+            i: action.uuid,
+            d: {
+                source: 'actions',
+                version: '1.0',
+                event: event,
+                data: { type: action.type, value: action.value, messageTimetoken: action.messageTimetoken, actionTimetoken: action.actionTimetoken }
+            }
+        });
+    }
+
+    // ============================================
+    // FILES
+    // ============================================
+
+    // POST   /v1/files/{sub}/channels/{channel}/generate-upload-url
+    // POST   /v1/files/upload/{sub}/{id}                   (the upload URL handed out)
+    // GET    /v1/files/publish-file/{pub}/{sub}/0/{channel}/0/{message}
+    // GET    /v1/files/{sub}/channels/{channel}/files?limit=&next=
+    // GET    /v1/files/{sub}/channels/{channel}/files/{id}/{name}
+    // DELETE /v1/files/{sub}/channels/{channel}/files/{id}/{name}
+    files(request, segments) {
+        if (segments[0] === 'upload') return this.uploadFile(request, segments.slice(1));
+        if (segments[0] === 'publish-file') return this.publishFile(request, segments.slice(1));
+
+        const [sub, , channel, action, id, name] = segments;
+        const ks = this.keyset(sub);
+        const stored = ks.files.get(channel) || [];
+
+        if (action === 'generate-upload-url') {
+            const fileId = randomUUID();
+            const fileName = JSON.parse(request.body || '{}').name;
+            if (!fileName) throw new MockError(400, "'name' can't be empty");
+            ks.uploads.set(fileId, { channel, name: fileName });
+            const extension = fileName.split('.').pop().toLowerCase();
+            return {
+                status: 200,
+                data: { id: fileId, name: fileName },
+                file_upload_request: {
+                    url: `http://${request.req.headers.host}/v1/files/upload/${encodeURIComponent(sub)}/${fileId}`,
+                    method: 'POST',
+                    expiration_date: new Date(Date.now() + 60000).toISOString(),
+                    form_fields: [{ key: 'Content-Type', value: MIME_TYPES[extension] || 'application/octet-stream' }]
+                }
+            };
+        }
+
+        if (action !== 'files') throw new MockError(404, `Unknown endpoint ${request.req.url.split('?')[0]}`);
+
+        if (id === undefined) {
+            const offset = Number(request.query.next) || 0;
+            const limit = Math.min(Number(request.query.limit) || 100, 100);
+            const data = stored.slice(offset, offset + limit).map(file => ({ id: file.id, name: file.name, size: file.size, created: file.created }));
+            const response = { status: 200, data, count: data.length };
+            if (offset + limit < stored.length) response.next = String(offset + limit);
+            return response;
+        }
+
+        const file = stored.find(entry => entry.id === id && entry.name === name);
+        if (!file) throw new MockError(404, 'File not found', { status: 404, error: { message: 'File not found', source: 'files' } });
+
+        if (request.method === 'DELETE') {
+            ks.files.set(channel, stored.filter(entry => entry !== file));
+            return { status: 200 };
+        }
+
+        // PubNub redirects to the storage URL; the mock serves the file itself
+        request.res.writeHead(200, { 'Content-Type': file.mimeType, 'Content-Length': file.size });
+        request.res.end(file.data);
+        return undefined;
+    }
+
+    // The multipart form the SDK posts to the upload URL, answered like S3
+    uploadFile(request, [sub, id]) {
+        const ks = this.keyset(sub);
+        const upload = ks.uploads.get(id);
+        if (!upload) throw new MockError(404, 'Unknown upload');
+
+        const fields = multipartFields(request.raw, request.req.headers['content-type']);
+        if (!fields.file) throw new MockError(400, 'No file in the upload');
+
+        ks.uploads.delete(id);
+        const stored = ks.files.get(upload.channel) || [];
+        stored.push({
+            id,
+            name: upload.name,
+            size: fields.file.length,
+            created: new Date().toISOString(),
+            mimeType: fields['Content-Type'] ? fields['Content-Type'].toString() : 'application/octet-stream',
+            data: fields.file
+        });
+        ks.files.set(upload.channel, stored);
+
+        request.res.writeHead(204);
+        request.res.end();
+        return undefined;
+    }
+
+    // Published and stored like a message, as event type 4 / message type 4
+    publishFile(request, [pub, sub, , channel, , payload]) {
+        if (!isKnownKey(pub)) throw new MockError(400, 'Invalid Key');
+        const ks = this.keyset(sub);
+        const message = JSON.parse(payload);
+        const { query } = request;
+        const timetoken = this.nextTimetoken();
+        const meta = query.meta ? JSON.parse(query.meta) : undefined;
+
+        if (query.store !== '0') {
+            this.store(ks, channel, { timetoken, message, uuid: query.uuid, meta, messageType: EVENT_TYPES.file, customMessageType: query.custom_message_type });
+        }
+        this.emit(sub, channel, timetoken, { e: EVENT_TYPES.file, i: query.uuid, d: message, u: meta, cmt: query.custom_message_type });
+        return [1, 'Sent', timetoken];
+    }
+
+    // ============================================
+    // APP CONTEXT
+    // ============================================
+
+    // /v2/objects/{sub}/uuids[/{id}[/channels]] and /v2/objects/{sub}/channels[/{id}[/uuids]]
+    objects(request, [sub, collection, id, relation]) {
+        const ks = this.keyset(sub);
+        const { method, query } = request;
+        const include = (query.include || '').split(',');
+        const isUuid = collection === 'uuids';
+        if (!isUuid && collection !== 'channels') throw new MockError(404, `Unknown App Context collection ${collection}`);
+
+        if (relation) return this.relations(request, sub, isUuid, id, include);
+
+        const records = isUuid ? ks.uuids : ks.channels;
+        const type = isUuid ? 'uuid' : 'channel';
+        if (!id) {
+            return page([...records.values()].map(record => view(record, include.includes('custom'))), query);
+        }
+
+        if (method === 'PATCH') {
+            const record = updated(Object.assign({ id }, records.get(id), pick(JSON.parse(request.body || '{}'), isUuid ? UUID_FIELDS : CHANNEL_FIELDS)));
+            records.set(id, record);
+            this.emitObject(sub, [id], 'set', type, record);
+            return { status: 200, data: view(record, include.includes('custom')) };
+        }
+        if (method === 'DELETE') {
+            if (records.delete(id)) this.emitObject(sub, [id], 'delete', type, { id });
+            return { status: 200, data: null };
+        }
+        if (!records.has(id)) throw notFound(`Requested ${type} was not found.`);
+        return { status: 200, data: view(records.get(id), include.includes('custom')) };
+    }
+
+    // Memberships of a UUID (/uuids/{id}/channels) or members of a channel
+    // (/channels/{id}/uuids); PATCH bodies are { set: [...], delete: [...] }
+    relations(request, sub, isUuid, id, include) {
+        const ks = this.keyset(sub);
+        const other = isUuid ? 'channel' : 'uuid';
+        const otherRecords = isUuid ? ks.channels : ks.uuids;
+        const key = otherId => (isUuid ? `${id}\n${otherId}` : `${otherId}\n${id}`);
+
+        if (request.method === 'PATCH') {
+            const body = JSON.parse(request.body || '{}');
+            (body.set || []).forEach(item => {
+                const otherId = item[other].id;
+                const membership = updated(Object.assign(
+                    { uuid: isUuid ? id : otherId, channel: isUuid ? otherId : id },
+                    pick(item, ['custom', 'status', 'type'])
+                ));
+                ks.memberships.set(key(otherId), membership);
+                this.emitMembership(sub, membership, 'set');
+            });
+            (body.delete || []).forEach(item => {
+                const membership = ks.memberships.get(key(item[other].id));
+                if (membership && ks.memberships.delete(key(item[other].id))) this.emitMembership(sub, membership, 'delete');
+            });
+        }
+
+        const mine = [...ks.memberships.values()].filter(membership => membership[isUuid ? 'uuid' : 'channel'] === id);
+        return page(mine.map(membership => {
+            const otherId = membership[other];
+            const otherRecord = otherRecords.get(otherId);
+            const item = {
+                [other]: include.includes(other) && otherRecord ? view(otherRecord, include.includes(`${other}.custom`)) : { id: otherId },
+                updated: membership.updated,
+                eTag: membership.eTag
+            };
+            if (include.includes('custom') && membership.custom) item.custom = membership.custom;
+            if (membership.status) item.status = membership.status;
+            if (membership.type) item.type = membership.type;
+            return item;
+        }), request.query);
+    }
+
+    emitObject(sub, channels, event, type, data) {
+        channels.forEach(channel => this.emit(sub, channel, this.nextTimetoken(), {
+            e: EVENT_TYPES.objects,
+            d: { source: 'objects', version: '2.0', event, type, data }
+        }));
+    }
+
+    // Membership events go to both the channel and the user's own channel
+    emitMembership(sub, membership, event) {
+        const data = { uuid: { id: membership.uuid }, channel: { id: membership.channel }, updated: membership.updated, eTag: membership.eTag };
+        if (membership.custom) data.custom = membership.custom;
+        this.emitObject(sub, [membership.channel, membership.uuid], event, 'membership', data);
+    }
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('error', reject);
+        req.on('end', () => {
+            const encoding = req.headers['content-encoding'];
+            try {
+                let body = Buffer.concat(chunks);
+                if (encoding === 'gzip') body = zlib.gunzipSync(body);
+                if (encoding === 'deflate') body = zlib.inflateSync(body);
+                resolve(body);
+            } catch (error) {
+                reject(new MockError(400, `Invalid ${encoding} body: ${error.message}`));
+            }
+        });
+    });
+}
+
+// { name: Buffer } for the parts of a multipart/form-data body
+function multipartFields(body, contentType) {
+    const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+    if (!match) throw new MockError(400, 'Expected a multipart/form-data upload');
+
+    const delimiter = Buffer.from(`--${match[1] || match[2]}`);
+    const fields = {};
+    let start = body.indexOf(delimiter);
+    while (start !== -1) {
+        const next = body.indexOf(delimiter, start + delimiter.length);
+        if (next === -1) break;
+
+        // Each part: CRLF, headers, a blank line, the content and a CRLF
+        const part = body.subarray(start + delimiter.length + 2, next - 2);
+        const headerEnd = part.indexOf('\r\n\r\n');
+        const name = /name="([^"]*)"/i.exec(part.subarray(0, headerEnd).toString('utf8'));
+        if (headerEnd !== -1 && name) fields[name[1]] = part.subarray(headerEnd + 4);
+        start = next;
+    }
+    return fields;
+}
+
+function send(res, statusCode, body) {
+    if (res.writableEnded || res.destroyed) return;
+    res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=UTF-8' });
+    res.end(JSON.stringify(body));
+}
+
+// Stored entries with end <= timetoken < start, oldest first: the newest
+// `count` of them, or the oldest with `reverse`
+function inRange(entries, start, end, count, reverse) {
+    const matching = (entries || []).filter(entry => {
+        const timetoken = BigInt(entry.timetoken);
+        return (!start || timetoken < BigInt(start)) && (!end || timetoken >= BigInt(end));
+    });
+    return reverse ? matching.slice(0, count) : matching.slice(-count);
+}
+
+// { type: { value: [{ uuid, actionTimetoken }] } } for one message
+function groupActions(actions, messageTimetoken) {
+    const grouped = {};
+    (actions || []).filter(action => action.messageTimetoken === messageTimetoken).forEach(action => {
+        grouped[action.type] = grouped[action.type] || {};
+        grouped[action.type][action.value] = grouped[action.type][action.value] || [];
+        grouped[action.type][action.value].push({ uuid: action.uuid, actionTimetoken: action.actionTimetoken });
+    });
+    return grouped;
+}
+
+function pick(source, fields) {
+    const picked = {};
+    fields.forEach(field => {
+        if (source[field] !== undefined) picked[field] = source[field];
+    });
+    return picked;
+}
+
+function updated(record) {
+    return Object.assign(record, { updated: new Date().toISOString(), eTag: Math.random().toString(36).slice(2, 12) });
+}
+
+function view(record, withCustom) {
+    const copy = Object.assign({}, record);
+    if (!withCustom) delete copy.custom;
+    return copy;
+}
+
+// App Context list responses; `next` is the offset of the following page
+function page(data, query) {
+    const offset = query.start ? Number(Buffer.from(query.start, 'base64').toString()) || 0 : 0;
+    const limit = Math.min(Number(query.limit) || 100, 100);
+    const response = { status: 200, data: data.slice(offset, offset + limit) };
+    if (query.count === 'true') response.totalCount = data.length;
+    if (offset + limit < data.length) response.next = Buffer.from(String(offset + limit)).toString('base64');
+    if (offset > 0) response.prev = Buffer.from(String(Math.max(offset - limit, 0))).toString('base64');
+    return response;
+}
+
+// ============================================
+// COMMAND LINE
+// ============================================
+
+function option(name) {
+    const index = process.argv.indexOf(name);
+    return index === -1 ? undefined : process.argv[index + 1];
+}
+
+if (require.main === module) {
+    const port = Number(option('--port') || process.env.MOCK_PUBNUB_PORT || DEFAULT_PORT);
+    const mock = new MockPubNub({ verbose: process.argv.includes('--verbose') });
+
+    mock.listen(port).then(actualPort => {
+        console.log(`🧪 Mock PubNub listening on http://localhost:${actualPort}`);
+        console.log(`   CLI and examples: PUBNUB_ORIGIN=http://localhost:${actualPort} npm start`);
+        console.log(`   Web clients:      index.html?origin=localhost:${actualPort}`);
+    }).catch(error => {
+        console.error(`❌ Could not listen on port ${port}: ${error.message}`);
+        process.exit(1);
+    });
+
+    process.on('SIGINT', () => {
+        mock.close().then(() => process.exit(0));
+    });
+}
+
+module.exports = { MockPubNub, DEFAULT_PORT };
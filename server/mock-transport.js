@@ -0,0 +1,58 @@
+/**
+ * In-memory stand-in for PubNub pub/sub, so the moderation gateway can run
+ * locally and in tests without a network connection.
+ *
+ * Implements the same transport interface as createPubNubTransport() in
+ * moderation-gateway.js: subscribe(channels, onMessage), unsubscribe(channels)
+ * and publish(channel, message) -> Promise.
+ */
+class MockTransport {
+    constructor(options = {}) {
+        this.userId = options.userId || 'moderation-gateway';
+        this.listeners = []; // { channels: Set, onMessage }
+        this.published = []; // every message published, in order
+        this.nextTimetoken = Date.now() * 10000;
+    }
+
+    subscribe(channels, onMessage) {
+        this.listeners.push({ channels: new Set(channels), onMessage: onMessage });
+    }
+
+    unsubscribe(channels) {
+        this.listeners.forEach(listener => {
+            channels.forEach(channel => listener.channels.delete(channel));
+        });
+        this.listeners = this.listeners.filter(listener => listener.channels.size > 0);
+    }
+
+    publish(channel, message) {
+        return this.deliver(channel, message, this.userId);
+    }
+
+    // Simulate a client publishing to `channel`. Resolves once every listener
+    // has handled the message.
+    inject(channel, message, publisher) {
+        return this.deliver(channel, message, publisher);
+    }
+
+    // Messages published to `channel` so far.
+    messagesOn(channel) {
+        return this.published.filter(entry => entry.channel === channel).map(entry => entry.message);
+    }
+
+    async deliver(channel, message, publisher) {
+        const timetoken = String(this.nextTimetoken++);
+        this.published.push({ channel, message, publisher, timetoken });
+
+        const event = { channel, message, publisher, timetoken };
+        for (const listener of this.listeners) {
+            if (listener.channels.has(channel)) {
+                await listener.onMessage(event);
+            }
+        }
+
+        return { timetoken };
+    }
+}
+
+module.exports = { MockTransport };
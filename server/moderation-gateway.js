@@ -0,0 +1,327 @@
+const fs = require('fs');
+const path = require('path');
+const { parsePolicy, createEngineFromPolicy, summarizeTransformations, DEFAULT_POLICY } = require('../shared/moderation');
+const { ROOMS_CHANNEL, isRoomChannel, listRooms } = require('../shared/rooms');
+
+/**
+ * Server-Side Moderation Gateway
+ *
+ * Client-side moderation is only a courtesy: anyone with the publish key can
+ * call pubnub.publish directly. In gateway mode clients publish their raw text
+ * to `<channel>-inbound` instead; this service re-runs the shared moderation
+ * rules on every message (per sender) and
+ *   - republishes allowed / masked / normalized messages to `<channel>`
+ *   - sends flag-for-review messages to `<channel>-review`
+ *   - drops blocked and shadow-dropped messages
+ *
+ * It is the Node equivalent of the Before Publish function pattern in
+ * examples/PUBNUB_FUNCTIONS.md. To actually stop clients writing to the
+ * public channel, grant them write access to `-inbound` only with Access
+ * Manager.
+ *
+ * Rooms announced on ROOMS_CHANNEL after start-up are moderated too.
+ *
+ *   node server/moderation-gateway.js          # against PubNub
+ *   node server/moderation-gateway.js --mock   # scripted local run
+ */
+
+const inboundChannel = channel => `${channel}-inbound`;
+const reviewChannel = channel => `${channel}-review`;
+
+const DEFAULT_CHANNELS = ['pubnub-trial-chat', 'pubnub-web-chat', 'pubnub-advanced-demo'];
+
+const MAX_NAME_LENGTH = 50;
+const MAX_ID_LENGTH = 92; // PubNub's limit for user IDs
+const MAX_MENTIONS = 20;
+
+const isShortString = (value, max) => typeof value === 'string' && value.length <= max;
+
+// The client fields republished with a message, copied one by one so nothing
+// unchecked (isSystem, file, moderation, ...) reaches the channel. A field
+// that fails its check is dropped; userId is always the publisher.
+function allowedFields(message, publisher) {
+    const fields = { userId: publisher };
+    if (isShortString(message.username, MAX_NAME_LENGTH)) fields.username = message.username;
+    if (isShortString(message.timestamp, 40) && !Number.isNaN(Date.parse(message.timestamp))) {
+        fields.timestamp = message.timestamp;
+    }
+    if (isShortString(message.clientMessageId, 64)) fields.clientMessageId = message.clientMessageId;
+    if (Array.isArray(message.mentions) && message.mentions.length <= MAX_MENTIONS) {
+        const mentions = message.mentions
+            .filter(mention => mention && isShortString(mention.userId, MAX_ID_LENGTH) && isShortString(mention.name, MAX_NAME_LENGTH))
+            .map(mention => ({ userId: mention.userId, name: mention.name }));
+        if (mentions.length > 0) fields.mentions = mentions;
+    }
+    return fields;
+}
+
+// Wraps a PubNub instance in the transport interface the gateway uses.
+// One listener serves every subscription, so subscribing to more channels
+// later does not deliver messages twice.
+function createPubNubTransport(pubnub) {
+    const handlers = new Map(); // channel -> onMessage
+    pubnub.addListener({
+        message: event => {
+            const onMessage = handlers.get(event.channel);
+            if (onMessage) onMessage(event);
+        }
+    });
+
+    return {
+        subscribe(channels, onMessage) {
+            channels.forEach(channel => handlers.set(channel, onMessage));
+            pubnub.subscribe({ channels: channels });
+        },
+
+        unsubscribe(channels) {
+            channels.forEach(channel => handlers.delete(channel));
+            pubnub.unsubscribe({ channels: channels });
+        },
+
+        publish(channel, message) {
+            return new Promise((resolve, reject) => {
+                pubnub.publish({ channel: channel, message: message }, (status, response) => {
+                    if (status.error) {
+                        reject(Object.assign(new Error(`Publish to ${channel} failed`), { status }));
+                    } else {
+                        resolve(response);
+                    }
+                });
+            });
+        }
+    };
+}
+
+class ModerationGateway {
+    constructor(options) {
+        this.transport = options.transport;
+        this.policy = options.policy || DEFAULT_POLICY;
+        this.channels = options.channels || DEFAULT_CHANNELS;
+        this.logger = options.logger || console;
+        this.idleTimeoutMs = options.idleTimeoutMs ?? 10 * 60000;
+
+        // Fail fast on a bad policy rather than on the first message
+        createEngineFromPolicy(this.policy);
+
+        this.engines = new Map(); // publisher -> { engine, lastSeen }
+        this.inbound = new Map(this.channels.map(channel => [inboundChannel(channel), channel]));
+        this.stats = {
+            received: 0,
+            allowed: 0,
+            filtered: 0,
+            blocked: 0,
+            flagged: 0,
+            shadowDropped: 0,
+            malformed: 0
+        };
+    }
+
+    start() {
+        this.transport.subscribe([...this.inbound.keys()], event => this.handleInbound(event));
+        this.transport.subscribe([ROOMS_CHANNEL], event => this.handleRoomAnnouncement(event));
+        this.logger.log(`🛡️ Moderation gateway listening on: ${[...this.inbound.keys()].join(', ')}`);
+    }
+
+    stop() {
+        this.transport.unsubscribe([...this.inbound.keys(), ROOMS_CHANNEL]);
+    }
+
+    // Start moderating a channel while running. Returns false if it already is.
+    addChannel(channel) {
+        const inbound = inboundChannel(channel);
+        if (this.inbound.has(inbound)) return false;
+
+        this.inbound.set(inbound, channel);
+        this.transport.subscribe([inbound], event => this.handleInbound(event));
+        this.logger.log(`🛡️ Moderation gateway listening on: ${inbound}`);
+        return true;
+    }
+
+    // Clients publish new rooms to `<room>-inbound` straight away
+    handleRoomAnnouncement(event) {
+        const room = event.message;
+        if (room && room.type === 'room' && isRoomChannel(room.id)) {
+            this.addChannel(room.id);
+        }
+    }
+
+    // Rate limits and duplicate windows are tracked per sender, keyed on the
+    // publisher PubNub reports rather than anything in the payload.
+    engineFor(publisher) {
+        const now = Date.now();
+
+        this.engines.forEach((entry, key) => {
+            if (now - entry.lastSeen > this.idleTimeoutMs) {
+                this.engines.delete(key);
+            }
+        });
+
+        let entry = this.engines.get(publisher);
+        if (!entry) {
+            entry = { engine: createEngineFromPolicy(this.policy) };
+            this.engines.set(publisher, entry);
+        }
+        entry.lastSeen = now;
+        return entry.engine;
+    }
+
+    async handleInbound(event) {
+        const channel = this.inbound.get(event.channel);
+        if (!channel) return null;
+
+        this.stats.received++;
+        const message = event.message;
+
+        if (!message || typeof message !== 'object' || typeof message.text !== 'string') {
+            this.stats.malformed++;
+            this.logger.log(`⚠️ Dropped malformed message from ${event.publisher} on ${event.channel}`);
+            return null;
+        }
+
+        // Clients send the raw text; receivers see only what this verdict
+        // changed, never the sender's own `moderated` or `moderation`
+        const verdict = this.engineFor(event.publisher).moderate(message.text);
+        const outgoing = Object.assign({ text: verdict.filteredText }, allowedFields(message, event.publisher), {
+            moderated: verdict.moderated
+        });
+        const summary = summarizeTransformations(verdict);
+        if (summary) outgoing.moderation = summary;
+
+        try {
+            switch (verdict.action) {
+                case 'allow':
+                    await this.transport.publish(channel, outgoing);
+                    this.stats[verdict.moderated ? 'filtered' : 'allowed']++;
+                    break;
+
+                case 'flag-for-review':
+                    await this.transport.publish(reviewChannel(channel), {
+                        type: 'review',
+                        channel: channel,
+                        publisher: event.publisher,
+                        message: Object.assign({}, outgoing, { text: message.text }),
+                        reason: verdict.reason,
+                        triggered: verdict.triggered,
+                        receivedAt: new Date().toISOString()
+                    });
+                    this.stats.flagged++;
+                    this.logger.log(`🚩 Flagged for review (${verdict.reason}) from ${event.publisher}`);
+                    break;
+
+                case 'shadow-drop':
+                    this.stats.shadowDropped++;
+                    this.logger.log(`👻 Shadow-dropped (${verdict.reason}) from ${event.publisher}`);
+                    break;
+
+                default:
+                    this.stats.blocked++;
+                    this.logger.log(`🚫 Blocked (${verdict.reason}) from ${event.publisher}`);
+            }
+        } catch (error) {
+            this.logger.error(`❌ ${error.message}`);
+        }
+
+        return verdict;
+    }
+}
+
+// ============================================
+// COMMAND LINE
+// ============================================
+
+function loadPolicy() {
+    const policyPath = process.env.MODERATION_POLICY || path.join(__dirname, '..', 'moderation-policy.json');
+    return parsePolicy(fs.readFileSync(policyPath, 'utf8'));
+}
+
+async function runMockDemo(policy) {
+    const { MockTransport } = require('./mock-transport');
+    const transport = new MockTransport();
+    const gateway = new ModerationGateway({ transport, policy });
+    gateway.start();
+
+    const channel = DEFAULT_CHANNELS[0];
+    transport.subscribe([channel], event => {
+        const summary = event.message.moderation;
+        console.log(`   📢 ${channel} ← "${event.message.text}"${summary ? ` (🛡️ ${summary.rules.join(', ')})` : ''}`);
+    });
+
+    const samples = [
+        ['alice', 'Hello everyone!'],
+        ['alice', 'Hello everyone!'],
+        ['bob', 'THIS IS VERY IMPORTANT NEWS'],
+        ['bob', 'buy cheap b@dw0rd here'],
+        ['mallory', { text: 42 }]
+    ];
+
+    console.log('\n🎬 Publishing sample messages through the mock transport...\n');
+    for (const [publisher, payload] of samples) {
+        const message = typeof payload === 'string' ? { text: payload, username: publisher } : payload;
+        console.log(`📤 ${publisher}: ${JSON.stringify(message.text)}`);
+        await transport.inject(inboundChannel(channel), message, publisher);
+    }
+
+    console.log('\n🌊 mallory floods the channel...');
+    const words = ['apples', 'bicycle', 'cloudy', 'dolphin', 'engine', 'forest',
+        'guitar', 'harbor', 'island', 'jungle', 'kettle', 'lantern'];
+    for (const word of words) {
+        await transport.inject(inboundChannel(channel), { text: word }, 'mallory');
+    }
+
+    console.log('\n📊 Gateway stats:', gateway.stats);
+    gateway.stop();
+}
+
+function runAgainstPubNub(policy) {
+    const PubNub = require('pubnub');
+    const { originConfig } = require('../shared/origin');
+    const pubnub = new PubNub({
+        publishKey: 'demo',
+        subscribeKey: 'demo',
+        userId: 'moderation-gateway',
+        ...originConfig(process.env.PUBNUB_ORIGIN)
+    });
+
+    const channels = process.env.GATEWAY_CHANNELS ? process.env.GATEWAY_CHANNELS.split(',') : DEFAULT_CHANNELS;
+    const gateway = new ModerationGateway({ transport: createPubNubTransport(pubnub), policy, channels });
+    gateway.start();
+
+    // Rooms created before the gateway started
+    listRooms(pubnub)
+        .then(rooms => rooms.forEach(room => gateway.addChannel(room.id)))
+        .catch(() => console.log('⚠️ Could not list rooms; only announced rooms will be moderated'));
+
+    process.on('SIGINT', () => {
+        console.log('\n📊 Gateway stats:', gateway.stats);
+        gateway.stop();
+        process.exit(0);
+    });
+}
+
+if (require.main === module) {
+    let policy;
+    try {
+        policy = loadPolicy();
+    } catch (error) {
+        console.error('❌ Could not load moderation policy');
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    if (process.argv.includes('--mock')) {
+        runMockDemo(policy).catch(error => {
+            console.error(error);
+            process.exit(1);
+        });
+    } else {
+        runAgainstPubNub(policy);
+    }
+}
+
+module.exports = {
+    ModerationGateway,
+    createPubNubTransport,
+    inboundChannel,
+    reviewChannel,
+    DEFAULT_CHANNELS
+};
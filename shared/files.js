@@ -0,0 +1,105 @@
+/**
+ * File Sharing
+ *
+ * Uploads go through PubNub's file APIs: sendFile stores the file and
+ * publishes a file message to the channel, which clients receive through the
+ * `file` listener (live) or as messageType 4 in fetchMessages (history). The
+ * message payload is an ordinary chat message with `file: { type, size }`;
+ * fileMessage() adds the stored file's id and name to it.
+ *
+ * Download links are always built with getFileUrl from the id and name, never
+ * taken from a payload, so a forged message cannot point them elsewhere.
+ *
+ * The file endpoints are used in their promise form; they reject with an
+ * error whose `status` has the details.
+ *
+ * Works as a plain <script> (exposes `window.PubNubFiles`) and as a
+ * CommonJS module (`require('./shared/files')`).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PubNubFiles = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const MAX_FILE_SIZE = 5 * 1024 * 1024; // PubNub's limit per file
+    const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+    const ALLOWED_TYPES = IMAGE_TYPES.concat(['application/pdf', 'text/plain', 'application/zip']);
+
+    // For clients without a browser-provided type, e.g. the CLI
+    const TYPES_BY_EXTENSION = {
+        png: 'image/png',
+        jpg: 'image/jpeg',
+        jpeg: 'image/jpeg',
+        gif: 'image/gif',
+        webp: 'image/webp',
+        pdf: 'application/pdf',
+        txt: 'text/plain',
+        zip: 'application/zip'
+    };
+
+    function typeFromName(name) {
+        const extension = String(name).split('.').pop().toLowerCase();
+        return TYPES_BY_EXTENSION[extension] || '';
+    }
+
+    // "2.4 MB", "512 KB"
+    function formatSize(bytes) {
+        if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1).replace(/\.0$/, '')} MB`;
+        return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    }
+
+    // Why `{ name, size, type }` cannot be shared, or null if it can
+    function validateFile(file) {
+        if (!ALLOWED_TYPES.includes(file.type)) {
+            return `${file.name}: only images (PNG, JPEG, GIF, WebP), PDF, text and ZIP files can be shared`;
+        }
+        if (file.size > MAX_FILE_SIZE) {
+            return `${file.name} is ${formatSize(file.size)} (max ${formatSize(MAX_FILE_SIZE)})`;
+        }
+        return null;
+    }
+
+    const isImage = file => Boolean(file) && IMAGE_TYPES.includes(file.type);
+
+    /**
+     * Upload `file` (a browser File, or { data, name, mimeType } in Node) with
+     * `message` as its payload. Resolves with { id, name, timetoken }.
+     */
+    function sendFile(pubnub, channel, file, message) {
+        return pubnub.sendFile({ channel: channel, file: file, message: message })
+            .then(response => ({ id: response.id, name: response.name, timetoken: String(response.timetoken) }));
+    }
+
+    // Files stored on the channel, newest first: [{ id, name, size, created }]
+    function listFiles(pubnub, channel, limit = 25) {
+        return pubnub.listFiles({ channel: channel, limit: limit })
+            .then(response => response.data.slice().sort((a, b) => (a.created < b.created ? 1 : -1)));
+    }
+
+    const fileUrl = (pubnub, channel, file) => pubnub.getFileUrl({ channel: channel, id: file.id, name: file.name });
+
+    // Chat message for a file event or history entry: the payload plus the stored file's id and name
+    function fileMessage(payload, file) {
+        const message = payload && typeof payload === 'object' ? payload : { text: String(payload || '') };
+        return Object.assign({}, message, {
+            file: Object.assign({}, message.file, { id: file.id, name: file.name })
+        });
+    }
+
+    return {
+        MAX_FILE_SIZE,
+        ALLOWED_TYPES,
+        typeFromName,
+        formatSize,
+        validateFile,
+        isImage,
+        sendFile,
+        listFiles,
+        fileUrl,
+        fileMessage
+    };
+}));
@@ -0,0 +1,177 @@
+/**
+ * Message Formatting
+ *
+ * A small, safe subset of Markdown for message text:
+ *
+ *   **bold**  *italic* or _italic_  `code`  ```fenced code```
+ *   http(s) URLs become links; newlines become line breaks
+ *
+ * parse() turns text into tokens and render() builds DOM nodes from them with
+ * createElement/textContent only, so message text is never parsed as HTML.
+ * Links are limited to http: and https: and open with rel="noopener noreferrer".
+ *
+ * Works as a plain <script> (exposes `window.PubNubFormatting`) and as a
+ * CommonJS module (`require('./shared/formatting')`).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PubNubFormatting = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const FENCE = /```([\w+-]*)\n?([\s\S]*?)```/g;
+
+    // Earlier alternatives win when two start at the same place
+    const INLINE = new RegExp([
+        /`([^`\n]+)`/.source, // 1: code
+        /(https?:\/\/[^\s<>"'`]+)/.source, // 2: URL
+        /\*\*(?=\S)([\s\S]*?\S)\*\*/.source, // 3: bold
+        /(?<![\w*])\*(?=[^\s*])([^*]*?[^\s*])\*(?![\w])/.source, // 4: italic
+        /(?<![\w])_(?=[^\s_])([^_]*?[^\s_])_(?![\w])/.source, // 5: italic
+        /(\n)/.source // 6: line break
+    ].join('|'));
+
+    const TRAILING_PUNCTUATION = /[.,;:!?)\]]+$/;
+
+    // Only absolute http(s) URLs become links
+    function safeUrl(raw) {
+        try {
+            const url = new URL(raw);
+            return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function parseInline(text) {
+        const tokens = [];
+        const pushText = value => {
+            if (!value) return;
+            const last = tokens[tokens.length - 1];
+            if (last && last.type === 'text') {
+                last.text += value;
+            } else {
+                tokens.push({ type: 'text', text: value });
+            }
+        };
+
+        let rest = text;
+        let match = INLINE.exec(rest);
+        while (match) {
+            pushText(rest.slice(0, match.index));
+            let consumed = match[0].length;
+
+            if (match[1] !== undefined) {
+                tokens.push({ type: 'code', text: match[1] });
+            } else if (match[2] !== undefined) {
+                // "see https://pubnub.com." links without the full stop
+                const url = match[2].replace(TRAILING_PUNCTUATION, '');
+                const href = url && safeUrl(url);
+                if (href) {
+                    tokens.push({ type: 'link', href: href, text: url });
+                    consumed = url.length;
+                } else {
+                    pushText(match[2]);
+                }
+            } else if (match[3] !== undefined) {
+                tokens.push({ type: 'bold', children: parseInline(match[3]) });
+            } else if (match[4] !== undefined || match[5] !== undefined) {
+                tokens.push({ type: 'italic', children: parseInline(match[4] !== undefined ? match[4] : match[5]) });
+            } else {
+                tokens.push({ type: 'break' });
+            }
+
+            rest = rest.slice(match.index + consumed);
+            match = INLINE.exec(rest);
+        }
+        pushText(rest);
+        return tokens;
+    }
+
+    /**
+     * Tokens for `text`: { type: 'text', text }, { type: 'bold' | 'italic', children },
+     * { type: 'code', text }, { type: 'codeblock', text, language },
+     * { type: 'link', href, text } and { type: 'break' }.
+     */
+    function parse(text) {
+        const tokens = [];
+        const source = String(text || '');
+        let position = 0;
+
+        FENCE.lastIndex = 0;
+        let match = FENCE.exec(source);
+        while (match) {
+            // The block is on its own lines already; no breaks around it
+            tokens.push(...parseInline(source.slice(position, match.index).replace(/\n$/, '')));
+            tokens.push({ type: 'codeblock', text: match[2].replace(/\n$/, ''), language: match[1] });
+            position = FENCE.lastIndex + (source.charAt(FENCE.lastIndex) === '\n' ? 1 : 0);
+            match = FENCE.exec(source);
+        }
+        tokens.push(...parseInline(source.slice(position)));
+        return tokens;
+    }
+
+    // The text without formatting marks, e.g. for notifications
+    function plainText(tokens) {
+        return tokens.map(token => {
+            if (token.children) return plainText(token.children);
+            if (token.type === 'break') return '\n';
+            return token.text;
+        }).join('');
+    }
+
+    /**
+     * DOM nodes for `text` (browser only). `options.renderText(text)` may turn
+     * plain text runs into nodes of its own, e.g. highlighted mentions; it must
+     * not use innerHTML either.
+     */
+    function render(text, options = {}) {
+        const renderText = options.renderText || (value => [document.createTextNode(value)]);
+
+        const build = tokens => tokens.flatMap(token => {
+            let element;
+            switch (token.type) {
+                case 'text':
+                    return renderText(token.text);
+                case 'bold':
+                case 'italic':
+                    element = document.createElement(token.type === 'bold' ? 'strong' : 'em');
+                    element.append(...build(token.children));
+                    return [element];
+                case 'code':
+                    element = document.createElement('code');
+                    element.textContent = token.text;
+                    return [element];
+                case 'codeblock': {
+                    element = document.createElement('pre');
+                    const code = document.createElement('code');
+                    code.textContent = token.text;
+                    element.appendChild(code);
+                    return [element];
+                }
+                case 'link':
+                    element = document.createElement('a');
+                    element.href = token.href;
+                    element.target = '_blank';
+                    element.rel = 'noopener noreferrer';
+                    element.textContent = token.text;
+                    return [element];
+                case 'break':
+                    return [document.createElement('br')];
+                default:
+                    return [];
+            }
+        });
+
+        return build(parse(text));
+    }
+
+    return {
+        parse,
+        plainText,
+        render
+    };
+}));
@@ -0,0 +1,158 @@
+/**
+ * Message History
+ *
+ * Pages through a channel's stored messages (needs Message Persistence) with
+ * fetchMessages. As in examples/history-demo.js, a page is bounded by
+ * timetokens: `start` is exclusive, so passing the oldest message on screen
+ * returns the page before it, and `end` (inclusive) stops at a known message.
+ *
+ * Each message comes with its message actions (edits, deletions), flattened
+ * to the shape of messageAction events. File messages are unwrapped to the
+ * payload with its `file`, as the file listener delivers them.
+ *
+ * After a reconnect, fetchGap returns what was published since the last
+ * message a client received.
+ *
+ * Clients keep a channel's messages oldest first, each with its timetoken.
+ * Live messages that arrive while a page is loading can also be in that page;
+ * mergeEntries drops them by timetoken so nothing shows twice.
+ *
+ * Works as a plain <script> (exposes `window.PubNubHistory`) and as a
+ * CommonJS module (`require('./shared/history')`).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PubNubHistory = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const PAGE_SIZE = 25;
+    const MAX_PAGE_SIZE = 25; // fetchMessages limit when including message actions
+    const FILE_MESSAGE_TYPE = 4;
+    const MAX_PAGES = 40; // fetchAll stops after this many pages
+
+    // File messages come back as { message: payload, file: { id, name } };
+    // shape them like the file listener's messages (see shared/files.js)
+    function fileMessage(stored) {
+        const payload = stored.message && typeof stored.message === 'object' ? stored.message : { text: String(stored.message || '') };
+        return Object.assign({}, payload, {
+            file: Object.assign({}, payload.file, { id: stored.file.id, name: stored.file.name })
+        });
+    }
+
+    // { type: { value: [{ uuid, actionTimetoken }] } } -> [{ type, value, uuid, actionTimetoken }]
+    function flattenActions(grouped) {
+        const actions = [];
+        Object.keys(grouped || {}).forEach(type => {
+            Object.keys(grouped[type]).forEach(value => {
+                grouped[type][value].forEach(action => actions.push({
+                    type: type,
+                    value: value,
+                    uuid: action.uuid,
+                    actionTimetoken: String(action.actionTimetoken)
+                }));
+            });
+        });
+        return actions;
+    }
+
+    /**
+     * Fetch up to `count` messages older than `start` (and not older than
+     * `end`), oldest first. Resolves with { entries, more } where entries are
+     * { message, publisher, timetoken, actions } and `more` means older pages
+     * may exist.
+     */
+    function fetchPage(pubnub, channel, options = {}) {
+        const count = Math.min(options.count || PAGE_SIZE, MAX_PAGE_SIZE);
+        const params = { channels: [channel], count: count, includeMessageActions: true, stringifiedTimeToken: true };
+        if (options.start) params.start = String(options.start);
+        if (options.end) params.end = String(options.end);
+
+        return new Promise((resolve, reject) => {
+            pubnub.fetchMessages(params, (status, response) => {
+                if (status.error) {
+                    reject(status);
+                    return;
+                }
+
+                const entries = ((response && response.channels[channel]) || []).map(entry => ({
+                    message: entry.messageType === FILE_MESSAGE_TYPE ? fileMessage(entry.message) : entry.message,
+                    publisher: entry.uuid,
+                    timetoken: String(entry.timetoken),
+                    actions: flattenActions(entry.actions)
+                }));
+                resolve({ entries: entries, more: entries.length === count });
+            });
+        });
+    }
+
+    /**
+     * A channel's whole history (up to `maxPages` pages back from the newest
+     * message), oldest first. Resolves with the entries.
+     */
+    function fetchAll(pubnub, channel, maxPages = MAX_PAGES) {
+        const fetchFrom = (start, newer, pages) =>
+            fetchPage(pubnub, channel, { start: start, count: MAX_PAGE_SIZE }).then(({ entries, more }) => {
+                const all = entries.concat(newer);
+                return more && pages < maxPages ? fetchFrom(entries[0].timetoken, all, pages + 1) : all;
+            });
+        return fetchFrom(null, [], 1);
+    }
+
+    /**
+     * Messages newer than `since` (a timetoken), e.g. those published while
+     * offline, oldest first. Resolves with { entries, truncated }; a full page
+     * means the gap may hold more than one fetch returns, so `truncated` is set
+     * and older messages in the gap can be missing.
+     */
+    function fetchGap(pubnub, channel, since) {
+        return fetchPage(pubnub, channel, { end: since, count: MAX_PAGE_SIZE }).then(({ entries, more }) => ({
+            entries: entries.filter(entry => BigInt(entry.timetoken) > BigInt(since)),
+            truncated: more
+        }));
+    }
+
+    /**
+     * Merge `incoming` (oldest first, e.g. a history page) into `existing`
+     * (oldest first), skipping timetokens already present and messages whose
+     * clientMessageId is (an outbox retry can store a message twice). Entries
+     * without a timetoken (shown locally, not yet published) stay after the
+     * entry they followed. Returns a new array.
+     */
+    function mergeEntries(existing, incoming) {
+        const seen = new Set(existing.filter(entry => entry.timetoken).map(entry => String(entry.timetoken)));
+        const clientIds = new Set(existing.map(entry => entry.message && entry.message.clientMessageId).filter(Boolean));
+        const added = incoming.filter(entry => {
+            if (!entry.timetoken || seen.has(String(entry.timetoken))) return false;
+            const clientId = entry.message && entry.message.clientMessageId;
+            if (!clientId) return true;
+            if (clientIds.has(clientId)) return false;
+            clientIds.add(clientId);
+            return true;
+        });
+
+        const merged = [];
+        let i = 0;
+        let j = 0;
+        while (i < existing.length && j < added.length) {
+            const current = existing[i];
+            if (current.timetoken && BigInt(added[j].timetoken) < BigInt(current.timetoken)) {
+                merged.push(added[j++]);
+            } else {
+                merged.push(existing[i++]);
+            }
+        }
+        return merged.concat(existing.slice(i), added.slice(j));
+    }
+
+    return {
+        PAGE_SIZE,
+        fetchPage,
+        fetchAll,
+        fetchGap,
+        mergeEntries
+    };
+}));
@@ -0,0 +1,221 @@
+/**
+ * @Mentions
+ *
+ * Messages mention users as '@Name' in the text and carry
+ * `mentions: [{ userId, name }]`, where `name` is how the mention was written.
+ * Clients decide who was mentioned from the user IDs, so a rename does not
+ * break notifications, and they display the mentioned user's current name.
+ *
+ * Suggestions come from whoever the client knows: presence plus App Context
+ * users (listUsers). MentionAutocomplete wires them to a text input (browser
+ * only).
+ *
+ * Works as a plain <script> (exposes `window.PubNubMentions`) and as a
+ * CommonJS module (`require('./shared/mentions')`).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PubNubMentions = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const MAX_SUGGESTIONS = 6;
+
+    // '@al' just before the caret -> { start, query: 'al' }, otherwise null
+    function mentionQuery(text, caret) {
+        const match = /(^|\s)@([^\s@]*)$/.exec(text.slice(0, caret));
+        return match ? { start: caret - match[2].length - 1, query: match[2] } : null;
+    }
+
+    // Users whose name starts with the query, then those containing it
+    function suggestUsers(users, query, excludeId) {
+        const q = query.toLowerCase();
+        const seen = new Set([excludeId]);
+        const unique = users.filter(user => user.name && !seen.has(user.id) && seen.add(user.id));
+        const starts = unique.filter(user => user.name.toLowerCase().startsWith(q));
+        const contains = unique.filter(user => !user.name.toLowerCase().startsWith(q) && user.name.toLowerCase().includes(q));
+        return starts.concat(contains).slice(0, MAX_SUGGESTIONS);
+    }
+
+    // Where '@name' appears in `text` as a whole name: [{ start, end }]
+    function occurrences(text, name) {
+        const lower = text.toLowerCase();
+        const needle = `@${name.toLowerCase()}`;
+        const found = [];
+        let index = lower.indexOf(needle);
+        while (index !== -1) {
+            const end = index + needle.length;
+            if (!/[\w]/.test(text.charAt(end))) found.push({ start: index, end: end });
+            index = lower.indexOf(needle, end);
+        }
+        return found;
+    }
+
+    /**
+     * Users mentioned in `text`: [{ userId, name }]. `picked` (chosen from the
+     * suggestions) win over other users with the same name; longer names are
+     * matched first, so '@Ann Lee' is not read as '@Ann'.
+     */
+    function resolveMentions(text, picked, users) {
+        const byLength = list => list.slice().sort((a, b) => b.name.length - a.name.length);
+        const taken = [];
+        const mentions = [];
+
+        byLength(picked).concat(byLength(users)).forEach(user => {
+            if (!user.name || mentions.some(mention => mention.userId === user.id)) return;
+
+            const free = occurrences(text, user.name)
+                .filter(range => !taken.some(other => range.start < other.end && other.start < range.end));
+            if (free.length > 0) {
+                taken.push(...free);
+                mentions.push({ userId: user.id, name: user.name });
+            }
+        });
+        return mentions;
+    }
+
+    // Split text for rendering: [{ text }] and [{ text, userId }] for mentions.
+    // `mentions` comes off a received message, so anything but a list is ignored.
+    function mentionSegments(text, mentions) {
+        const ranges = [];
+        (Array.isArray(mentions) ? mentions : []).forEach(mention => {
+            if (!mention) return;
+            occurrences(text, String(mention.name || '')).forEach(range => {
+                if (!ranges.some(other => range.start < other.end && other.start < range.end)) {
+                    ranges.push(Object.assign(range, { userId: mention.userId }));
+                }
+            });
+        });
+        ranges.sort((a, b) => a.start - b.start);
+
+        const segments = [];
+        let position = 0;
+        ranges.forEach(range => {
+            if (range.start > position) segments.push({ text: text.slice(position, range.start) });
+            segments.push({ text: text.slice(range.start, range.end), userId: range.userId });
+            position = range.end;
+        });
+        if (position < text.length) segments.push({ text: text.slice(position) });
+        return segments;
+    }
+
+    const mentionsUser = (message, userId) =>
+        Array.isArray(message && message.mentions) && message.mentions.some(mention => mention && mention.userId === userId);
+
+    // Every user with App Context metadata: [{ id, name }]
+    function listUsers(pubnub) {
+        return new Promise((resolve, reject) => {
+            pubnub.objects.getAllUUIDMetadata({ limit: 100 }, (status, response) => {
+                if (status.error) {
+                    reject(status);
+                } else {
+                    resolve(response.data.filter(user => user.name).map(user => ({ id: user.id, name: user.name })));
+                }
+            });
+        });
+    }
+
+    /**
+     * Suggestion list for a text input: typing '@' and part of a name shows
+     * matching users; arrows move, Enter or Tab picks, Escape closes.
+     * `getUsers()` returns the current [{ id, name }] candidates.
+     */
+    class MentionAutocomplete {
+        constructor(input, list, getUsers, options = {}) {
+            this.input = input;
+            this.list = list;
+            this.getUsers = getUsers;
+            this.excludeId = options.excludeId;
+            this.picked = new Map(); // userId -> user chosen from the list
+            this.suggestions = [];
+            this.active = 0;
+
+            input.addEventListener('input', () => this.update());
+            input.addEventListener('keydown', (e) => this.handleKey(e));
+            input.addEventListener('blur', () => this.hide());
+        }
+
+        isOpen() {
+            return this.suggestions.length > 0;
+        }
+
+        update() {
+            const query = mentionQuery(this.input.value, this.input.selectionStart);
+            this.suggestions = query ? suggestUsers(this.getUsers(), query.query, this.excludeId) : [];
+            this.active = 0;
+            this.render();
+        }
+
+        // Runs before the input's own Enter handling, which preventDefault suppresses
+        handleKey(e) {
+            if (!this.isOpen()) return;
+
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                this.active = (this.active + step + this.suggestions.length) % this.suggestions.length;
+                this.render();
+            } else if (e.key === 'Enter' || e.key === 'Tab') {
+                e.preventDefault();
+                this.pick(this.suggestions[this.active]);
+            } else if (e.key === 'Escape') {
+                this.hide();
+            }
+        }
+
+        pick(user) {
+            const caret = this.input.selectionStart;
+            const query = mentionQuery(this.input.value, caret);
+            if (!query) return;
+
+            const before = this.input.value.slice(0, query.start);
+            const after = this.input.value.slice(caret);
+            const inserted = `@${user.name} `;
+            this.input.value = before + inserted + after;
+            this.input.setSelectionRange(before.length + inserted.length, before.length + inserted.length);
+            this.picked.set(user.id, user);
+            this.hide();
+        }
+
+        hide() {
+            this.suggestions = [];
+            this.render();
+        }
+
+        render() {
+            this.list.replaceChildren();
+            this.list.hidden = !this.isOpen();
+            this.suggestions.forEach((user, index) => {
+                const item = document.createElement('li');
+                item.className = 'mention-suggestion';
+                item.classList.toggle('active', index === this.active);
+                item.textContent = `@${user.name}`;
+                // mousedown fires before the input's blur hides the list
+                item.addEventListener('mousedown', (e) => {
+                    e.preventDefault();
+                    this.pick(user);
+                });
+                this.list.appendChild(item);
+            });
+        }
+
+        // Mentions in `text`, preferring users picked from the list
+        mentionsIn(text) {
+            return resolveMentions(text, Array.from(this.picked.values()), this.getUsers());
+        }
+    }
+
+    return {
+        MAX_SUGGESTIONS,
+        mentionQuery,
+        suggestUsers,
+        resolveMentions,
+        mentionSegments,
+        mentionsUser,
+        listUsers,
+        MentionAutocomplete
+    };
+}));
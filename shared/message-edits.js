@@ -0,0 +1,110 @@
+/**
+ * Message Editing and Deletion
+ *
+ * Edits and deletions are message actions on the original message, so the
+ * message itself is never republished:
+ *
+ *   edited   value is the new text; the newest edit is shown
+ *   deleted  soft delete; clients show a tombstone instead of the text
+ *
+ * Anyone can add an action to any message, and anyone can put any userId in
+ * a message, so only actions by the message's author are applied: its
+ * publisher, or for a message the moderation gateway republished, the userId
+ * the gateway set. Earlier edits stay in storage and are returned as the
+ * message's versions.
+ *
+ * Message actions never pass through the gateway, so an edit could bring
+ * back text it filtered. Messages it republished can be deleted but not
+ * edited; edits on them are ignored.
+ *
+ * Works as a plain <script> (exposes `window.PubNubMessageEdits`) and as a
+ * CommonJS module (`require('./shared/message-edits')`).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PubNubMessageEdits = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const EDITED = 'edited';
+    const DELETED = 'deleted';
+
+    // The user ID server/moderation-gateway.js publishes under
+    const GATEWAY_USER_ID = 'moderation-gateway';
+
+    // Who wrote a message, given the publisher PubNub reports for it
+    const messageAuthor = (message, publisher) =>
+        publisher === GATEWAY_USER_ID ? message.userId : publisher;
+
+    const acceptsEdits = publisher => publisher !== GATEWAY_USER_ID;
+
+    function addAction(pubnub, channel, messageTimetoken, action) {
+        return new Promise((resolve, reject) => {
+            pubnub.addMessageAction({
+                channel: channel,
+                messageTimetoken: String(messageTimetoken),
+                action: action
+            }, (status, response) => {
+                if (status.error) {
+                    reject(status);
+                } else {
+                    resolve(response.data);
+                }
+            });
+        });
+    }
+
+    const editMessage = (pubnub, channel, messageTimetoken, text) =>
+        addAction(pubnub, channel, messageTimetoken, { type: EDITED, value: text });
+
+    const deleteMessage = (pubnub, channel, messageTimetoken) =>
+        addAction(pubnub, channel, messageTimetoken, { type: DELETED, value: DELETED });
+
+    // Apply a messageAction event ('added' or 'removed') to a list of actions
+    function updateActions(actions, event) {
+        const others = (actions || []).filter(action => String(action.actionTimetoken) !== String(event.data.actionTimetoken));
+        if (event.event !== 'added') return others;
+        return others.concat({
+            type: event.data.type,
+            value: event.data.value,
+            uuid: event.data.uuid,
+            actionTimetoken: String(event.data.actionTimetoken)
+        });
+    }
+
+    /**
+     * What to show for `message`, published by `publisher`, given its actions:
+     * { text, edited, deleted, versions: [{ text, timetoken }] }, where versions
+     * run from the original (timetoken null) to the current text.
+     */
+    function currentVersion(message, actions, publisher) {
+        const author = messageAuthor(message, publisher);
+        const own = author ? (actions || []).filter(action => action.uuid === author) : [];
+        const edits = own
+            .filter(action => action.type === EDITED && acceptsEdits(publisher))
+            .sort((a, b) => (BigInt(a.actionTimetoken) < BigInt(b.actionTimetoken) ? -1 : 1));
+        const versions = [{ text: message.text, timetoken: null }]
+            .concat(edits.map(action => ({ text: action.value, timetoken: action.actionTimetoken })));
+
+        return {
+            text: versions[versions.length - 1].text,
+            edited: edits.length > 0,
+            deleted: own.some(action => action.type === DELETED),
+            versions: versions
+        };
+    }
+
+    return {
+        EDITED,
+        DELETED,
+        editMessage,
+        deleteMessage,
+        updateActions,
+        messageAuthor,
+        acceptsEdits,
+        currentVersion
+    };
+}));
@@ -0,0 +1,193 @@
+/**
+ * Moderation State Storage
+ *
+ * Storage adapters let a ModerationEngine keep its rate-limit buckets and
+ * duplicate-detection history across page reloads and process restarts, so
+ * refreshing the page no longer resets the limits.
+ *
+ * An adapter stores JSON-serializable values by key:
+ *   load(key)         -> Promise<value | null>
+ *   save(key, value)  -> Promise
+ *   remove(key)       -> Promise
+ *
+ *   MemoryStorage        - in-process only (tests, the gateway)
+ *   LocalStorageStorage  - browser localStorage
+ *   IndexedDBStorage     - browser IndexedDB
+ *   FileStorage          - Node, one JSON file (used by app.js)
+ *
+ * Works as a plain <script> (exposes `window.PubNubModerationStorage`) and as
+ * a CommonJS module (`require('./shared/moderation-storage')`).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('fs'), require('path'));
+    } else {
+        root.PubNubModerationStorage = factory(null, null);
+    }
+}(typeof self !== 'undefined' ? self : this, function (fs, path) {
+    'use strict';
+
+    // Values round-trip through JSON in every adapter, so callers never share
+    // references with what is stored.
+    const clone = value => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+    class MemoryStorage {
+        constructor() {
+            this.values = new Map();
+        }
+
+        load(key) {
+            return Promise.resolve(this.values.has(key) ? clone(this.values.get(key)) : null);
+        }
+
+        save(key, value) {
+            this.values.set(key, clone(value));
+            return Promise.resolve();
+        }
+
+        remove(key) {
+            this.values.delete(key);
+            return Promise.resolve();
+        }
+    }
+
+    class LocalStorageStorage {
+        constructor(options = {}) {
+            this.storage = options.storage || root.localStorage;
+            this.prefix = options.prefix ?? 'pubnub-moderation:';
+        }
+
+        load(key) {
+            return new Promise(resolve => {
+                const raw = this.storage.getItem(this.prefix + key);
+                resolve(raw === null ? null : JSON.parse(raw));
+            });
+        }
+
+        save(key, value) {
+            return new Promise(resolve => {
+                this.storage.setItem(this.prefix + key, JSON.stringify(value));
+                resolve();
+            });
+        }
+
+        remove(key) {
+            return new Promise(resolve => {
+                this.storage.removeItem(this.prefix + key);
+                resolve();
+            });
+        }
+    }
+
+    class IndexedDBStorage {
+        constructor(options = {}) {
+            this.indexedDB = options.indexedDB || root.indexedDB;
+            this.databaseName = options.databaseName || 'pubnub-moderation';
+            this.storeName = options.storeName || 'state';
+            this.db = null;
+        }
+
+        open() {
+            if (!this.db) {
+                this.db = new Promise((resolve, reject) => {
+                    const request = this.indexedDB.open(this.databaseName, 1);
+                    request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                });
+            }
+            return this.db;
+        }
+
+        // Run one request in its own transaction and resolve with its result.
+        request(mode, makeRequest) {
+            return this.open().then(db => new Promise((resolve, reject) => {
+                const transaction = db.transaction(this.storeName, mode);
+                const request = makeRequest(transaction.objectStore(this.storeName));
+                transaction.oncomplete = () => resolve(request.result);
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            }));
+        }
+
+        load(key) {
+            return this.request('readonly', store => store.get(key)).then(value => clone(value));
+        }
+
+        save(key, value) {
+            return this.request('readwrite', store => store.put(clone(value), key)).then(() => undefined);
+        }
+
+        remove(key) {
+            return this.request('readwrite', store => store.delete(key)).then(() => undefined);
+        }
+    }
+
+    // Keeps every key in one JSON file. Writes go to a temporary file that is
+    // renamed over the original, so a crash never leaves a half-written file.
+    class FileStorage {
+        constructor(filePath) {
+            if (!fs) {
+                throw new Error('FileStorage is only available in Node');
+            }
+            this.filePath = filePath;
+            this.queue = Promise.resolve(); // serializes read-modify-write cycles
+        }
+
+        readAll() {
+            return fs.promises.readFile(this.filePath, 'utf8')
+                .then(JSON.parse)
+                .catch(error => {
+                    if (error.code === 'ENOENT') return {};
+                    throw error;
+                });
+        }
+
+        writeAll(values) {
+            const tempPath = `${this.filePath}.${process.pid}.tmp`;
+            return fs.promises.mkdir(path.dirname(this.filePath), { recursive: true })
+                .then(() => fs.promises.writeFile(tempPath, JSON.stringify(values, null, 2)))
+                .then(() => fs.promises.rename(tempPath, this.filePath));
+        }
+
+        update(change) {
+            const next = this.queue.then(() => this.readAll()).then(values => {
+                change(values);
+                return this.writeAll(values);
+            });
+            this.queue = next.catch(() => {}); // one failed write must not wedge the queue
+            return next;
+        }
+
+        load(key) {
+            return this.queue.then(() => this.readAll()).then(values => clone(values[key]));
+        }
+
+        save(key, value) {
+            return this.update(values => {
+                values[key] = clone(value);
+            });
+        }
+
+        remove(key) {
+            return this.update(values => {
+                delete values[key];
+            });
+        }
+    }
+
+    // Best available browser storage: IndexedDB, then localStorage, then memory.
+    function createBrowserStorage() {
+        if (root.indexedDB) return new IndexedDBStorage();
+        if (root.localStorage) return new LocalStorageStorage();
+        return new MemoryStorage();
+    }
+
+    return {
+        MemoryStorage,
+        LocalStorageStorage,
+        IndexedDBStorage,
+        FileStorage,
+        createBrowserStorage
+    };
+}));
@@ -0,0 +1,1052 @@
+/**
+ * Shared Auto-Moderation Engine
+ *
+ * One implementation of the moderation rules used by the web chat (chat.js),
+ * the dashboard (dashboard.js) and the CLI (app.js), so every client enforces
+ * the same policy. Thresholds and per-rule actions come from a policy
+ * document (see moderation-policy.json).
+ *
+ * Pass a storage adapter (shared/moderation-storage.js) to keep rate limits
+ * and duplicate history across reloads and restarts.
+ *
+ * Works as a plain <script> (exposes `window.PubNubModeration`; load
+ * shared/profanity.js first) and as a CommonJS module
+ * (`require('./shared/moderation')`).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./profanity'));
+    } else {
+        root.PubNubModeration = factory(root.PubNubProfanity);
+    }
+}(typeof self !== 'undefined' ? self : this, function (Profanity) {
+    'use strict';
+
+    const DEFAULT_PROFANITY_LIST = ['spam', 'badword', 'inappropriate'];
+
+    // What happens when a rule fires:
+    //   block           - reject, tell the sender
+    //   mask            - replace the offending text and carry on
+    //   normalize       - rewrite the text (e.g. caps) and carry on
+    //   flag-for-review - hold the message for a moderator
+    //   shadow-drop     - pretend to send, deliver to nobody
+    const ACTIONS = ['block', 'mask', 'normalize', 'flag-for-review', 'shadow-drop'];
+    const TRANSFORM_ACTIONS = ['mask', 'normalize'];
+
+    const DEFAULT_POLICY = {
+        version: 1,
+        rules: [
+            { rule: 'invisible', action: 'normalize' },
+            { rule: 'duplicate', action: 'block', exactWindowMs: 5000, similarWindowMs: 10000, similarityThreshold: 0.8 },
+            { rule: 'profanity', action: 'block', words: DEFAULT_PROFANITY_LIST, allowlist: [] },
+            { rule: 'rateLimit', action: 'block', maxMessagesPerMinute: 10 },
+            { rule: 'links', action: 'block', maxLinks: 2, allowDomains: [], denyDomains: [] },
+            { rule: 'mentions', action: 'block', maxMentions: 5 },
+            { rule: 'flood', action: 'normalize', maxRepeatedChars: 10, maxEmoji: 10 },
+            { rule: 'caps', action: 'normalize', minLength: 5, ratio: 0.6 }
+        ]
+    };
+
+    class PolicyError extends Error {
+        constructor(errors) {
+            super(`Invalid moderation policy:\n  - ${errors.join('\n  - ')}`);
+            this.name = 'PolicyError';
+            this.errors = errors;
+        }
+    }
+
+    // ============================================
+    // TEXT HELPERS
+    // ============================================
+
+    // An edit is { start, end, from, to }: text[start..end) (`from`) was
+    // replaced by `to`. Lists of edits are sorted and never overlap.
+
+    function applyEdits(text, edits) {
+        let result = '';
+        let last = 0;
+        edits.forEach(edit => {
+            result += text.slice(last, edit.start) + edit.to;
+            last = edit.end;
+        });
+        return result + text.slice(last);
+    }
+
+    // Replace every match of a global `pattern` with replacer(match), keeping
+    // track of what changed where.
+    function editText(text, pattern, replacer) {
+        const edits = [];
+        for (const match of text.matchAll(pattern)) {
+            const to = replacer(match);
+            if (to !== match[0]) {
+                edits.push({ start: match.index, end: match.index + match[0].length, from: match[0], to: to });
+            }
+        }
+        return { text: applyEdits(text, edits), edits: edits };
+    }
+
+    // Edits turning `before` into `after`, for rules that only return the new
+    // text. Same-length rewrites (like caps) give one edit per changed run;
+    // otherwise everything between the common prefix and suffix is one edit.
+    function diffEdits(before, after) {
+        const edits = [];
+
+        if (before.length === after.length) {
+            for (let i = 0; i < before.length; i++) {
+                if (before[i] === after[i]) continue;
+                const start = i;
+                while (i < before.length && before[i] !== after[i]) i++;
+                edits.push({ start: start, end: i, from: before.slice(start, i), to: after.slice(start, i) });
+            }
+            return edits;
+        }
+
+        let start = 0;
+        while (start < before.length && start < after.length && before[start] === after[start]) start++;
+        let endBefore = before.length;
+        let endAfter = after.length;
+        while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+            endBefore--;
+            endAfter--;
+        }
+        edits.push({ start: start, end: endBefore, from: before.slice(start, endBefore), to: after.slice(start, endAfter) });
+        return edits;
+    }
+
+    /**
+     * Line up a verdict's transformations against the original text for an
+     * inline diff: a list of { type: 'same' | 'removed' | 'added', text }
+     * segments, in reading order.
+     */
+    function diffSegments(originalText, transformations) {
+        // Each character of the current text, with its index in the original
+        // (-1 for inserted characters)
+        let current = Array.from(originalText, ch => ({ ch: ch, origin: -1 }));
+        let index = 0;
+        current.forEach(entry => {
+            entry.origin = index;
+            index += entry.ch.length;
+        });
+
+        transformations.forEach(transformation => {
+            const edits = transformation.edits;
+            const next = [];
+            const insert = text => Array.from(text).forEach(ch => next.push({ ch: ch, origin: -1 }));
+            let inserted = 0; // edits whose replacement is already in `next`
+            let covering = 0; // first edit that does not end before `offset`
+            let offset = 0;
+
+            current.forEach(entry => {
+                while (inserted < edits.length && edits[inserted].start <= offset) {
+                    insert(edits[inserted++].to);
+                }
+                while (covering < edits.length && edits[covering].end <= offset) covering++;
+
+                const removed = covering < edits.length &&
+                    edits[covering].start <= offset && offset < edits[covering].end;
+                if (!removed) next.push(entry);
+                offset += entry.ch.length;
+            });
+            while (inserted < edits.length) insert(edits[inserted++].to);
+
+            current = next;
+        });
+
+        const segments = [];
+        const push = (type, text) => {
+            const last = segments[segments.length - 1];
+            if (last && last.type === type) {
+                last.text += text;
+            } else {
+                segments.push({ type: type, text: text });
+            }
+        };
+
+        let nextOriginal = 0;
+        current.forEach(entry => {
+            if (entry.origin < 0) {
+                push('added', entry.ch);
+                return;
+            }
+            if (entry.origin > nextOriginal) {
+                push('removed', originalText.slice(nextOriginal, entry.origin));
+            }
+            push('same', entry.ch);
+            nextOriginal = entry.origin + entry.ch.length;
+        });
+        if (nextOriginal < originalText.length) {
+            push('removed', originalText.slice(nextOriginal));
+        }
+
+        // Read "old -> new": removals before the insertions that replace them
+        for (let i = 0; i < segments.length - 1; i++) {
+            if (segments[i].type === 'added' && segments[i + 1].type === 'removed') {
+                [segments[i], segments[i + 1]] = [segments[i + 1], segments[i]];
+                i++;
+            }
+        }
+
+        return segments;
+    }
+
+    // What to attach to a published message so receivers can see which rules
+    // changed it: { rules, reasons }, or null when nothing was changed.
+    function summarizeTransformations(verdict) {
+        if (!verdict.transformations || verdict.transformations.length === 0) return null;
+        return {
+            rules: verdict.transformations.map(t => t.rule),
+            reasons: verdict.transformations.map(t => t.reason)
+        };
+    }
+
+    // The summary on a received message, which any client can publish: an
+    // empty one when there is none, null when rules or reasons are not lists
+    // of strings
+    function readModerationSummary(message) {
+        const summary = message.moderation;
+        if (summary === undefined) return { rules: [], reasons: [] };
+        const strings = list => Array.isArray(list) && list.every(item => typeof item === 'string');
+        return summary && strings(summary.rules) && strings(summary.reasons) ? summary : null;
+    }
+
+    // Messages longer than this are compared by MinHash instead of edit distance
+    const MINHASH_MIN_LENGTH = 1000;
+    const SHINGLE_SIZE = 5;
+    const MINHASH_SIZE = 64;
+
+    /**
+     * Edit distance between two strings using two rows of memory. With
+     * `maxDistance`, only a diagonal band of that width is computed and the
+     * result is capped at maxDistance + 1 as soon as it cannot be lower, so
+     * very different long strings are rejected early.
+     */
+    function levenshteinDistance(str1, str2, maxDistance = Infinity) {
+        // A common prefix and suffix never change the distance
+        let start = 0;
+        while (start < str1.length && start < str2.length && str1[start] === str2[start]) {
+            start++;
+        }
+        let end1 = str1.length;
+        let end2 = str2.length;
+        while (end1 > start && end2 > start && str1[end1 - 1] === str2[end2 - 1]) {
+            end1--;
+            end2--;
+        }
+
+        // Rows run over the longer string, columns over the shorter
+        const a = end1 - start >= end2 - start ? str1.slice(start, end1) : str2.slice(start, end2);
+        const b = end1 - start >= end2 - start ? str2.slice(start, end2) : str1.slice(start, end1);
+
+        if (a.length - b.length > maxDistance) return maxDistance + 1;
+        if (b.length === 0) return a.length;
+
+        const band = Math.min(maxDistance, a.length);
+        const outside = band + 1; // any cell outside the band is already too far
+        let previous = new Uint32Array(b.length + 1).fill(outside);
+        let current = new Uint32Array(b.length + 1).fill(outside);
+        for (let j = 0; j <= Math.min(b.length, band); j++) {
+            previous[j] = j;
+        }
+
+        for (let i = 1; i <= a.length; i++) {
+            const from = Math.max(1, i - band);
+            const to = Math.min(b.length, i + band);
+            current[from - 1] = from === 1 ? i : outside;
+
+            let rowMin = current[from - 1];
+            const ch = a.charCodeAt(i - 1);
+            for (let j = from; j <= to; j++) {
+                const cost = ch === b.charCodeAt(j - 1) ? 0 : 1;
+                const value = Math.min(previous[j - 1] + cost, previous[j] + 1, current[j - 1] + 1);
+                current[j] = value;
+                if (value < rowMin) rowMin = value;
+            }
+
+            if (rowMin > band) return maxDistance + 1;
+            [previous, current] = [current, previous];
+        }
+
+        const distance = previous[b.length];
+        return distance > band ? maxDistance + 1 : distance;
+    }
+
+    function calculateSimilarity(str1, str2) {
+        const longer = str1.length > str2.length ? str1 : str2;
+        const shorter = str1.length > str2.length ? str2 : str1;
+
+        if (longer.length === 0) return 1.0;
+
+        const editDistance = levenshteinDistance(longer, shorter);
+        return (longer.length - editDistance) / longer.length;
+    }
+
+    // 32-bit FNV-1a
+    function hashString(text, start, end) {
+        let hash = 0x811c9dc5;
+        for (let i = start; i < end; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // Scramble a hash with one of MINHASH_SIZE seeds (murmur3 finalizer)
+    function mixHash(hash, seed) {
+        let h = (hash ^ Math.imul(seed, 0x9e3779b1)) >>> 0;
+        h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+        h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+        return (h ^ (h >>> 16)) >>> 0;
+    }
+
+    /**
+     * MinHash signature of a text's 5-character shingles: MINHASH_SIZE
+     * numbers, however long the text. The share of positions where two
+     * signatures agree estimates how many shingles the texts have in common.
+     */
+    function minHashSignature(text) {
+        const signature = new Uint32Array(MINHASH_SIZE).fill(0xffffffff);
+        const last = Math.max(0, text.length - SHINGLE_SIZE);
+
+        for (let i = 0; i <= last; i++) {
+            const shingle = hashString(text, i, Math.min(text.length, i + SHINGLE_SIZE));
+            for (let k = 0; k < MINHASH_SIZE; k++) {
+                const h = mixHash(shingle, k + 1);
+                if (h < signature[k]) signature[k] = h;
+            }
+        }
+
+        return signature;
+    }
+
+    function signatureSimilarity(signature1, signature2) {
+        let same = 0;
+        for (let k = 0; k < MINHASH_SIZE; k++) {
+            if (signature1[k] === signature2[k]) same++;
+        }
+        return same / MINHASH_SIZE;
+    }
+
+    /**
+     * True when `text` and `other` are more than `threshold` similar. Short
+     * messages use edit distance, cut off once it is clearly too large; long
+     * ones (MINHASH_MIN_LENGTH and up) compare MinHash signatures;
+     * `signatures()` may return cached ones as [textSignature, otherSignature].
+     */
+    function isNearDuplicate(text, other, threshold, signatures) {
+        const longer = Math.max(text.length, other.length);
+        const shorter = Math.min(text.length, other.length);
+
+        if (longer === 0) return true;
+        // Every extra character is an edit, so the lengths alone can rule it out
+        if (shorter / longer <= threshold) return false;
+
+        if (longer >= MINHASH_MIN_LENGTH) {
+            const [signature1, signature2] = signatures ?
+                signatures() : [minHashSignature(text), minHashSignature(other)];
+            return signatureSimilarity(signature1, signature2) > threshold;
+        }
+
+        const distance = levenshteinDistance(text, other, Math.floor(longer * (1 - threshold)));
+        return (longer - distance) / longer > threshold;
+    }
+
+    function hasExcessiveCaps(text, minLength = 5, ratio = 0.6) {
+        if (text.length < minLength) return false;
+        const capsCount = (text.match(/[A-Z]/g) || []).length;
+        return capsCount / text.length > ratio;
+    }
+
+    function normalizeCaps(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1).toLowerCase();
+    }
+
+    // Links with a scheme or "www.", and bare domains on common TLDs (but not
+    // the domain part of an email address)
+    const LINK = /\b(?:https?:\/\/|www\.)[^\s<>"]+|(?<![@\w.-])(?:[a-z0-9-]+\.)+(?:com|net|org|io|co|ru|xyz|info|biz|me|ly|gg|app|dev|site|link|click)\b(?:\/[^\s<>"]*)?/gi;
+
+    // Find links in text as { text, domain, start, end }
+    function findLinks(text) {
+        const links = [];
+        for (const match of text.matchAll(LINK)) {
+            const url = match[0].replace(/[.,!?;:)\]]+$/, ''); // trailing punctuation is prose
+            const domain = url.toLowerCase()
+                .replace(/^https?:\/\//, '')
+                .replace(/^www\./, '')
+                .split(/[/:?#]/)[0];
+            links.push({ text: url, domain: domain, start: match.index, end: match.index + url.length });
+        }
+        return links;
+    }
+
+    // True when `domain` is one of `domains` or a subdomain of one
+    function domainMatches(domain, domains) {
+        return domains.some(entry => {
+            const listed = entry.toLowerCase().replace(/^www\./, '');
+            return domain === listed || domain.endsWith(`.${listed}`);
+        });
+    }
+
+    // Distinct @mentions, lowercased ("mail@example.com" is not a mention)
+    function findMentions(text) {
+        const mentions = new Set();
+        for (const match of text.matchAll(/(?:^|[^\w@])@([\w.-]*\w)/g)) {
+            mentions.add(match[1].toLowerCase());
+        }
+        return [...mentions];
+    }
+
+    // One emoji, including skin tones, variation selectors and ZWJ sequences
+    const EMOJI = /\p{Extended_Pictographic}[\u{1F3FB}-\u{1F3FF}\uFE0F]*(?:\u200D\p{Extended_Pictographic}[\u{1F3FB}-\u{1F3FF}\uFE0F]*)*/gu;
+
+    function countEmoji(text) {
+        return (text.match(EMOJI) || []).length;
+    }
+
+    // A run of more than `max` of the same non-space character ("!!!!!!!!!!!!")
+    function repeatedCharsPattern(max) {
+        return new RegExp(`(\\S)\\1{${max},}`, 'gu');
+    }
+
+    function hasRepeatedChars(text, max = 10) {
+        return repeatedCharsPattern(max).test(text);
+    }
+
+    // Collapse over-long runs to three characters ("soooooooooooo" -> "sooo")
+    function collapseRepeatedChars(text, max = 10) {
+        return editText(text, repeatedCharsPattern(max), match => match[1].repeat(3)).text;
+    }
+
+    // Collapse character runs and drop every emoji after the first
+    // `maxEmoji`, in one pass so the edits line up with `text`
+    function trimFlood(text, maxRepeatedChars, maxEmoji) {
+        const pattern = new RegExp(`${repeatedCharsPattern(maxRepeatedChars).source}|${EMOJI.source}`, 'gu');
+        let emojiSeen = 0;
+
+        return editText(text, pattern, match => {
+            if (match[1] === undefined) {
+                return ++emojiSeen <= maxEmoji ? match[0] : '';
+            }
+            if (/\p{Extended_Pictographic}/u.test(match[1])) emojiSeen += 3;
+            return match[1].repeat(3);
+        });
+    }
+
+    // Zero-width and direction-override characters, used to hide words from
+    // filters or to spoof how text reads. Zero-width joiners inside emoji
+    // sequences (👨‍👩‍👧) are kept.
+    const INVISIBLE = /[\u00AD\u180E\u200B\u200C\u200E\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]|(?<![\p{Extended_Pictographic}\u{1F3FB}-\u{1F3FF}\uFE0F])\u200D|\u200D(?!\p{Extended_Pictographic})/gu;
+
+    function stripInvisible(text) {
+        return editText(text, INVISIBLE, () => '').text;
+    }
+
+    // Token bucket holding up to `capacity` tokens, refilled continuously at
+    // `refillPerMs`. Buckets are plain { tokens, updatedAt } objects so the
+    // engine can persist them; a missing bucket is full.
+    function refillBucket(bucket, capacity, refillPerMs, now) {
+        if (!bucket) return { tokens: capacity, updatedAt: now };
+
+        const elapsed = Math.max(0, now - bucket.updatedAt);
+        return {
+            tokens: Math.min(capacity, bucket.tokens + elapsed * refillPerMs),
+            updatedAt: now
+        };
+    }
+
+    // ============================================
+    // RULES
+    // ============================================
+    //
+    // A rule is { name, action, enabled, check(text, engine, now) }. `check`
+    // returns null when the text is fine, or { reason, filteredText, edits }
+    // when the rule fires (`edits` is optional, see applyEdits); the engine
+    // then applies the rule's action. Rules that keep
+    // state may add record(text, accepted, engine, now), which the engine
+    // calls after every attempt. Each factory lists the actions that make
+    // sense for it in `allowedActions`.
+
+    // Compares against the last `historySize` accepted messages, newest first
+    function duplicateRule(options = {}) {
+        const exactWindowMs = options.exactWindowMs ?? 5000;
+        const similarWindowMs = options.similarWindowMs ?? 10000;
+        const similarityThreshold = options.similarityThreshold ?? 0.8;
+        const historySize = options.historySize ?? 10;
+
+        // MinHash signatures of long history entries, computed once each
+        const signatures = new WeakMap();
+
+        return {
+            name: 'duplicate',
+            action: options.action || 'block',
+            enabled: options.enabled ?? true,
+            historySize: historySize,
+            check(text, engine, now) {
+                let textSignature = null;
+                const signaturesFor = entry => () => {
+                    textSignature = textSignature || minHashSignature(text);
+                    if (!signatures.has(entry)) signatures.set(entry, minHashSignature(entry.text));
+                    return [textSignature, signatures.get(entry)];
+                };
+
+                const candidates = engine.messageHistory.slice(-historySize).reverse();
+                for (const entry of candidates) {
+                    const age = now - entry.timestamp;
+                    if (age >= Math.max(exactWindowMs, similarWindowMs)) break;
+
+                    // Exact same message within the short window
+                    if (age < exactWindowMs && entry.text === text) {
+                        return { reason: 'Duplicate message detected' };
+                    }
+
+                    // Very similar message within the longer window
+                    if (age < similarWindowMs && isNearDuplicate(text, entry.text, similarityThreshold, signaturesFor(entry))) {
+                        return { reason: 'Duplicate message detected' };
+                    }
+                }
+
+                return null;
+            }
+        };
+    }
+    duplicateRule.allowedActions = ['block', 'flag-for-review', 'shadow-drop'];
+    duplicateRule.numericOptions = ['exactWindowMs', 'similarWindowMs', 'similarityThreshold', 'historySize'];
+
+    function profanityRule(options = {}) {
+        const matcher = Profanity.createProfanityMatcher(options.words || DEFAULT_PROFANITY_LIST, {
+            allowlist: options.allowlist
+        });
+
+        return {
+            name: 'profanity',
+            action: options.action || 'block',
+            enabled: options.enabled ?? true,
+            check(text) {
+                const matches = matcher.find(text);
+                if (matches.length === 0) return null;
+
+                const edits = matches.map(match => ({ start: match.start, end: match.end, from: match.text, to: '***' }));
+                return {
+                    reason: 'Profanity detected',
+                    filteredText: applyEdits(text, edits),
+                    edits: edits
+                };
+            }
+        };
+    }
+    profanityRule.allowedActions = ['block', 'mask', 'flag-for-review', 'shadow-drop'];
+    profanityRule.numericOptions = [];
+    profanityRule.listOptions = ['words', 'allowlist'];
+
+    // Token bucket: bursts of up to maxMessagesPerMinute, then one message
+    // per (60 / maxMessagesPerMinute) seconds.
+    function rateLimitRule(options = {}) {
+        const maxMessagesPerMinute = options.maxMessagesPerMinute ?? 10;
+        const refillPerMs = maxMessagesPerMinute / 60000;
+        const bucketAt = (engine, now) =>
+            refillBucket(engine.rateBuckets.rateLimit, maxMessagesPerMinute, refillPerMs, now);
+
+        return {
+            name: 'rateLimit',
+            action: options.action || 'block',
+            enabled: options.enabled ?? true,
+            maxMessagesPerMinute: maxMessagesPerMinute,
+            check(text, engine, now) {
+                if (bucketAt(engine, now).tokens >= 1) return null;
+
+                return { reason: 'Sending messages too quickly' };
+            },
+            // Every attempt spends a token, including blocked ones
+            record(text, accepted, engine, now) {
+                const bucket = bucketAt(engine, now);
+                bucket.tokens = Math.max(0, bucket.tokens - 1);
+                engine.rateBuckets.rateLimit = bucket;
+            }
+        };
+    }
+    rateLimitRule.allowedActions = ['block', 'flag-for-review', 'shadow-drop'];
+    rateLimitRule.numericOptions = ['maxMessagesPerMinute'];
+
+    function capsRule(options = {}) {
+        const minLength = options.minLength ?? 5;
+        const ratio = options.ratio ?? 0.6;
+
+        return {
+            name: 'caps',
+            action: options.action || 'normalize',
+            enabled: options.enabled ?? true,
+            check(text) {
+                if (!hasExcessiveCaps(text, minLength, ratio)) return null;
+
+                return {
+                    reason: 'Excessive caps normalized',
+                    filteredText: normalizeCaps(text)
+                };
+            }
+        };
+    }
+    capsRule.allowedActions = ['block', 'normalize', 'flag-for-review', 'shadow-drop'];
+    capsRule.numericOptions = ['minLength', 'ratio'];
+
+    // Counts links, minus allowlisted domains; any denylisted domain fires
+    // the rule on its own. `mask` removes the offending links.
+    function linksRule(options = {}) {
+        const maxLinks = options.maxLinks ?? 2;
+        const allowDomains = options.allowDomains || [];
+        const denyDomains = options.denyDomains || [];
+
+        return {
+            name: 'links',
+            action: options.action || 'block',
+            enabled: options.enabled ?? true,
+            check(text) {
+                const links = findLinks(text).filter(link => !domainMatches(link.domain, allowDomains));
+                const denied = links.filter(link => domainMatches(link.domain, denyDomains));
+
+                let offending;
+                let reason;
+                if (denied.length > 0) {
+                    offending = denied;
+                    reason = `Link to blocked domain ${denied[0].domain}`;
+                } else if (links.length > maxLinks) {
+                    offending = links.slice(maxLinks);
+                    reason = `Too many links (${links.length}, max ${maxLinks})`;
+                } else {
+                    return null;
+                }
+
+                const edits = offending.map(link => ({ start: link.start, end: link.end, from: link.text, to: '[link removed]' }));
+                return { reason: reason, filteredText: applyEdits(text, edits), edits: edits };
+            }
+        };
+    }
+    linksRule.allowedActions = ['block', 'mask', 'flag-for-review', 'shadow-drop'];
+    linksRule.numericOptions = [];
+    linksRule.countOptions = ['maxLinks'];
+    linksRule.listOptions = ['allowDomains', 'denyDomains'];
+
+    function mentionsRule(options = {}) {
+        const maxMentions = options.maxMentions ?? 5;
+
+        return {
+            name: 'mentions',
+            action: options.action || 'block',
+            enabled: options.enabled ?? true,
+            check(text) {
+                const count = findMentions(text).length;
+                if (count <= maxMentions) return null;
+
+                return { reason: `Too many mentions (${count}, max ${maxMentions})` };
+            }
+        };
+    }
+    mentionsRule.allowedActions = ['block', 'flag-for-review', 'shadow-drop'];
+    mentionsRule.numericOptions = [];
+    mentionsRule.countOptions = ['maxMentions'];
+
+    // Character and emoji floods. `normalize` collapses long runs and drops
+    // the emoji past the limit.
+    function floodRule(options = {}) {
+        const maxRepeatedChars = options.maxRepeatedChars ?? 10;
+        const maxEmoji = options.maxEmoji ?? 10;
+
+        return {
+            name: 'flood',
+            action: options.action || 'normalize',
+            enabled: options.enabled ?? true,
+            check(text) {
+                const reasons = [];
+
+                if (hasRepeatedChars(text, maxRepeatedChars)) {
+                    reasons.push('Repeated characters');
+                }
+
+                const emoji = countEmoji(text);
+                if (emoji > maxEmoji) {
+                    reasons.push(`Too many emoji (${emoji}, max ${maxEmoji})`);
+                }
+
+                if (reasons.length === 0) return null;
+                const trimmed = trimFlood(text, maxRepeatedChars, maxEmoji);
+                return { reason: reasons.join('; '), filteredText: trimmed.text, edits: trimmed.edits };
+            }
+        };
+    }
+    floodRule.allowedActions = ['block', 'normalize', 'flag-for-review', 'shadow-drop'];
+    floodRule.numericOptions = ['maxRepeatedChars'];
+    floodRule.countOptions = ['maxEmoji'];
+
+    // List it first so later rules see the cleaned-up text
+    function invisibleRule(options = {}) {
+        return {
+            name: 'invisible',
+            action: options.action || 'normalize',
+            enabled: options.enabled ?? true,
+            check(text) {
+                const stripped = editText(text, INVISIBLE, () => '');
+                if (stripped.edits.length === 0) return null;
+
+                return {
+                    reason: 'Invisible characters removed',
+                    filteredText: stripped.text,
+                    edits: stripped.edits
+                };
+            }
+        };
+    }
+    invisibleRule.allowedActions = ['block', 'normalize', 'flag-for-review', 'shadow-drop'];
+    invisibleRule.numericOptions = [];
+
+    const RULES = {
+        duplicate: duplicateRule,
+        profanity: profanityRule,
+        rateLimit: rateLimitRule,
+        caps: capsRule,
+        links: linksRule,
+        mentions: mentionsRule,
+        flood: floodRule,
+        invisible: invisibleRule
+    };
+
+    // ============================================
+    // ENGINE
+    // ============================================
+
+    class ModerationEngine {
+        constructor(options = {}) {
+            this.rules = [];
+            this.messageHistory = []; // {text, timestamp} of accepted messages, for duplicate detection
+            this.rateBuckets = {}; // rule name -> token bucket, for rate limiting
+            this.historySize = options.historySize ?? 10;
+            this.now = options.now || (() => Date.now());
+
+            // Optional adapter from shared/moderation-storage.js
+            this.storage = options.storage || null;
+            this.storageKey = options.storageKey || 'moderation-state';
+            this.saving = Promise.resolve();
+
+            // Resolves once any persisted state has been restored
+            this.ready = this.storage ? this.load() : Promise.resolve();
+        }
+
+        addRule(rule) {
+            this.rules.push(rule);
+            // Keep enough history for rules that look further back
+            if (rule.historySize > this.historySize) {
+                this.historySize = rule.historySize;
+            }
+            return this;
+        }
+
+        getRule(name) {
+            return this.rules.find(rule => rule.name === name) || null;
+        }
+
+        setRuleEnabled(name, enabled) {
+            const rule = this.getRule(name);
+            if (rule) {
+                rule.enabled = enabled;
+            }
+        }
+
+        /**
+         * Run every enabled rule against `text` and record the attempt.
+         *
+         * Returns a verdict:
+         *   { passed, action, reason, originalText, filteredText, moderated, triggered, transformations }
+         * `action` is 'allow' or the terminal action that stopped the message
+         * ('block', 'flag-for-review' or 'shadow-drop'); `passed` is true only
+         * for 'allow'. `triggered` lists { rule, action, reason } for each rule
+         * that fired. `transformations` lists { rule, action, reason, edits }
+         * for each rule that rewrote the text, in order, with edits relative
+         * to the text that rule saw (see diffSegments).
+         */
+        moderate(text) {
+            const now = this.now();
+            const verdict = this.evaluate(text, now);
+            this.track(text, verdict.passed, now);
+            return verdict;
+        }
+
+        // Same verdict as moderate(), without recording the attempt. Used to
+        // show the sender what would change before they send.
+        preview(text) {
+            return this.evaluate(text, this.now());
+        }
+
+        evaluate(text, now) {
+            const verdict = {
+                passed: true,
+                action: 'allow',
+                reason: '',
+                originalText: text,
+                filteredText: text,
+                moderated: false,
+                triggered: [],
+                transformations: []
+            };
+
+            for (const rule of this.rules) {
+                if (!rule.enabled) continue;
+
+                const result = rule.check(verdict.filteredText, this, now);
+                if (!result) continue;
+
+                verdict.triggered.push({ rule: rule.name, action: rule.action, reason: result.reason });
+
+                if (TRANSFORM_ACTIONS.includes(rule.action)) {
+                    if (result.filteredText !== undefined && result.filteredText !== verdict.filteredText) {
+                        verdict.transformations.push({
+                            rule: rule.name,
+                            action: rule.action,
+                            reason: result.reason,
+                            edits: result.edits || diffEdits(verdict.filteredText, result.filteredText)
+                        });
+                        verdict.filteredText = result.filteredText;
+                    }
+                    continue;
+                }
+
+                verdict.passed = false;
+                verdict.action = rule.action;
+                verdict.reason = result.reason;
+                break;
+            }
+
+            verdict.moderated = verdict.passed && verdict.filteredText !== text;
+            return verdict;
+        }
+
+        // Blocked attempts still count toward the rate limit, but only accepted
+        // text is remembered for duplicate detection.
+        track(text, accepted, now = this.now()) {
+            if (accepted) {
+                this.messageHistory.push({ text: text, timestamp: now });
+                if (this.messageHistory.length > this.historySize) {
+                    this.messageHistory.shift();
+                }
+            }
+
+            this.rules.forEach(rule => {
+                if (rule.record) rule.record(text, accepted, this, now);
+            });
+            this.save();
+        }
+
+        reset() {
+            this.messageHistory = [];
+            this.rateBuckets = {};
+            return this.save();
+        }
+
+        snapshot() {
+            return {
+                version: 1,
+                messageHistory: this.messageHistory,
+                rateBuckets: this.rateBuckets
+            };
+        }
+
+        // Merge persisted state with anything recorded since startup
+        restore(state) {
+            if (Array.isArray(state.messageHistory)) {
+                this.messageHistory = state.messageHistory.concat(this.messageHistory)
+                    .sort((a, b) => a.timestamp - b.timestamp)
+                    .slice(-this.historySize);
+            }
+
+            const buckets = state.rateBuckets || {};
+            Object.keys(buckets).forEach(name => {
+                // Keep the emptier bucket, so reloading never refills it
+                const current = this.rateBuckets[name];
+                if (!current || buckets[name].tokens < current.tokens) {
+                    this.rateBuckets[name] = buckets[name];
+                }
+            });
+        }
+
+        load() {
+            return this.storage.load(this.storageKey)
+                .then(state => {
+                    if (state) this.restore(state);
+                })
+                .catch(error => console.warn('Moderation state not restored:', error.message));
+        }
+
+        // Writes are chained so they land in order
+        save() {
+            if (!this.storage) return Promise.resolve();
+
+            const state = JSON.parse(JSON.stringify(this.snapshot()));
+            this.saving = this.saving
+                .then(() => this.storage.save(this.storageKey, state))
+                .catch(error => console.warn('Moderation state not saved:', error.message));
+            return this.saving;
+        }
+    }
+
+    // ============================================
+    // POLICY
+    // ============================================
+
+    /**
+     * Check a policy document and return a list of human-readable problems
+     * (empty when the policy is valid).
+     */
+    function validatePolicy(policy) {
+        const errors = [];
+
+        if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+            return ['policy must be a JSON object'];
+        }
+        if (!Array.isArray(policy.rules)) {
+            return ['"rules" must be an array'];
+        }
+
+        const seen = new Set();
+        policy.rules.forEach((entry, index) => {
+            const where = `rules[${index}]`;
+
+            if (!entry || typeof entry !== 'object') {
+                errors.push(`${where} must be an object`);
+                return;
+            }
+
+            const factory = RULES[entry.rule];
+            if (!factory) {
+                errors.push(`${where}: unknown rule "${entry.rule}" (expected one of ${Object.keys(RULES).join(', ')})`);
+                return;
+            }
+
+            const label = `${where} (${entry.rule})`;
+            if (seen.has(entry.rule)) {
+                errors.push(`${label}: rule is declared more than once`);
+            }
+            seen.add(entry.rule);
+
+            // "action" is optional; each rule has a default
+            if (entry.action !== undefined && !ACTIONS.includes(entry.action)) {
+                errors.push(`${label}: unknown action "${entry.action}" (expected one of ${ACTIONS.join(', ')})`);
+            } else if (entry.action !== undefined && !factory.allowedActions.includes(entry.action)) {
+                errors.push(`${label}: action "${entry.action}" is not supported (use ${factory.allowedActions.join(', ')})`);
+            }
+
+            if (entry.enabled !== undefined && typeof entry.enabled !== 'boolean') {
+                errors.push(`${label}: "enabled" must be true or false`);
+            }
+
+            const countOptions = factory.countOptions || [];
+            const listOptions = factory.listOptions || [];
+            const knownKeys = ['rule', 'action', 'enabled', ...factory.numericOptions, ...countOptions, ...listOptions];
+
+            Object.keys(entry).forEach(key => {
+                if (!knownKeys.includes(key)) {
+                    errors.push(`${label}: unknown option "${key}"`);
+                }
+            });
+
+            factory.numericOptions.forEach(key => {
+                if (entry[key] !== undefined && !(typeof entry[key] === 'number' && entry[key] > 0)) {
+                    errors.push(`${label}: "${key}" must be a positive number`);
+                }
+            });
+
+            countOptions.forEach(key => {
+                if (entry[key] !== undefined && !(Number.isInteger(entry[key]) && entry[key] >= 0)) {
+                    errors.push(`${label}: "${key}" must be a whole number, 0 or more`);
+                }
+            });
+
+            ['similarityThreshold', 'ratio'].forEach(key => {
+                if (typeof entry[key] === 'number' && entry[key] > 1) {
+                    errors.push(`${label}: "${key}" must be between 0 and 1`);
+                }
+            });
+
+            listOptions.forEach(key => {
+                if (entry[key] !== undefined &&
+                    !(Array.isArray(entry[key]) && entry[key].every(word => typeof word === 'string' && word.trim()))) {
+                    errors.push(`${label}: "${key}" must be an array of non-empty strings`);
+                }
+            });
+        });
+
+        return errors;
+    }
+
+    /**
+     * Parse a policy from JSON text, throwing a PolicyError that lists every
+     * problem found.
+     */
+    function parsePolicy(source) {
+        let policy;
+        try {
+            policy = JSON.parse(source);
+        } catch (error) {
+            throw new PolicyError([`not valid JSON: ${error.message}`]);
+        }
+
+        const errors = validatePolicy(policy);
+        if (errors.length > 0) {
+            throw new PolicyError(errors);
+        }
+        return policy;
+    }
+
+    // Rules run in the order the policy lists them.
+    function createEngineFromPolicy(policy, options = {}) {
+        const errors = validatePolicy(policy);
+        if (errors.length > 0) {
+            throw new PolicyError(errors);
+        }
+
+        const engine = new ModerationEngine(options);
+        policy.rules.forEach(entry => engine.addRule(RULES[entry.rule](entry)));
+        return engine;
+    }
+
+    function createDefaultEngine(options = {}) {
+        return createEngineFromPolicy(DEFAULT_POLICY, options);
+    }
+
+    // Browser helper: fetch and parse a policy document. Rejects with a
+    // PolicyError when the document is malformed.
+    function loadPolicy(url) {
+        return fetch(url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Failed to load moderation policy (${response.status})`);
+                }
+                return response.text();
+            })
+            .then(parsePolicy);
+    }
+
+    return {
+        ModerationEngine,
+        PolicyError,
+        createDefaultEngine,
+        createEngineFromPolicy,
+        validatePolicy,
+        parsePolicy,
+        loadPolicy,
+        rules: RULES,
+        ACTIONS,
+        DEFAULT_POLICY,
+        DEFAULT_PROFANITY_LIST,
+        calculateSimilarity,
+        levenshteinDistance,
+        isNearDuplicate,
+        minHashSignature,
+        hasExcessiveCaps,
+        normalizeCaps,
+        diffSegments,
+        summarizeTransformations,
+        readModerationSummary,
+        findLinks,
+        findMentions,
+        countEmoji,
+        hasRepeatedChars,
+        collapseRepeatedChars,
+        stripInvisible
+    };
+}));
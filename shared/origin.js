@@ -0,0 +1,60 @@
+/**
+ * PubNub Origin
+ *
+ * Clients talk to PubNub's own servers unless given an origin, e.g. the
+ * local mock server (server/mock-pubnub.js) for offline development. Node
+ * clients read it from the PUBNUB_ORIGIN environment variable, the web
+ * clients from `?origin=` in the page URL.
+ *
+ * originConfig turns 'http://localhost:8090', 'https://ps.pndsn.com' or a
+ * bare 'localhost:8090' into the `origin` and `ssl` options of the PubNub
+ * constructor. A bare host uses TLS unless it is localhost. No origin gives
+ * no options, so the SDK's default applies.
+ *
+ * Anyone can send a link with `?origin=` in it, so the web clients take it
+ * through pageOriginConfig, which only accepts loopback hosts (localhost,
+ * 127.0.0.1, [::1]) unless ALLOW_REMOTE_PAGE_ORIGIN is switched on for the
+ * build being deployed.
+ *
+ * Works as a plain <script> (exposes `window.PubNubOrigin`) and as a
+ * CommonJS module (`require('./shared/origin')`).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PubNubOrigin = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const LOCAL_HOST = /^(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/i;
+
+    // Set to true in builds whose pages may be pointed at any origin
+    const ALLOW_REMOTE_PAGE_ORIGIN = false;
+
+    function originConfig(value) {
+        const origin = String(value || '').trim().replace(/\/+$/, '');
+        if (!origin) return {};
+
+        const match = /^(https?):\/\/(.+)$/i.exec(origin);
+        if (match) return { origin: match[2], ssl: match[1].toLowerCase() === 'https' };
+        return { origin: origin, ssl: !LOCAL_HOST.test(origin) };
+    }
+
+    // originConfig for `?origin=` in a page's query string (location.search)
+    function pageOriginConfig(search, allowRemote = ALLOW_REMOTE_PAGE_ORIGIN) {
+        const value = new URLSearchParams(search).get('origin');
+        const config = originConfig(value);
+        if (config.origin && !allowRemote && !LOCAL_HOST.test(config.origin)) {
+            console.warn(`Ignoring ?origin=${value}: only localhost origins are allowed`);
+            return {};
+        }
+        return config;
+    }
+
+    return {
+        originConfig,
+        pageOriginConfig
+    };
+}));
@@ -0,0 +1,196 @@
+/**
+ * Outbox
+ *
+ * Outgoing chat messages are queued and published one at a time, in order,
+ * so nothing typed while offline is lost. The queue is saved to a storage
+ * adapter from shared/moderation-storage.js (IndexedDB in the browser, a file
+ * in app.js) and picked up again after a reload or restart.
+ *
+ * A failed publish is retried with exponential backoff (2s, 4s, 8s, ... as in
+ * examples/error-handling-demo.js); after `maxAttempts` the message is marked
+ * failed until the connection comes back or it is retried by hand. While the
+ * network is down nothing is attempted.
+ *
+ * Every queued message gets a `clientMessageId`. A retry can publish a message
+ * twice when only the response was lost, so receivers drop repeats by that ID
+ * (isDuplicate), and the sender matches its own echo to the queued copy.
+ *
+ * Item states, reported to `onChange(item)`:
+ *   pending  waiting to be published (or for its next attempt)
+ *   sending  publish in flight
+ *   failed   gave up for now; retry() or reconnecting queues it again
+ *   sent     published; item.timetoken is set and it has left the queue
+ *
+ * Works as a plain <script> (exposes `window.PubNubOutbox`) and as a
+ * CommonJS module (`require('./shared/outbox')`).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PubNubOutbox = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const MAX_ATTEMPTS = 5;
+    const MAX_BACKOFF = 30000;
+
+    const createClientMessageId = () =>
+        `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+    // Delay before the next attempt after `attempts` failures
+    const backoff = attempts => Math.min(Math.pow(2, attempts) * 1000, MAX_BACKOFF);
+
+    class Outbox {
+        constructor(pubnub, options = {}) {
+            this.pubnub = pubnub;
+            this.storage = options.storage || null;
+            this.storageKey = options.storageKey || 'outbox';
+            this.maxAttempts = options.maxAttempts || MAX_ATTEMPTS;
+            this.onChange = options.onChange || (() => {});
+            this.items = []; // oldest first
+            this.online = true;
+            this.sending = false;
+            this.timer = null;
+        }
+
+        // Restore the saved queue and start sending it. Resolves with the items.
+        load() {
+            if (!this.storage) return Promise.resolve(this.items);
+
+            return this.storage.load(this.storageKey).then(saved => {
+                (saved || []).forEach(item => {
+                    if (this.find(item.id)) return;
+                    // A publish in flight when the page closed may or may not have
+                    // gone out; sending it again is safe thanks to the client ID
+                    this.items.push(Object.assign(item, { state: item.state === 'failed' ? 'failed' : 'pending' }));
+                });
+                this.flush();
+                return this.items;
+            }).catch(error => {
+                console.warn('Outbox not restored:', error);
+                return this.items;
+            });
+        }
+
+        /**
+         * Queue `message` for `channel`. `room` is where the message is shown
+         * (defaults to the channel; differs when publishing through the
+         * moderation gateway). Returns the item; the message gets its
+         * clientMessageId.
+         */
+        enqueue(channel, message, room = channel) {
+            const id = createClientMessageId();
+            message.clientMessageId = id;
+            const item = { id, channel, room, message, state: 'pending', attempts: 0, nextAttemptAt: 0 };
+            this.items.push(item);
+            this.save();
+            this.onChange(item);
+            this.flush();
+            return item;
+        }
+
+        find(id) {
+            return this.items.find(item => item.id === id) || null;
+        }
+
+        // Try a failed message again now
+        retry(id) {
+            const item = this.find(id);
+            if (!item || item.state !== 'failed') return;
+            this.update(item, { state: 'pending', attempts: 0, nextAttemptAt: 0 });
+            this.flush();
+        }
+
+        discard(id) {
+            const item = this.find(id);
+            if (!item || item.state === 'sending') return;
+            this.items = this.items.filter(other => other !== item);
+            this.save();
+        }
+
+        // Wire to the PubNub status listener: down pauses, up retries everything
+        setOnline(online) {
+            this.online = online;
+            if (!online) {
+                clearTimeout(this.timer);
+                return;
+            }
+            this.items
+                .filter(item => item.state === 'pending' || item.state === 'failed')
+                .forEach(item => this.update(item, { state: 'pending', attempts: 0, nextAttemptAt: 0 }));
+            this.flush();
+        }
+
+        // Publish the oldest pending message once its backoff has passed
+        flush() {
+            clearTimeout(this.timer);
+            if (!this.online || this.sending) return;
+
+            const item = this.items.find(other => other.state === 'pending');
+            if (!item) return;
+
+            const wait = item.nextAttemptAt - Date.now();
+            if (wait > 0) {
+                this.timer = setTimeout(() => this.flush(), wait);
+                return;
+            }
+            this.send(item);
+        }
+
+        send(item) {
+            this.sending = true;
+            this.update(item, { state: 'sending' });
+
+            this.pubnub.publish({ channel: item.channel, message: item.message }, (status, response) => {
+                this.sending = false;
+                if (!this.find(item.id)) return; // discarded meanwhile
+
+                if (!status.error) {
+                    this.items = this.items.filter(other => other !== item);
+                    this.save();
+                    this.onChange(Object.assign(item, { state: 'sent', timetoken: String(response.timetoken) }));
+                } else {
+                    const attempts = item.attempts + 1;
+                    this.update(item, attempts < this.maxAttempts ?
+                        { state: 'pending', attempts, nextAttemptAt: Date.now() + backoff(attempts), error: status.category } :
+                        { state: 'failed', attempts, error: status.category });
+                }
+                this.flush();
+            });
+        }
+
+        update(item, changes) {
+            Object.assign(item, changes);
+            this.save();
+            this.onChange(item);
+        }
+
+        save() {
+            if (!this.storage) return;
+            this.storage.save(this.storageKey, this.items)
+                .catch(error => console.warn('Outbox not saved:', error));
+        }
+    }
+
+    /**
+     * Receiver side: whether `message` repeats one in `seen` (a Set of client
+     * message IDs, updated here). Messages without an ID are never duplicates.
+     */
+    function isDuplicate(seen, message) {
+        const id = message && message.clientMessageId;
+        if (!id) return false;
+        if (seen.has(id)) return true;
+        seen.add(id);
+        return false;
+    }
+
+    return {
+        MAX_ATTEMPTS,
+        createClientMessageId,
+        backoff,
+        Outbox,
+        isDuplicate
+    };
+}));
@@ -0,0 +1,278 @@
+/**
+ * Profanity Matcher
+ *
+ * Finds listed words as whole words only (so "spam" does not hit "spammer"
+ * or "Scunthorpe"-style substrings) while seeing through common evasions:
+ *   - leetspeak:            b@dw0rd, 5p4m
+ *   - inserted punctuation: b.a.d.w.o.r.d, spa-m
+ *   - spaced-out letters:   b a d w o r d
+ *   - stretched letters:    spaaaam
+ *   - diacritics:           spâm, bädwörd
+ *   - look-alike letters:   Cyrillic "ѕрам", fullwidth "ｓｐａｍ"
+ * Words on the allowlist are never reported.
+ *
+ * Works as a plain <script> (exposes `window.PubNubProfanity`) and as a
+ * CommonJS module (`require('./shared/profanity')`).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PubNubProfanity = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Characters people substitute for letters. Digits always stand for a
+    // letter; symbols may also just be punctuation.
+    const LEET = {
+        '0': 'o', '1': 'il', '2': 'z', '3': 'e', '4': 'a', '5': 's',
+        '6': 'g', '7': 't', '8': 'b', '9': 'g',
+        '@': 'a', '$': 's', '!': 'i', '|': 'il', '(': 'c', '+': 't', '€': 'e'
+    };
+
+    // Latin look-alikes from other scripts (after lowercasing and NFKC)
+    const CONFUSABLES = {
+        // Cyrillic
+        'а': 'a', 'в': 'b', 'е': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o',
+        'р': 'p', 'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'ѕ': 's', 'і': 'i',
+        'ј': 'j', 'ԁ': 'd', 'ԛ': 'q', 'ԝ': 'w',
+        // Greek
+        'α': 'a', 'β': 'b', 'ε': 'e', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o',
+        'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x', 'ω': 'w',
+        // Latin letters NFD does not decompose
+        'ı': 'i', 'ł': 'l', 'ø': 'o', 'đ': 'd', 'ħ': 'h', 'ɡ': 'g'
+    };
+
+    const INVISIBLE = /[\u00AD\u200B-\u200F\u2060-\u2064\uFEFF]/;
+
+    // A match spans at most this many units per letter of the word, counting
+    // repeats and skipped punctuation ("s..p..aaaa..m"). Longer stretches are
+    // not recognized, so one message cannot make a match walk the whole text.
+    const MAX_UNITS_PER_LETTER = 8;
+    const WHITESPACE = /\s/;
+
+    // Fold one code point to the lowercase Latin letters it could stand for.
+    function foldChar(ch) {
+        const plain = ch.normalize('NFKC').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+        let letters = '';
+        for (const c of plain) {
+            if (c >= 'a' && c <= 'z') {
+                letters += c;
+            } else if (CONFUSABLES[c]) {
+                letters += CONFUSABLES[c];
+            } else if (LEET[c]) {
+                letters += LEET[c];
+            }
+        }
+        return letters;
+    }
+
+    // Lowercase, accent-free form with surrounding punctuation trimmed, used
+    // to compare against the allowlist ("He'll," -> "he'll").
+    function allowlistKey(text) {
+        return text.toLowerCase()
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+    }
+
+    // Fold text into the plain form used for word-list lookups.
+    function normalizeWord(text) {
+        let folded = '';
+        for (const ch of text) {
+            const letters = foldChar(ch);
+            if (letters) folded += letters[0];
+        }
+        return folded;
+    }
+
+    // Split text into tokens (whitespace-separated) of units. A unit is one
+    // code point with the letters it may stand for and whether it may be
+    // skipped as punctuation.
+    function tokenize(text) {
+        const tokens = [];
+        let current = [];
+        let index = 0;
+
+        for (const ch of text) {
+            const start = index;
+            index += ch.length;
+
+            if (WHITESPACE.test(ch)) {
+                if (current.length) tokens.push(current);
+                current = [];
+                continue;
+            }
+
+            const isDigit = ch >= '0' && ch <= '9';
+            const letters = INVISIBLE.test(ch) ? '' : foldChar(ch);
+            const isLetter = /\p{L}/u.test(ch) && letters !== '';
+
+            current.push({
+                start: start,
+                end: index,
+                letters: letters,
+                skippable: !isLetter && !isDigit
+            });
+        }
+        if (current.length) tokens.push(current);
+
+        return tokens;
+    }
+
+    // Boundary between units i-1 and i: token edge or skippable punctuation.
+    function isBoundary(units, i) {
+        return i === 0 || i === units.length || units[i - 1].skippable || units[i].skippable;
+    }
+
+    // Longest match of `word` starting at units[start], or -1. Letters may be
+    // repeated ("spaaam") and punctuation skipped ("s.p.a.m"); the match must
+    // begin and end on a letter and sit on word boundaries.
+    function matchAt(units, start, word) {
+        if (!units[start].letters.includes(word[0])) return -1;
+
+        // States are "letters matched so far" and whether the last unit was a
+        // letter, packed as matched * 2 + (onLetter ? 1 : 0).
+        let states = new Set([3]);
+        let bestEnd = -1;
+        const limit = Math.min(units.length, start + word.length * MAX_UNITS_PER_LETTER);
+
+        for (let i = start + 1; states.size > 0; i++) {
+            if (states.has(word.length * 2 + 1) && isBoundary(units, i)) {
+                bestEnd = i;
+            }
+            if (i === limit) break;
+
+            const unit = units[i];
+            const next = new Set();
+            states.forEach(state => {
+                const matched = state >> 1;
+                if (unit.skippable) next.add(matched * 2);
+                if (matched < word.length && unit.letters.includes(word[matched])) next.add((matched + 1) * 2 + 1);
+                if (unit.letters.includes(word[matched - 1])) next.add(matched * 2 + 1);
+            });
+            states = next;
+        }
+
+        return bestEnd;
+    }
+
+    /**
+     * Build a matcher for `words`.
+     *
+     *   const matcher = createProfanityMatcher(['spam'], { allowlist: ['spamalot'] });
+     *   matcher.find('S.P.A.M!')  // [{ word: 'spam', start: 0, end: 7, text: 'S.P.A.M' }]
+     *   matcher.test('spammer')   // false
+     *   matcher.mask('b@dw0rd')   // '***'
+     */
+    function createProfanityMatcher(words, options = {}) {
+        const targets = [];
+        words.map(normalizeWord).filter(Boolean).forEach(word => {
+            targets.push({ word: word, form: word });
+            targets.push({ word: word, form: `${word}s` }); // simple plurals
+        });
+        const allowlist = new Set((options.allowlist || []).map(allowlistKey));
+
+        function findInUnits(units, boundaryOnly) {
+            const matches = [];
+
+            for (let start = 0; start < units.length; start++) {
+                if (boundaryOnly && !isBoundary(units, start)) continue;
+
+                let best = null;
+                targets.forEach(target => {
+                    const end = matchAt(units, start, target.form);
+                    if (end > 0 && (!best || end > best.end)) {
+                        best = { word: target.word, end: end };
+                    }
+                });
+                if (!best) {
+                    // In a run of repeats and punctuation ("!!!!", "s.s.s") any
+                    // match from inside the run is also found from its last
+                    // repeat, so try that one next instead of every offset
+                    const letters = units[start].letters;
+                    let last = start;
+                    for (let i = start + 1; i < units.length && (units[i].letters === letters || !units[i].letters); i++) {
+                        if (units[i].letters && (!boundaryOnly || isBoundary(units, i))) last = i;
+                    }
+                    start = Math.max(start, last - 1);
+                    continue;
+                }
+
+                matches.push({ word: best.word, from: start, to: best.end });
+                start = best.end - 1;
+            }
+
+            return matches;
+        }
+
+        function find(text) {
+            const tokens = tokenize(text);
+            const found = [];
+
+            const report = (word, startUnit, endUnit, token) => {
+                const start = startUnit.start;
+                const end = endUnit.end;
+                const matched = text.slice(start, end);
+                if (allowlist.has(allowlistKey(matched)) || allowlist.has(allowlistKey(token))) return;
+                found.push({ word: word, start: start, end: end, text: matched });
+            };
+
+            // Whole words (with punctuation and leetspeak inside them)
+            tokens.forEach(units => {
+                const token = text.slice(units[0].start, units[units.length - 1].end);
+                findInUnits(units, true).forEach(m => report(m.word, units[m.from], units[m.to - 1], token));
+            });
+
+            // Spaced-out letters: runs of three or more single-letter tokens
+            let run = [];
+            const flushRun = () => {
+                if (run.length >= 3) {
+                    findInUnits(run, false).forEach(m => report(m.word, run[m.from], run[m.to - 1], ''));
+                }
+                run = [];
+            };
+            tokens.forEach(units => {
+                const letters = units.filter(u => u.letters);
+                if (letters.length === 1 && units.every(u => u === letters[0] || !u.letters)) {
+                    run.push(Object.assign({}, letters[0], { skippable: false }));
+                } else {
+                    flushRun();
+                }
+            });
+            flushRun();
+
+            // Keep the widest of any overlapping matches
+            found.sort((a, b) => a.start - b.start || b.end - a.end);
+            const kept = [];
+            found.forEach(match => {
+                if (kept.length === 0 || match.start >= kept[kept.length - 1].end) {
+                    kept.push(match);
+                }
+            });
+            return kept;
+        }
+
+        function test(text) {
+            return find(text).length > 0;
+        }
+
+        function mask(text, replacement = '***') {
+            let masked = '';
+            let last = 0;
+            find(text).forEach(match => {
+                masked += text.slice(last, match.start) + replacement;
+                last = match.end;
+            });
+            return masked + text.slice(last);
+        }
+
+        return { find, test, mask };
+    }
+
+    return {
+        createProfanityMatcher,
+        normalizeWord,
+        allowlistKey
+    };
+}));
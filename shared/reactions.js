@@ -0,0 +1,79 @@
+/**
+ * Emoji Reactions
+ *
+ * Reactions are `reaction` message actions whose value is the emoji, as in
+ * examples/message-actions-demo.js. Removing one needs the action's
+ * timetoken, so aggregateReactions reports the caller's own action per emoji.
+ *
+ * Works as a plain <script> (exposes `window.PubNubReactions`) and as a
+ * CommonJS module (`require('./shared/reactions')`).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PubNubReactions = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const REACTION = 'reaction';
+    const EMOJI = ['👍', '❤️', '😂', '😮', '😢', '🎉'];
+
+    function addReaction(pubnub, channel, messageTimetoken, emoji) {
+        return new Promise((resolve, reject) => {
+            pubnub.addMessageAction({
+                channel: channel,
+                messageTimetoken: String(messageTimetoken),
+                action: { type: REACTION, value: emoji }
+            }, (status, response) => {
+                if (status.error) {
+                    reject(status);
+                } else {
+                    resolve(response.data);
+                }
+            });
+        });
+    }
+
+    function removeReaction(pubnub, channel, messageTimetoken, actionTimetoken) {
+        return new Promise((resolve, reject) => {
+            pubnub.removeMessageAction({
+                channel: channel,
+                messageTimetoken: String(messageTimetoken),
+                actionTimetoken: String(actionTimetoken)
+            }, status => (status.error ? reject(status) : resolve()));
+        });
+    }
+
+    /**
+     * Count reactions per emoji, in the order each was first used:
+     * [{ emoji, count, users, mine }] where `mine` is the action timetoken of
+     * `userId`'s reaction (null if they have not reacted). A user reacting
+     * twice with the same emoji counts once.
+     */
+    function aggregateReactions(actions, userId) {
+        const byEmoji = new Map();
+        (actions || [])
+            .filter(action => action.type === REACTION)
+            .sort((a, b) => (BigInt(a.actionTimetoken) < BigInt(b.actionTimetoken) ? -1 : 1))
+            .forEach(action => {
+                if (!byEmoji.has(action.value)) {
+                    byEmoji.set(action.value, { emoji: action.value, users: [], mine: null });
+                }
+                const reaction = byEmoji.get(action.value);
+                if (!reaction.users.includes(action.uuid)) reaction.users.push(action.uuid);
+                if (action.uuid === userId && !reaction.mine) reaction.mine = String(action.actionTimetoken);
+            });
+
+        return Array.from(byEmoji.values()).map(reaction => Object.assign(reaction, { count: reaction.users.length }));
+    }
+
+    return {
+        REACTION,
+        EMOJI,
+        addReaction,
+        removeReaction,
+        aggregateReactions
+    };
+}));
@@ -0,0 +1,133 @@
+/**
+ * Read Markers and Unread Counts
+ *
+ * Each user's last-read position in a channel is a timetoken stored in their
+ * App Context membership `custom` data (`lastReadTimetoken`), so it follows
+ * them across devices and reconnects. Unread counts come from the
+ * messageCounts API: stored messages newer than that timetoken (needs
+ * Message Persistence). Channels never read have no marker and count 0.
+ *
+ * Marking read happens on every displayed message, so writes are batched
+ * per channel and sent after `flushDelay` ms.
+ *
+ * Works as a plain <script> (exposes `window.PubNubReadMarkers`) and as a
+ * CommonJS module (`require('./shared/read-markers')`).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PubNubReadMarkers = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Timetokens are 17-digit strings, beyond Number precision
+    function isAfter(timetoken, other) {
+        if (!timetoken) return false;
+        if (!other) return true;
+        return BigInt(timetoken) > BigInt(other);
+    }
+
+    // Timetoken for the current moment, from the local clock
+    const nowTimetoken = () => `${Date.now()}0000`;
+
+    class ReadMarkers {
+        constructor(pubnub, userId, options = {}) {
+            this.pubnub = pubnub;
+            this.userId = userId;
+            this.flushDelay = options.flushDelay ?? 2000;
+            this.custom = new Map(); // channel -> membership custom, kept whole so writes merge
+            this.timers = new Map(); // channel -> pending write
+            this.ready = Promise.resolve();
+        }
+
+        // Read every membership's custom data. Markers set before this
+        // finishes are kept if they are newer.
+        load() {
+            this.ready = new Promise(resolve => {
+                this.pubnub.objects.getMemberships({
+                    uuid: this.userId,
+                    include: { customFields: true },
+                    limit: 100
+                }, (status, response) => {
+                    if (!status.error) {
+                        response.data.forEach(membership => {
+                            const local = this.get(membership.channel.id);
+                            const custom = Object.assign({}, membership.custom);
+                            if (isAfter(local, custom.lastReadTimetoken)) custom.lastReadTimetoken = local;
+                            this.custom.set(membership.channel.id, custom);
+                        });
+                    }
+                    resolve(this);
+                });
+            });
+            return this.ready;
+        }
+
+        get(channel) {
+            const custom = this.custom.get(channel);
+            return (custom && custom.lastReadTimetoken) || null;
+        }
+
+        // Move the marker forward (never back) and schedule the write
+        markRead(channel, timetoken = nowTimetoken()) {
+            const value = String(timetoken);
+            if (!isAfter(value, this.get(channel))) return;
+
+            this.custom.set(channel, Object.assign({}, this.custom.get(channel), { lastReadTimetoken: value }));
+
+            if (this.timers.has(channel)) return;
+            const timer = setTimeout(() => this.flush(channel), this.flushDelay);
+            if (timer.unref) timer.unref(); // don't keep Node processes alive
+            this.timers.set(channel, timer);
+        }
+
+        flush(channel) {
+            clearTimeout(this.timers.get(channel));
+            this.timers.delete(channel);
+
+            return this.ready.then(() => new Promise((resolve, reject) => {
+                this.pubnub.objects.setMemberships({
+                    uuid: this.userId,
+                    channels: [{ id: channel, custom: this.custom.get(channel) }]
+                }, status => (status.error ? reject(status) : resolve()));
+            }));
+        }
+
+        // Write every pending marker now (e.g. before quitting)
+        flushAll() {
+            return Promise.all(Array.from(this.timers.keys()).map(channel => this.flush(channel)));
+        }
+
+        // Resolves with { channel: count } for `channels`
+        unreadCounts(channels) {
+            return this.ready.then(() => {
+                const counts = {};
+                channels.forEach(channel => (counts[channel] = 0));
+
+                const tracked = channels.filter(channel => this.get(channel));
+                if (tracked.length === 0) return counts;
+
+                return new Promise((resolve, reject) => {
+                    this.pubnub.messageCounts({
+                        channels: tracked,
+                        channelTimetokens: tracked.map(channel => this.get(channel))
+                    }, (status, response) => {
+                        if (status.error) {
+                            reject(status);
+                        } else {
+                            resolve(Object.assign(counts, response.channels));
+                        }
+                    });
+                });
+            });
+        }
+    }
+
+    return {
+        ReadMarkers,
+        isAfter,
+        nowTimetoken
+    };
+}));
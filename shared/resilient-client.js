@@ -0,0 +1,290 @@
+/**
+ * Resilient Client
+ *
+ * Wraps a PubNub instance so its REST calls (publish, history, presence, App
+ * Context, message actions and files) are retried on transient failures,
+ * stop hammering PubNub while it is failing, and are counted. Each wrapped
+ * method takes the SDK's parameters and either a callback(status, response),
+ * exactly like the SDK, or no callback and returns a promise that rejects
+ * with a ResilientError. Shared modules that take a `pubnub` can therefore be
+ * handed the client instead.
+ *
+ * Failures are sorted by `status.category` into kinds:
+ *   network    PNNetworkIssues, PNTimeout, PNNetworkDown, PNMalformedResponse  retried
+ *   server     PNServerError or any 5xx                                     retried
+ *   throttled  HTTP 429                                                     retried
+ *   access     PNAccessDenied
+ *   request    PNBadRequest, PNValidationError, PNRequestMessageCountExceeded
+ *   cancelled  PNCancelled
+ *   circuit    PNCircuitOpenCategory, this module's own: the call was not made
+ *   unknown    anything else
+ *
+ * Retries wait baseDelay, 2x, 4x, ... up to maxDelay, less a random share of
+ * up to `jitter` so clients that failed together do not retry together.
+ * After `breakerThreshold` failed attempts in a row the circuit opens: calls
+ * fail at once for `breakerCooldown` ms, then a single trial call either
+ * closes it again or keeps it open for another cooldown.
+ *
+ * publish is retried like everything else. If only the response was lost a
+ * message goes out twice, so give messages an ID when that matters (the
+ * outbox in shared/outbox.js does).
+ *
+ * Subscribing and listeners are not REST calls; the client passes them
+ * straight through to the PubNub instance.
+ *
+ * Works as a plain <script> (exposes `window.PubNubResilientClient`) and as a
+ * CommonJS module (`require('./shared/resilient-client')`).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PubNubResilientClient = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const OPERATIONS = [
+        'publish', 'signal', 'fire',
+        'fetchMessages', 'history', 'messageCounts', 'deleteMessages',
+        'hereNow', 'whereNow', 'getState', 'setState',
+        'addMessageAction', 'removeMessageAction', 'getMessageActions',
+        'sendFile', 'listFiles', 'deleteFile'
+    ];
+    const OBJECTS_OPERATIONS = [
+        'getAllUUIDMetadata', 'getUUIDMetadata', 'setUUIDMetadata', 'removeUUIDMetadata',
+        'getAllChannelMetadata', 'getChannelMetadata', 'setChannelMetadata', 'removeChannelMetadata',
+        'getMemberships', 'setMemberships', 'removeMemberships',
+        'getChannelMembers', 'setChannelMembers', 'removeChannelMembers'
+    ];
+    const PASSTHROUGH = ['getUserId', 'getFileUrl', 'addListener', 'removeListener', 'subscribe', 'unsubscribe', 'unsubscribeAll'];
+
+    const CIRCUIT_OPEN = 'PNCircuitOpenCategory';
+
+    const KINDS = {
+        PNNetworkIssuesCategory: 'network',
+        PNTimeoutCategory: 'network',
+        PNNetworkDownCategory: 'network',
+        PNMalformedResponseCategory: 'network',
+        PNServerErrorCategory: 'server',
+        PNAccessDeniedCategory: 'access',
+        PNBadRequestCategory: 'request',
+        PNValidationErrorCategory: 'request',
+        PNRequestMessageCountExceededCategory: 'request',
+        PNCancelledCategory: 'cancelled',
+        [CIRCUIT_OPEN]: 'circuit'
+    };
+    const RETRYABLE = ['network', 'server', 'throttled'];
+
+    const DEFAULTS = {
+        retries: 3, // after the first attempt
+        baseDelay: 1000,
+        maxDelay: 30000,
+        jitter: 0.5, // share of the delay that is randomised
+        breakerThreshold: 5, // failed attempts in a row
+        breakerCooldown: 30000
+    };
+
+    // The kind of failure an error status is (see the list above)
+    function categorize(status) {
+        if (!status) return 'unknown';
+        if (status.statusCode === 429) return 'throttled';
+        if (status.statusCode >= 500) return 'server';
+        return KINDS[status.category] || 'unknown';
+    }
+
+    const isRetryable = status => RETRYABLE.includes(categorize(status));
+
+    // Delay before retry number `retry` (1, 2, ...)
+    function retryDelay(retry, options = DEFAULTS, random = Math.random) {
+        const delay = Math.min(options.baseDelay * Math.pow(2, retry - 1), options.maxDelay);
+        return Math.round(delay * (1 - options.jitter * random()));
+    }
+
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    class ResilientError extends Error {
+        constructor(operation, status, attempts) {
+            super(`${operation} failed${attempts > 1 ? ` after ${attempts} attempts` : ''}: ${status.message || status.category}`);
+            this.name = 'ResilientError';
+            this.operation = operation;
+            this.status = status;
+            this.category = status.category;
+            this.kind = categorize(status);
+            this.statusCode = status.statusCode;
+            this.attempts = attempts;
+        }
+    }
+
+    class ResilientClient {
+        /**
+         * `options` overrides DEFAULTS, plus optional hooks:
+         *   onRetry({ operation, retry, delay, category, kind })
+         *   onCircuitChange(state) with 'open', 'half-open' or 'closed'
+         */
+        constructor(pubnub, options = {}) {
+            this.pubnub = pubnub;
+            this.options = Object.assign({}, DEFAULTS, options);
+            this.onRetry = options.onRetry || (() => {});
+            this.onCircuitChange = options.onCircuitChange || (() => {});
+            this.circuit = { state: 'closed', failures: 0, openedAt: null, opens: 0, probing: false };
+            this.resetStats();
+
+            OPERATIONS.forEach(name => {
+                this[name] = (params, callback) => this.call(name, done => pubnub[name](params, done), callback);
+            });
+            this.objects = {};
+            OBJECTS_OPERATIONS.forEach(name => {
+                this.objects[name] = (params, callback) =>
+                    this.call(`objects.${name}`, done => pubnub.objects[name](params, done), callback);
+            });
+            PASSTHROUGH.forEach(name => {
+                this[name] = (...args) => pubnub[name](...args);
+            });
+        }
+
+        /**
+         * Run `invoke(done)`, which makes one SDK call with `done` as its
+         * callback, retrying as configured. With a callback, reports
+         * (status, response) like the SDK; otherwise returns a promise.
+         */
+        call(operation, invoke, callback) {
+            this.count(operation, 'calls');
+            const result = this.attempt(operation, invoke, 1).then(response => {
+                this.count(operation, 'succeeded');
+                return response;
+            }, error => {
+                this.count(operation, 'failed');
+                throw error;
+            });
+
+            if (!callback) return result;
+            result.then(
+                response => callback({ error: false, statusCode: 200 }, response),
+                error => callback(error.status, null)
+            ).catch(error => console.error(`❌ ${operation} callback threw:`, error));
+        }
+
+        attempt(operation, invoke, attempts) {
+            if (!this.allowRequest()) {
+                this.counters.rejected++;
+                const status = { error: true, category: CIRCUIT_OPEN, statusCode: 0, message: 'Circuit open after repeated failures' };
+                return Promise.reject(new ResilientError(operation, status, attempts - 1));
+            }
+
+            return new Promise((resolve, reject) => {
+                const returned = invoke((status, response) => (status && status.error ? reject(status) : resolve(response)));
+                // Some SDK calls (sendFile) also reject the promise they return
+                // when they report a failure to the callback
+                if (returned && typeof returned.catch === 'function') returned.catch(() => {});
+            }).then(response => {
+                this.recordResult(true);
+                return response;
+            }, status => {
+                this.recordFailure(operation, status);
+                this.recordResult(!isRetryable(status));
+
+                // An opened circuit would only turn the retry away
+                if (!isRetryable(status) || attempts > this.options.retries || this.circuit.state === 'open') {
+                    throw new ResilientError(operation, status, attempts);
+                }
+                const delay = retryDelay(attempts, this.options);
+                this.count(operation, 'retries');
+                this.onRetry({ operation, retry: attempts, delay, category: status.category, kind: categorize(status) });
+                return wait(delay).then(() => this.attempt(operation, invoke, attempts + 1));
+            });
+        }
+
+        // ============================================
+        // CIRCUIT BREAKER
+        // ============================================
+
+        allowRequest() {
+            const circuit = this.circuit;
+            if (circuit.state === 'closed') return true;
+            if (circuit.probing) return false;
+            if (circuit.state === 'open' && Date.now() - circuit.openedAt < this.options.breakerCooldown) return false;
+
+            // Let one call through to see whether PubNub is back
+            if (circuit.state === 'open') this.setCircuit('half-open');
+            circuit.probing = true;
+            return true;
+        }
+
+        // `healthy` means PubNub answered, even if it refused the request
+        recordResult(healthy) {
+            const circuit = this.circuit;
+            circuit.probing = false;
+            if (healthy) {
+                circuit.failures = 0;
+                if (circuit.state !== 'closed') this.setCircuit('closed');
+                return;
+            }
+
+            circuit.failures++;
+            if (circuit.state === 'half-open' || circuit.failures >= this.options.breakerThreshold) {
+                circuit.openedAt = Date.now();
+                if (circuit.state !== 'open') {
+                    circuit.opens++;
+                    this.setCircuit('open');
+                }
+            }
+        }
+
+        setCircuit(state) {
+            this.circuit.state = state;
+            this.onCircuitChange(state);
+        }
+
+        // ============================================
+        // STATS
+        // ============================================
+
+        resetStats() {
+            this.counters = {
+                calls: 0,
+                succeeded: 0,
+                failed: 0,
+                retries: 0,
+                rejected: 0, // calls failed at once because the circuit was open
+                byCategory: {}, // failed attempts per status.category
+                byKind: {},
+                byOperation: {}, // operation -> { calls, succeeded, failed, retries }
+                lastError: null
+            };
+        }
+
+        count(operation, field) {
+            const byOperation = this.counters.byOperation;
+            byOperation[operation] = byOperation[operation] || { calls: 0, succeeded: 0, failed: 0, retries: 0 };
+            byOperation[operation][field]++;
+            this.counters[field]++;
+        }
+
+        recordFailure(operation, status) {
+            const category = status.category || 'PNUnknownCategory';
+            const kind = categorize(status);
+            this.counters.byCategory[category] = (this.counters.byCategory[category] || 0) + 1;
+            this.counters.byKind[kind] = (this.counters.byKind[kind] || 0) + 1;
+            this.counters.lastError = { operation, category, kind, statusCode: status.statusCode, message: status.message || null, at: Date.now() };
+        }
+
+        // A copy of the counters and the circuit's state, safe to keep or log
+        stats() {
+            const { state, failures, openedAt, opens } = this.circuit;
+            return JSON.parse(JSON.stringify(Object.assign({}, this.counters, {
+                circuit: { state, consecutiveFailures: failures, openedAt, opens }
+            })));
+        }
+    }
+
+    return {
+        DEFAULTS,
+        CIRCUIT_OPEN,
+        categorize,
+        isRetryable,
+        retryDelay,
+        ResilientError,
+        ResilientClient
+    };
+}));
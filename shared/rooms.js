@@ -0,0 +1,275 @@
+/**
+ * Chat Rooms and Conversations
+ *
+ * Rooms are ordinary PubNub channels described by App Context channel
+ * metadata (custom.type === 'room'). A user's joined rooms are their App
+ * Context memberships, so the room list follows them across devices.
+ *
+ *   channel           'room-<slug>'  (plus '<channel>-typing' for typing)
+ *   name              display name
+ *   description       optional
+ *   custom.createdBy  user ID of the creator
+ *   custom.createdAt  ISO timestamp
+ *
+ * New rooms are announced on ROOMS_CHANNEL so open clients list them
+ * without re-fetching.
+ *
+ * Direct messages and small groups are conversations: channels named from
+ * the sorted participant IDs ('dm.<a>.<b>', 'group.<a>.<b>.<c>'), so the
+ * same people always share one channel. Starting one records a membership
+ * for every participant and tells each of them on their inbox channel
+ * ('inbox.<userId>').
+ *
+ * Works as a plain <script> (exposes `window.PubNubRooms`) and as a
+ * CommonJS module (`require('./shared/rooms')`).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PubNubRooms = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const ROOMS_CHANNEL = 'chat-rooms';
+    const ROOM_PREFIX = 'room-';
+    const MAX_NAME_LENGTH = 30;
+    const MAX_GROUP_SIZE = 10;
+    const CONVERSATION_TYPES = ['dm', 'group'];
+
+    // "Design Team!" -> "room-design-team"
+    function roomChannel(name) {
+        const slug = String(name).trim().toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+        if (!slug) {
+            throw new Error('Room names need at least one letter or digit');
+        }
+        return ROOM_PREFIX + slug;
+    }
+
+    // ['bob', 'alice'] -> 'dm.alice.bob'
+    function conversationChannel(userIds) {
+        const ids = Array.from(new Set(userIds)).sort();
+        if (ids.length < 2) {
+            throw new Error('A conversation needs at least two people');
+        }
+        if (ids.length > MAX_GROUP_SIZE) {
+            throw new Error(`Groups are limited to ${MAX_GROUP_SIZE} people`);
+        }
+        return `${ids.length === 2 ? 'dm' : 'group'}.${ids.join('.')}`;
+    }
+
+    const isConversation = channel => /^(dm|group)\./.test(channel);
+    const isRoomChannel = channel => typeof channel === 'string' && channel.startsWith(ROOM_PREFIX);
+    const inboxChannel = userId => `inbox.${userId}`;
+
+    function toRoom(channel) {
+        return {
+            id: channel.id,
+            type: (channel.custom && channel.custom.type) || 'room',
+            name: channel.name || channel.id,
+            description: channel.description || ''
+        };
+    }
+
+    const channelType = channel => (channel && channel.custom && channel.custom.type) || '';
+    const isRoom = channel => channelType(channel) === 'room';
+
+    // Create (or update) a room's metadata and announce it. Resolves with the room.
+    function createRoom(pubnub, name, options = {}) {
+        const displayName = String(name).trim();
+        if (displayName.length > MAX_NAME_LENGTH) {
+            return Promise.reject(new Error(`Room names are limited to ${MAX_NAME_LENGTH} characters`));
+        }
+
+        let channel;
+        try {
+            channel = roomChannel(displayName);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        return new Promise((resolve, reject) => {
+            pubnub.objects.setChannelMetadata({
+                channel: channel,
+                data: {
+                    name: displayName,
+                    description: options.description || '',
+                    custom: {
+                        type: 'room',
+                        createdBy: options.createdBy || '',
+                        createdAt: new Date().toISOString()
+                    }
+                }
+            }, (status, response) => {
+                if (status.error) {
+                    reject(status);
+                    return;
+                }
+
+                const room = toRoom(response.data);
+                pubnub.publish({
+                    channel: ROOMS_CHANNEL,
+                    message: Object.assign({ type: 'room' }, room)
+                }, () => resolve(room));
+            });
+        });
+    }
+
+    // Every room with App Context metadata
+    function listRooms(pubnub) {
+        return new Promise((resolve, reject) => {
+            pubnub.objects.getAllChannelMetadata({
+                include: { customFields: true },
+                limit: 100
+            }, (status, response) => {
+                if (status.error) {
+                    reject(status);
+                } else {
+                    resolve(response.data.filter(isRoom).map(toRoom));
+                }
+            });
+        });
+    }
+
+    function joinRoom(pubnub, userId, channel) {
+        return new Promise((resolve, reject) => {
+            pubnub.objects.setMemberships({
+                uuid: userId,
+                channels: [{
+                    id: channel,
+                    custom: {
+                        role: 'member',
+                        joinedAt: new Date().toISOString()
+                    }
+                }]
+            }, (status, response) => {
+                if (status.error) {
+                    reject(status);
+                } else {
+                    resolve(response.data);
+                }
+            });
+        });
+    }
+
+    // Channels (with metadata) the user has memberships for
+    function membershipChannels(pubnub, userId) {
+        return new Promise((resolve, reject) => {
+            pubnub.objects.getMemberships({
+                uuid: userId,
+                include: { customFields: true, channelFields: true, customChannelFields: true },
+                limit: 100
+            }, (status, response) => {
+                if (status.error) {
+                    reject(status);
+                } else {
+                    resolve(response.data.map(membership => membership.channel));
+                }
+            });
+        });
+    }
+
+    // The rooms a user has joined
+    function joinedRooms(pubnub, userId) {
+        return membershipChannels(pubnub, userId).then(channels => channels.filter(isRoom).map(toRoom));
+    }
+
+    // The DMs and groups a user is part of
+    function joinedConversations(pubnub, userId) {
+        return membershipChannels(pubnub, userId).then(channels =>
+            channels.filter(channel => CONVERSATION_TYPES.includes(channelType(channel))).map(toRoom));
+    }
+
+    /**
+     * Open (or reopen) the conversation between `userIds`, which should
+     * include the caller. Records the channel metadata and a membership for
+     * every participant, then notifies each participant's inbox. Resolves
+     * with { id, type, members }.
+     */
+    function startConversation(pubnub, userIds, options = {}) {
+        let channel;
+        try {
+            channel = conversationChannel(userIds);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        const members = Array.from(new Set(userIds)).sort();
+        const type = members.length === 2 ? 'dm' : 'group';
+        const startedBy = options.startedBy || '';
+
+        const setMetadata = new Promise((resolve, reject) => {
+            pubnub.objects.setChannelMetadata({
+                channel: channel,
+                data: {
+                    name: options.name || '',
+                    custom: { type: type, createdBy: startedBy, createdAt: new Date().toISOString() }
+                }
+            }, status => (status.error ? reject(status) : resolve()));
+        });
+
+        // setMemberships writes one user's memberships, so write each participant's
+        const addMember = userId => new Promise((resolve, reject) => {
+            pubnub.objects.setMemberships({
+                uuid: userId,
+                channels: [{
+                    id: channel,
+                    custom: { role: userId === startedBy ? 'owner' : 'member', joinedAt: new Date().toISOString() }
+                }]
+            }, status => (status.error ? reject(status) : resolve()));
+        });
+
+        const notify = userId => new Promise(resolve => {
+            pubnub.publish({
+                channel: inboxChannel(userId),
+                message: { type: 'conversation', id: channel, conversationType: type, members: members, startedBy: startedBy }
+            }, () => resolve());
+        });
+
+        return setMetadata
+            .then(() => Promise.all(members.map(addMember)))
+            .then(() => Promise.all(members.filter(userId => userId !== startedBy).map(notify)))
+            .then(() => ({ id: channel, type: type, members: members }));
+    }
+
+    // Participants of a conversation (or room), with their App Context names
+    function conversationMembers(pubnub, channel) {
+        return new Promise((resolve, reject) => {
+            pubnub.objects.getChannelMembers({
+                channel: channel,
+                include: { UUIDFields: true },
+                limit: 100
+            }, (status, response) => {
+                if (status.error) {
+                    reject(status);
+                } else {
+                    resolve(response.data.map(member => ({
+                        id: member.uuid.id,
+                        name: member.uuid.name || member.uuid.id
+                    })));
+                }
+            });
+        });
+    }
+
+    return {
+        ROOMS_CHANNEL,
+        MAX_NAME_LENGTH,
+        MAX_GROUP_SIZE,
+        roomChannel,
+        createRoom,
+        listRooms,
+        joinRoom,
+        joinedRooms,
+        conversationChannel,
+        isConversation,
+        isRoomChannel,
+        inboxChannel,
+        startConversation,
+        joinedConversations,
+        conversationMembers
+    };
+}));
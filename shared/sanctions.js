@@ -0,0 +1,200 @@
+/**
+ * User Sanctions (mute / kick / ban)
+ *
+ * Sanctions live in the sanctioned user's App Context `custom` metadata as
+ * flat fields (App Context custom values must be scalars):
+ *   sanction          'mute' | 'kick' | 'ban'
+ *   sanctionExpiresAt ISO timestamp, or '' for no expiry
+ *   sanctionReason    free text
+ *   sanctionedBy      moderator user ID
+ *
+ * After writing the metadata, moderators announce the change on
+ * SANCTIONS_CHANNEL so every client updates immediately. Anyone can publish
+ * there, so a notice only makes clients re-read that user's App Context
+ * (refresh); its own fields are never applied. Clients also read App Context
+ * on startup so sanctions survive reloads.
+ *
+ *   mute - the user's messages are hidden everywhere; they cannot send
+ *   kick - as mute, and the user's client leaves the chat until expiry
+ *   ban  - as kick, for longer
+ *
+ * Works as a plain <script> (exposes `window.PubNubSanctions`) and as a
+ * CommonJS module (`require('./shared/sanctions')`).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PubNubSanctions = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const SANCTIONS_CHANNEL = 'moderation-sanctions';
+    const SANCTION_TYPES = ['mute', 'kick', 'ban'];
+    const DEFAULT_MINUTES = { mute: 10, kick: 5, ban: 24 * 60 };
+    const SANCTION_FIELDS = ['sanction', 'sanctionExpiresAt', 'sanctionReason', 'sanctionedBy'];
+    const LABELS = { mute: '🔇 muted', kick: '⏏️ kicked', ban: '🚫 banned' };
+
+    // Read the active sanction out of App Context custom data, or null.
+    function activeSanction(custom, now = Date.now()) {
+        if (!custom || !SANCTION_TYPES.includes(custom.sanction)) return null;
+
+        const expiresAt = custom.sanctionExpiresAt ? Date.parse(custom.sanctionExpiresAt) : null;
+        if (expiresAt !== null && expiresAt <= now) return null;
+
+        return {
+            type: custom.sanction,
+            expiresAt: expiresAt,
+            reason: custom.sanctionReason || '',
+            by: custom.sanctionedBy || ''
+        };
+    }
+
+    // "muted until 14:05" / "banned"
+    function describeSanction(sanction) {
+        if (!sanction) return '';
+        const label = LABELS[sanction.type];
+        if (!sanction.expiresAt) return label;
+        return `${label} until ${new Date(sanction.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+    }
+
+    function sanctionFields(type, options = {}) {
+        if (!SANCTION_TYPES.includes(type)) {
+            throw new Error(`Unknown sanction "${type}" (expected ${SANCTION_TYPES.join(', ')})`);
+        }
+
+        const minutes = options.minutes ?? DEFAULT_MINUTES[type];
+        return {
+            sanction: type,
+            sanctionExpiresAt: minutes ? new Date(Date.now() + minutes * 60000).toISOString() : '',
+            sanctionReason: options.reason || '',
+            sanctionedBy: options.moderatorId || ''
+        };
+    }
+
+    function clearedFields() {
+        return { sanction: '', sanctionExpiresAt: '', sanctionReason: '', sanctionedBy: '' };
+    }
+
+    /**
+     * setUUIDMetadata replaces `custom` wholesale, so read the current
+     * metadata first and merge. Existing sanction fields are kept unless
+     * `data.custom` sets them, so a user updating their own profile cannot
+     * wipe a sanction by accident. Resolves with the merged metadata.
+     */
+    function mergeUUIDMetadata(pubnub, uuid, data) {
+        return new Promise((resolve, reject) => {
+            pubnub.objects.getUUIDMetadata({ uuid: uuid, include: { customFields: true } }, (status, response) => {
+                // 404 just means the user has no metadata yet
+                if (status.error && status.statusCode !== 404) {
+                    reject(status);
+                    return;
+                }
+
+                const current = (response && response.data) || {};
+                const merged = {
+                    name: data.name ?? current.name,
+                    email: data.email ?? current.email,
+                    profileUrl: data.profileUrl ?? current.profileUrl,
+                    custom: Object.assign({}, current.custom, data.custom)
+                };
+                Object.keys(merged).forEach(key => merged[key] == null && delete merged[key]);
+
+                pubnub.objects.setUUIDMetadata({ uuid: uuid, data: merged }, (setStatus, setResponse) => {
+                    if (setStatus.error) {
+                        reject(setStatus);
+                    } else {
+                        resolve(setResponse.data);
+                    }
+                });
+            });
+        });
+    }
+
+    // Record a sanction (or clear one, with type null) and announce it.
+    function setSanction(pubnub, uuid, type, options = {}) {
+        const fields = type ? sanctionFields(type, options) : clearedFields();
+
+        return mergeUUIDMetadata(pubnub, uuid, { custom: fields }).then(data => {
+            return new Promise(resolve => {
+                pubnub.publish({
+                    channel: SANCTIONS_CHANNEL,
+                    message: Object.assign({ type: 'sanction', userId: uuid }, fields)
+                }, () => resolve(data));
+            });
+        });
+    }
+
+    // Tracks the active sanction of every user a client knows about.
+    class SanctionRegistry {
+        constructor() {
+            this.custom = new Map(); // userId -> sanction fields
+        }
+
+        update(userId, custom) {
+            if (!userId || !custom) return;
+            const fields = {};
+            SANCTION_FIELDS.forEach(key => {
+                if (custom[key] !== undefined) fields[key] = custom[key];
+            });
+            this.custom.set(userId, Object.assign({}, this.custom.get(userId), fields));
+        }
+
+        get(userId) {
+            return activeSanction(this.custom.get(userId));
+        }
+
+        // Any active sanction hides the user's messages
+        isSilenced(userId) {
+            return this.get(userId) !== null;
+        }
+
+        // Load sanctions for every user with App Context metadata, following
+        // the pages to the end
+        load(pubnub) {
+            const loadPage = next => new Promise(resolve => {
+                pubnub.objects.getAllUUIDMetadata({
+                    include: { customFields: true },
+                    limit: 100,
+                    page: next ? { next: next } : undefined
+                }, (status, response) => {
+                    if (status.error) {
+                        resolve(null);
+                        return;
+                    }
+                    response.data.forEach(user => this.update(user.id, user.custom));
+                    resolve(response.data.length > 0 ? response.next : null);
+                });
+            });
+            const loadFrom = next => loadPage(next).then(following => (following ? loadFrom(following) : this));
+            return loadFrom(null);
+        }
+
+        // Re-read one user's sanction from App Context, replacing what is
+        // known. Resolves with the active sanction, or null.
+        refresh(pubnub, userId) {
+            return new Promise(resolve => {
+                pubnub.objects.getUUIDMetadata({ uuid: userId, include: { customFields: true } }, (status, response) => {
+                    // 404 just means the user has no metadata, so no sanction
+                    if (!status.error || status.statusCode === 404) {
+                        this.custom.delete(userId);
+                        this.update(userId, (response && response.data && response.data.custom) || {});
+                    }
+                    resolve(this.get(userId));
+                });
+            });
+        }
+    }
+
+    return {
+        SANCTIONS_CHANNEL,
+        SANCTION_TYPES,
+        DEFAULT_MINUTES,
+        SanctionRegistry,
+        activeSanction,
+        describeSanction,
+        mergeUUIDMetadata,
+        setSanction
+    };
+}));
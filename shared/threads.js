@@ -0,0 +1,115 @@
+/**
+ * Threaded Replies
+ *
+ * A thread is its own channel, named from the parent message:
+ * '<channel>-thread-<parentTimetoken>'. Replies are ordinary chat messages
+ * published there, so they can be any length and have their own history.
+ *
+ * Each reply also adds a `thread` message action (value: the reply's
+ * timetoken) to the parent, so everyone viewing the parent's channel gets
+ * the reply count and latest participants live and with history, without
+ * subscribing to every thread.
+ *
+ * Works as a plain <script> (exposes `window.PubNubThreads`) and as a
+ * CommonJS module (`require('./shared/threads')`).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PubNubThreads = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const THREAD = 'thread';
+    const THREAD_INFIX = '-thread-';
+    const MAX_REPLIES = 100; // fetchMessages limit for a single channel
+
+    const threadChannel = (channel, parentTimetoken) => `${channel}${THREAD_INFIX}${parentTimetoken}`;
+
+    // 'room-x-thread-17...' -> { channel: 'room-x', parentTimetoken: '17...' }, or null
+    function parseThreadChannel(channel) {
+        const match = /^(.+)-thread-(\d+)$/.exec(channel);
+        return match ? { channel: match[1], parentTimetoken: match[2] } : null;
+    }
+
+    const isThreadChannel = channel => parseThreadChannel(channel) !== null;
+
+    /**
+     * Publish `message` to the parent's thread, then count it on the parent.
+     * Resolves with the reply's timetoken once both are done; the reply stands
+     * even if the count could not be updated.
+     */
+    function sendReply(pubnub, channel, parentTimetoken, message) {
+        return new Promise((resolve, reject) => {
+            pubnub.publish({
+                channel: threadChannel(channel, parentTimetoken),
+                message: message
+            }, (status, response) => {
+                if (status.error) {
+                    reject(status);
+                    return;
+                }
+
+                const timetoken = String(response.timetoken);
+                pubnub.addMessageAction({
+                    channel: channel,
+                    messageTimetoken: String(parentTimetoken),
+                    action: { type: THREAD, value: timetoken }
+                }, () => resolve(timetoken));
+            });
+        });
+    }
+
+    // The thread's replies, oldest first: [{ message, publisher, timetoken }]
+    function fetchReplies(pubnub, channel, parentTimetoken) {
+        const thread = threadChannel(channel, parentTimetoken);
+        return new Promise((resolve, reject) => {
+            pubnub.fetchMessages({
+                channels: [thread],
+                count: MAX_REPLIES,
+                stringifiedTimeToken: true
+            }, (status, response) => {
+                if (status.error) {
+                    reject(status);
+                    return;
+                }
+                resolve(((response && response.channels[thread]) || []).map(entry => ({
+                    message: entry.message,
+                    publisher: entry.uuid,
+                    timetoken: String(entry.timetoken)
+                })));
+            });
+        });
+    }
+
+    /**
+     * Reply count and the latest distinct repliers (newest first) from the
+     * parent's actions: { count, participants }, or null with no replies.
+     */
+    function threadSummary(actions, maxParticipants = 3) {
+        const replies = (actions || [])
+            .filter(action => action.type === THREAD)
+            .sort((a, b) => (BigInt(a.actionTimetoken) < BigInt(b.actionTimetoken) ? 1 : -1));
+        if (replies.length === 0) return null;
+
+        const participants = [];
+        replies.forEach(action => {
+            if (participants.length < maxParticipants && !participants.includes(action.uuid)) {
+                participants.push(action.uuid);
+            }
+        });
+        return { count: replies.length, participants: participants };
+    }
+
+    return {
+        THREAD,
+        threadChannel,
+        parseThreadChannel,
+        isThreadChannel,
+        sendReply,
+        fetchReplies,
+        threadSummary
+    };
+}));
@@ -0,0 +1,140 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { sendFile, listFiles, fileUrl, fileMessage } = require('../shared/files');
+const { useMockServer } = require('./helpers/mock-server');
+
+/**
+ * File sharing against the mock server: shared/files.js through the SDK, and
+ * the CLI's /upload and /files commands.
+ */
+
+// A 1x1 PNG
+const PNG = Buffer.from('89504e470d0a1a0a0000000d4948445200000001000000010806000000' +
+    '1f15c4890000000d49444154789c6360000002000154a24f5d0000000049454e44ae426082', 'hex');
+
+const server = useMockServer();
+const client = userId => server.client(userId);
+let tmpDir;
+
+// Resolves once the CLI has printed `pattern`; rejects if it exits first
+function waitForOutput(cli, pattern) {
+    return new Promise((resolve, reject) => {
+        const check = () => {
+            if (pattern.test(cli.output)) {
+                cli.stdout.off('data', check);
+                cli.off('exit', exited);
+                resolve(cli.output);
+            }
+        };
+        const exited = code => reject(new Error(`CLI exited (${code}) before printing ${pattern}:\n${cli.output}`));
+        cli.stdout.on('data', check);
+        cli.once('exit', exited);
+        check();
+    });
+}
+
+before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pubnub-files-test-'));
+});
+
+after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('sendFile stores the file, publishes a file event and keeps it in history', async () => {
+    const alice = client('alice');
+    const bob = client('bob');
+
+    let onFile;
+    const received = new Promise(resolve => { onFile = resolve; });
+    await new Promise(resolve => {
+        bob.addListener({
+            status: event => event.category === 'PNConnectedCategory' && resolve(),
+            file: event => onFile(event)
+        });
+        bob.subscribe({ channels: ['files-events'] });
+    });
+
+    const message = { text: 'a dot', userId: 'alice', file: { type: 'image/png', size: PNG.length } };
+    const sent = await sendFile(alice, 'files-events', { data: PNG, name: 'dot.png', mimeType: 'image/png' }, message);
+    assert.equal(sent.name, 'dot.png');
+
+    const event = await received;
+    assert.equal(event.publisher, 'alice');
+    assert.deepEqual(fileMessage(event.message, event.file), Object.assign({}, message, {
+        file: { type: 'image/png', size: PNG.length, id: sent.id, name: 'dot.png' }
+    }));
+
+    const history = await alice.fetchMessages({ channels: ['files-events'] });
+    const [entry] = history.channels['files-events'];
+    assert.equal(entry.messageType, 4);
+    assert.equal(entry.timetoken, sent.timetoken);
+    assert.deepEqual(entry.message.file, { id: sent.id, name: 'dot.png' });
+
+    const response = await fetch(fileUrl(alice, 'files-events', sent));
+    assert.equal(response.headers.get('content-type'), 'image/png');
+    assert.ok(Buffer.from(await response.arrayBuffer()).equals(PNG));
+});
+
+test('listFiles returns the channel\'s files, newest first', async () => {
+    const alice = client('alice');
+    const first = await sendFile(alice, 'files-list', { data: Buffer.from('one'), name: 'one.txt', mimeType: 'text/plain' }, { text: '' });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const second = await sendFile(alice, 'files-list', { data: Buffer.from('second'), name: 'two.txt', mimeType: 'text/plain' }, { text: '' });
+
+    const files = await listFiles(alice, 'files-list');
+    assert.deepEqual(files.map(file => [file.id, file.name, file.size]), [
+        [second.id, 'two.txt', 6],
+        [first.id, 'one.txt', 3]
+    ]);
+    assert.deepEqual(await listFiles(alice, 'files-empty'), []);
+
+    await alice.deleteFile({ channel: 'files-list', id: first.id, name: first.name });
+    assert.deepEqual((await listFiles(alice, 'files-list')).map(file => file.name), ['two.txt']);
+});
+
+test('the CLI uploads with /upload, refuses other types and lists with /files', async () => {
+    const imagePath = path.join(tmpDir, 'cli-dot.png');
+    const programPath = path.join(tmpDir, 'tool.exe');
+    fs.writeFileSync(imagePath, PNG);
+    fs.writeFileSync(programPath, 'MZ');
+
+    const cli = spawn(process.execPath, [path.join(__dirname, '..', 'app.js')], {
+        cwd: tmpDir,
+        env: Object.assign({}, process.env, {
+            PUBNUB_ORIGIN: server.origin,
+            PUBNUB_USER_ID: 'cli-user',
+            MODERATION_STATE: path.join(tmpDir, 'moderation-state.json'),
+            OUTBOX_STATE: path.join(tmpDir, 'outbox.json')
+        }),
+        stdio: ['pipe', 'pipe', 'pipe']
+    });
+    cli.output = '';
+    cli.stdout.on('data', chunk => { cli.output += chunk; });
+
+    try {
+        await waitForOutput(cli, /Connected to PubNub/);
+
+        cli.stdin.write(`/upload ${programPath}\n`);
+        await waitForOutput(cli, /tool\.exe: only images/);
+
+        cli.stdin.write(`/upload ${imagePath}\n`);
+        await waitForOutput(cli, /File shared! Timetoken: \d+/);
+        await waitForOutput(cli, /cli-user: 📎 cli-dot\.png/);
+
+        cli.stdin.write('/files\n');
+        const output = await waitForOutput(cli, /--- End Files ---/);
+        assert.match(output, /📎 cli-dot\.png \(1 KB,/);
+    } finally {
+        cli.kill();
+    }
+
+    const files = await listFiles(client('alice'), 'pubnub-trial-chat');
+    assert.deepEqual(files.map(file => file.name), ['cli-dot.png']);
+    const response = await fetch(fileUrl(client('alice'), 'pubnub-trial-chat', files[0]));
+    assert.ok(Buffer.from(await response.arrayBuffer()).equals(PNG));
+});
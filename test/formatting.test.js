@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parse, plainText } = require('../shared/formatting');
+
+// Every token in the tree, children included
+const flatten = tokens => tokens.flatMap(token => [token, ...flatten(token.children || [])]);
+const ofType = (tokens, type) => flatten(tokens).filter(token => token.type === type);
+
+test('HTML stays text', () => {
+    const text = '<img src=x onerror="alert(1)"> <script>alert(2)</script>';
+    const tokens = parse(text);
+
+    assert.deepEqual(tokens, [{ type: 'text', text: text }]);
+});
+
+test('javascript: and other non-http schemes never become links', () => {
+    const texts = [
+        'javascript:alert(document.cookie)',
+        '[click](javascript:alert(1))',
+        'JaVaScRiPt:alert(1)',
+        'data:text/html,<script>alert(1)</script>',
+        'vbscript:msgbox(1)'
+    ];
+
+    texts.forEach(text => {
+        const tokens = parse(text);
+        assert.deepEqual(ofType(tokens, 'link'), [], text);
+        assert.equal(plainText(tokens), text);
+    });
+});
+
+test('a quote ends a URL, so attributes cannot be smuggled into the link', () => {
+    const tokens = parse('https://example.com/"onmouseover="alert(1)');
+
+    assert.deepEqual(tokens, [
+        { type: 'link', href: 'https://example.com/', text: 'https://example.com/' },
+        { type: 'text', text: '"onmouseover="alert(1)' }
+    ]);
+});
+
+test('links leave trailing punctuation out', () => {
+    const [link] = ofType(parse('see https://pubnub.com/docs.'), 'link');
+
+    assert.deepEqual(link, { type: 'link', href: 'https://pubnub.com/docs', text: 'https://pubnub.com/docs' });
+});
+
+test('text inside code spans and blocks is not formatted', () => {
+    assert.deepEqual(parse('run `**not bold** https://pubnub.com <b>`'), [
+        { type: 'text', text: 'run ' },
+        { type: 'code', text: '**not bold** https://pubnub.com <b>' }
+    ]);
+
+    assert.deepEqual(parse('```js\nconst a = *b* + _c_;\n```'), [
+        { type: 'codeblock', text: 'const a = *b* + _c_;', language: 'js' }
+    ]);
+});
+
+test('bold and italic nest and leave plain text intact', () => {
+    const tokens = parse('**bold _and italic_** done');
+
+    assert.deepEqual(tokens, [
+        {
+            type: 'bold',
+            children: [
+                { type: 'text', text: 'bold ' },
+                { type: 'italic', children: [{ type: 'text', text: 'and italic' }] }
+            ]
+        },
+        { type: 'text', text: ' done' }
+    ]);
+    assert.equal(plainText(tokens), 'bold and italic done');
+});
+
+test('snake_case and arithmetic are not italic', () => {
+    assert.deepEqual(ofType(parse('user_id and 2*3*4'), 'italic'), []);
+});
@@ -0,0 +1,48 @@
+const { before, after } = require('node:test');
+const PubNub = require('pubnub');
+const { MockPubNub } = require('../../server/mock-pubnub');
+const { originConfig } = require('../../shared/origin');
+
+/**
+ * The local mock server for a test file: call useMockServer() at the top of
+ * the file and it starts on an ephemeral port before the file's tests and
+ * stops after them, along with every client made with `client(userId)`.
+ * `origin` is set once the server is listening.
+ */
+
+function useMockServer() {
+    const clients = [];
+    const server = {
+        mock: null,
+        origin: null,
+
+        client(userId) {
+            const pubnub = new PubNub({
+                publishKey: 'demo',
+                subscribeKey: 'demo',
+                userId: userId,
+                ...originConfig(server.origin)
+            });
+            clients.push(pubnub);
+            return pubnub;
+        }
+    };
+
+    before(async () => {
+        server.mock = new MockPubNub({ logger: { log() {}, error() {} } });
+        const port = await server.mock.listen(0);
+        server.origin = `http://localhost:${port}`;
+    });
+
+    after(async () => {
+        clients.forEach(pubnub => {
+            pubnub.unsubscribeAll();
+            pubnub.stop();
+        });
+        await server.mock.close();
+    });
+
+    return server;
+}
+
+module.exports = { useMockServer };
@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { mentionSegments, mentionsUser } = require('../shared/mentions');
+
+/**
+ * Rendering and notifying @mentions from a received message's `mentions`,
+ * which any client can publish in any shape.
+ */
+
+test('mentions are split out of the text by user ID', () => {
+    assert.deepEqual(mentionSegments('hi @Bob!', [{ userId: 'bob', name: 'Bob' }]), [
+        { text: 'hi ' },
+        { text: '@Bob', userId: 'bob' },
+        { text: '!' }
+    ]);
+    assert.equal(mentionsUser({ text: 'hi @Bob', mentions: [{ userId: 'bob', name: 'Bob' }] }, 'bob'), true);
+});
+
+test('mentions that are not a list leave the text as it is', () => {
+    const values = [undefined, null, 'Bob', 42, { name: 'Bob', userId: 'bob' }, { forEach: 'not a function' }, [null, 7]];
+
+    values.forEach(mentions => {
+        assert.deepEqual(mentionSegments('hi @Bob', mentions), [{ text: 'hi @Bob' }], JSON.stringify(mentions));
+        assert.equal(mentionsUser({ text: 'hi @Bob', mentions: mentions }, 'bob'), false);
+    });
+});
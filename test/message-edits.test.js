@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { currentVersion } = require('../shared/message-edits');
+
+/**
+ * Which edit and delete actions apply to a message: only its author's, taken
+ * from the publisher PubNub reports rather than the message's own userId.
+ */
+
+const edit = (uuid, value, actionTimetoken) => ({ type: 'edited', value, uuid, actionTimetoken });
+const remove = (uuid, actionTimetoken) => ({ type: 'deleted', value: 'deleted', uuid, actionTimetoken });
+
+test('the publisher\'s edits apply, newest last', () => {
+    const version = currentVersion({ text: 'frist', userId: 'alice' }, [
+        edit('alice', 'first!', '17000000000000002'),
+        edit('alice', 'first', '17000000000000001')
+    ], 'alice');
+
+    assert.equal(version.text, 'first!');
+    assert.deepEqual(version.versions.map(v => v.text), ['frist', 'first', 'first!']);
+});
+
+test('a userId in the payload does not make someone the author', () => {
+    // mallory published it claiming to be alice, then alice "edited" it
+    const version = currentVersion({ text: 'spoofed', userId: 'alice' }, [
+        edit('alice', 'edited by alice', '17000000000000001'),
+        remove('alice', '17000000000000002')
+    ], 'mallory');
+
+    assert.deepEqual(version, { text: 'spoofed', edited: false, deleted: false, versions: [{ text: 'spoofed', timetoken: null }] });
+    assert.equal(currentVersion({ text: 'no publisher', userId: 'alice' }, [remove('alice', '1')]).deleted, false);
+});
+
+test('messages the gateway republished can be deleted by their sender but not edited', () => {
+    const message = { text: 'what a ***', userId: 'alice', moderated: true };
+    const actions = [edit('alice', 'what a badword', '17000000000000001'), edit('moderation-gateway', 'x', '17000000000000002')];
+
+    assert.equal(currentVersion(message, actions, 'moderation-gateway').text, 'what a ***');
+    assert.equal(currentVersion(message, actions.concat(remove('alice', '17000000000000003')), 'moderation-gateway').deleted, true);
+    assert.equal(currentVersion(message, [remove('bob', '17000000000000003')], 'moderation-gateway').deleted, false);
+});
@@ -0,0 +1,142 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { fetchAll } = require('../shared/history');
+const { useMockServer } = require('./helpers/mock-server');
+
+/**
+ * Round trips through the PubNub SDK against the local mock server, started
+ * on an ephemeral port for the run.
+ */
+
+const server = useMockServer();
+const client = userId => server.client(userId);
+
+// Subscribes and resolves once the subscribe loop is connected
+function subscribe(pubnub, channels, listener) {
+    return new Promise(resolve => {
+        pubnub.addListener(Object.assign({
+            status: event => {
+                if (event.category === 'PNConnectedCategory') resolve();
+            }
+        }, listener));
+        pubnub.subscribe({ channels: channels });
+    });
+}
+
+// Resolves with the first event the `register` callback hands over
+function nextEvent(register) {
+    return new Promise(resolve => register(resolve));
+}
+
+test('publish reaches a subscriber with the publisher ID', async () => {
+    const alice = client('alice');
+    const bob = client('bob');
+
+    let onMessage;
+    const received = nextEvent(resolve => { onMessage = resolve; });
+    await subscribe(bob, ['rt-pubsub'], { message: event => onMessage(event) });
+
+    const response = await alice.publish({ channel: 'rt-pubsub', message: { text: 'hello' } });
+    const event = await received;
+
+    assert.equal(event.channel, 'rt-pubsub');
+    assert.equal(event.publisher, 'alice');
+    assert.deepEqual(event.message, { text: 'hello' });
+    assert.equal(event.timetoken, response.timetoken);
+});
+
+test('fetchMessages returns history in order and messageCounts counts it', async () => {
+    const alice = client('alice');
+    const first = await alice.publish({ channel: 'rt-history', message: { text: 'one' } });
+    await alice.publish({ channel: 'rt-history', message: { text: 'two' } });
+    await alice.publish({ channel: 'rt-history', message: { text: 'three' } });
+
+    const history = await alice.fetchMessages({ channels: ['rt-history'], count: 10 });
+    const messages = history.channels['rt-history'];
+    assert.deepEqual(messages.map(entry => entry.message.text), ['one', 'two', 'three']);
+    assert.equal(messages[0].uuid, 'alice');
+
+    const counts = await alice.messageCounts({ channels: ['rt-history'], channelTimetokens: [first.timetoken] });
+    assert.equal(counts.channels['rt-history'], 2);
+});
+
+test('fetchAll pages back through a channel\'s whole history', async () => {
+    const alice = client('alice');
+    for (let i = 0; i < 60; i++) {
+        await alice.publish({ channel: 'rt-review', message: { n: i } });
+    }
+
+    const entries = await fetchAll(alice, 'rt-review');
+    assert.deepEqual(entries.map(entry => entry.message.n), Array.from({ length: 60 }, (_, i) => i));
+    assert.equal((await fetchAll(alice, 'rt-review', 2)).length, 50);
+});
+
+test('message actions are stored, delivered and returned with history', async () => {
+    const alice = client('alice');
+    const bob = client('bob');
+
+    let onAction;
+    const delivered = nextEvent(resolve => { onAction = resolve; });
+    await subscribe(bob, ['rt-actions'], { messageAction: event => onAction(event) });
+
+    const { timetoken } = await alice.publish({ channel: 'rt-actions', message: { text: 'react to me' } });
+    const added = await bob.addMessageAction({
+        channel: 'rt-actions',
+        messageTimetoken: timetoken,
+        action: { type: 'reaction', value: '👍' }
+    });
+    assert.equal(added.data.uuid, 'bob');
+
+    const event = await delivered;
+    assert.equal(event.event, 'added');
+    assert.equal(event.data.messageTimetoken, timetoken);
+
+    const actions = await alice.getMessageActions({ channel: 'rt-actions' });
+    assert.deepEqual(actions.data.map(action => action.value), ['👍']);
+
+    const history = await alice.fetchMessages({ channels: ['rt-actions'], includeMessageActions: true });
+    const [message] = history.channels['rt-actions'];
+    assert.equal(message.actions.reaction['👍'][0].uuid, 'bob');
+
+    await bob.removeMessageAction({ channel: 'rt-actions', messageTimetoken: timetoken, actionTimetoken: added.data.actionTimetoken });
+    const remaining = await alice.getMessageActions({ channel: 'rt-actions' });
+    assert.equal(remaining.data.length, 0);
+});
+
+test('App Context metadata and memberships round trip', async () => {
+    const alice = client('alice');
+
+    await alice.objects.setUUIDMetadata({ uuid: 'alice', data: { name: 'Alice', custom: { role: 'moderator' } } });
+    const user = await alice.objects.getUUIDMetadata({ uuid: 'alice', include: { customFields: true } });
+    assert.equal(user.data.name, 'Alice');
+    assert.deepEqual(user.data.custom, { role: 'moderator' });
+
+    await alice.objects.setChannelMetadata({ channel: 'rt-room', data: { name: 'Round Trip', description: 'test room' } });
+    const channel = await alice.objects.getChannelMetadata({ channel: 'rt-room' });
+    assert.equal(channel.data.name, 'Round Trip');
+
+    await alice.objects.setMemberships({ uuid: 'alice', channels: ['rt-room'] });
+    const memberships = await alice.objects.getMemberships({ uuid: 'alice', include: { channelFields: true } });
+    assert.deepEqual(memberships.data.map(membership => membership.channel.name), ['Round Trip']);
+
+    const members = await alice.objects.getChannelMembers({ channel: 'rt-room', include: { UUIDFields: true } });
+    assert.deepEqual(members.data.map(member => member.uuid.name), ['Alice']);
+
+    await assert.rejects(alice.objects.getUUIDMetadata({ uuid: 'nobody' }), error => error.status.statusCode === 404);
+});
+
+test('a body that does not decompress gets a 400 and the server keeps running', async () => {
+    for (const encoding of ['gzip', 'deflate']) {
+        const response = await fetch(`${server.origin}/publish/demo/demo/0/rt-bad-body/0`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Content-Encoding': encoding },
+            body: 'not compressed'
+        });
+        assert.equal(response.status, 400, encoding);
+        assert.match((await response.json()).message, new RegExp(`Invalid ${encoding} body`));
+    }
+
+    const alice = client('alice');
+    const { timetoken } = await alice.publish({ channel: 'rt-bad-body', message: { text: 'still up' } });
+    assert.ok(timetoken);
+});
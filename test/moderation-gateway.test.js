@@ -0,0 +1,188 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ModerationGateway, inboundChannel, reviewChannel } = require('../server/moderation-gateway');
+const { MockTransport } = require('../server/mock-transport');
+
+/**
+ * The moderation gateway against the in-memory transport: one verdict of
+ * each kind, per-sender rate limits and rooms announced at runtime.
+ */
+
+const CHANNEL = 'gateway-test';
+
+// Every action the gateway handles, each from a rule that is easy to trigger
+const POLICY = {
+    version: 1,
+    rules: [
+        { rule: 'duplicate', action: 'block', exactWindowMs: 5000, similarWindowMs: 10000, similarityThreshold: 0.8 },
+        { rule: 'profanity', action: 'mask', words: ['badword'], allowlist: [] },
+        { rule: 'rateLimit', action: 'block', maxMessagesPerMinute: 3 },
+        { rule: 'links', action: 'shadow-drop', maxLinks: 2, allowDomains: [], denyDomains: ['spam.example'] },
+        { rule: 'mentions', action: 'flag-for-review', maxMentions: 1 },
+        { rule: 'caps', action: 'normalize', minLength: 5, ratio: 0.6 }
+    ]
+};
+
+function setup() {
+    const transport = new MockTransport();
+    const gateway = new ModerationGateway({
+        transport,
+        policy: POLICY,
+        channels: [CHANNEL],
+        logger: { log() {}, error() {} }
+    });
+    gateway.start();
+
+    const send = (publisher, message) => transport.inject(inboundChannel(CHANNEL), message, publisher);
+    return { transport, gateway, send };
+}
+
+test('allowed messages are republished with the publisher as userId', async () => {
+    const { transport, gateway, send } = setup();
+    const mentions = [{ userId: 'bob', name: 'Bob' }];
+
+    await send('alice', { text: 'hello @bob', userId: 'mallory', mentions });
+
+    assert.deepEqual(transport.messagesOn(CHANNEL), [{ text: 'hello @bob', userId: 'alice', mentions, moderated: false }]);
+    assert.equal(gateway.stats.allowed, 1);
+});
+
+test('the sender cannot set moderated or moderation on the republished message', async () => {
+    const { transport, send } = setup();
+    const claimed = { moderated: true, moderation: { rules: ['caps'], reasons: ['Excessive caps normalized'] } };
+
+    await send('alice', Object.assign({ text: 'nothing changed here' }, claimed));
+    await send('alice', Object.assign({ text: 'this has a badword' }, claimed, { moderation: { rules: ['invented'], reasons: ['made up'] } }));
+
+    const [untouched, masked] = transport.messagesOn(CHANNEL);
+    assert.equal(untouched.moderated, false);
+    assert.equal('moderation' in untouched, false);
+    assert.equal(masked.moderated, true);
+    assert.deepEqual(masked.moderation, { rules: ['profanity'], reasons: ['Profanity detected'] });
+});
+
+test('only known client fields are republished, and only when well-formed', async () => {
+    const { transport, send } = setup();
+
+    await send('alice', {
+        text: 'hi @bob',
+        username: 'Alice',
+        timestamp: '2026-01-01T00:00:00.000Z',
+        clientMessageId: 'abc-123',
+        mentions: [{ userId: 'bob', name: 'Bob', admin: true }, { userId: 7, name: 'Seven' }],
+        isSystem: true,
+        file: { id: 'f', name: 'x.exe' }
+    });
+    await send('alice', { text: 'second', username: 'A'.repeat(500), timestamp: 'yesterday', mentions: 'everyone' });
+
+    assert.deepEqual(transport.messagesOn(CHANNEL), [
+        {
+            text: 'hi @bob',
+            username: 'Alice',
+            userId: 'alice',
+            timestamp: '2026-01-01T00:00:00.000Z',
+            clientMessageId: 'abc-123',
+            mentions: [{ userId: 'bob', name: 'Bob' }],
+            moderated: false
+        },
+        { text: 'second', userId: 'alice', moderated: false }
+    ]);
+});
+
+test('mask and normalize rewrite the text and say which rules did', async () => {
+    const { transport, gateway, send } = setup();
+
+    await send('alice', { text: 'what a badword' });
+    await send('bob', { text: 'THIS IS VERY IMPORTANT NEWS' });
+
+    assert.deepEqual(transport.messagesOn(CHANNEL), [
+        {
+            text: 'what a ***',
+            userId: 'alice',
+            moderated: true,
+            moderation: { rules: ['profanity'], reasons: ['Profanity detected'] }
+        },
+        {
+            text: 'This is very important news',
+            userId: 'bob',
+            moderated: true,
+            moderation: { rules: ['caps'], reasons: ['Excessive caps normalized'] }
+        }
+    ]);
+    assert.equal(gateway.stats.filtered, 2);
+});
+
+test('blocked messages are not republished', async () => {
+    const { transport, gateway, send } = setup();
+
+    await send('alice', { text: 'Hello everyone!' });
+    await send('alice', { text: 'Hello everyone!' });
+
+    assert.equal(transport.messagesOn(CHANNEL).length, 1);
+    assert.equal(gateway.stats.blocked, 1);
+});
+
+test('flag-for-review sends the original text to the review channel only', async () => {
+    const { transport, gateway, send } = setup();
+
+    await send('alice', { text: '@bob @carol @dave look at this', username: 'Alice' });
+
+    assert.deepEqual(transport.messagesOn(CHANNEL), []);
+    const [review] = transport.messagesOn(reviewChannel(CHANNEL));
+    assert.equal(review.type, 'review');
+    assert.equal(review.channel, CHANNEL);
+    assert.equal(review.publisher, 'alice');
+    assert.equal(review.reason, 'Too many mentions (3, max 1)');
+    assert.deepEqual(review.message, { text: '@bob @carol @dave look at this', username: 'Alice', userId: 'alice', moderated: false });
+    assert.deepEqual(review.triggered, [{ rule: 'mentions', action: 'flag-for-review', reason: 'Too many mentions (3, max 1)' }]);
+    assert.equal(gateway.stats.flagged, 1);
+});
+
+test('shadow-dropped messages go nowhere', async () => {
+    const { transport, gateway, send } = setup();
+
+    await send('alice', { text: 'deals at https://spam.example/win' });
+
+    assert.deepEqual(transport.published.map(entry => entry.channel), [inboundChannel(CHANNEL)]);
+    assert.equal(gateway.stats.shadowDropped, 1);
+});
+
+test('the rate limit applies per publisher', async () => {
+    const { transport, gateway, send } = setup();
+    const words = ['apples', 'bicycle', 'cloudy', 'dolphin'];
+
+    for (const word of words) {
+        await send('alice', { text: word });
+    }
+    await send('bob', { text: 'harbor' });
+
+    const delivered = transport.messagesOn(CHANNEL).map(message => `${message.userId}: ${message.text}`);
+    assert.deepEqual(delivered, ['alice: apples', 'alice: bicycle', 'alice: cloudy', 'bob: harbor']);
+    assert.equal(gateway.stats.blocked, 1);
+});
+
+test('malformed messages are counted and dropped', async () => {
+    const { transport, gateway, send } = setup();
+
+    await send('mallory', { text: 42 });
+    await send('mallory', 'just a string');
+
+    assert.deepEqual(transport.messagesOn(CHANNEL), []);
+    assert.equal(gateway.stats.malformed, 2);
+});
+
+test('rooms announced on chat-rooms are moderated from then on', async () => {
+    const { transport, gateway } = setup();
+
+    await transport.inject('chat-rooms', { type: 'room', id: 'room-design', name: 'Design' }, 'alice');
+    await transport.inject('chat-rooms', { type: 'room', id: 'room-design', name: 'Design' }, 'bob');
+    await transport.inject('chat-rooms', { type: 'room', id: 'dm.alice.bob', name: 'Not a room' }, 'mallory');
+    await transport.inject(inboundChannel('room-design'), { text: 'first badword' }, 'alice');
+
+    assert.deepEqual(transport.messagesOn('room-design').map(message => message.text), ['first ***']);
+    assert.equal(gateway.inbound.has(inboundChannel('dm.alice.bob')), false);
+
+    gateway.stop();
+    await transport.inject(inboundChannel('room-design'), { text: 'after stop' }, 'alice');
+    assert.equal(transport.messagesOn('room-design').length, 1);
+});
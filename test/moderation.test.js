@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { readModerationSummary } = require('../shared/moderation');
+
+/**
+ * The `moderation` summary clients read off received messages before they
+ * draw a 🛡️ badge. Any client can publish one, so its shape is checked.
+ */
+
+test('a well-formed summary is returned as is', () => {
+    const summary = { rules: ['profanity', 'caps'], reasons: ['Profanity detected', 'Excessive caps normalized'] };
+
+    assert.equal(readModerationSummary({ text: 'hi', moderation: summary }), summary);
+});
+
+test('a message without a summary gets an empty one', () => {
+    assert.deepEqual(readModerationSummary({ text: 'hi', moderated: true }), { rules: [], reasons: [] });
+});
+
+test('malformed summaries are rejected', () => {
+    const summaries = [
+        null,
+        'profanity',
+        { rules: 'profanity', reasons: [] },
+        { rules: { join: 'not a function' }, reasons: [] },
+        { rules: ['profanity'] },
+        { rules: [{ toString: 'x' }], reasons: ['Profanity detected'] },
+        { rules: ['profanity'], reasons: [42] }
+    ];
+
+    summaries.forEach(summary => {
+        assert.equal(readModerationSummary({ text: 'hi', moderation: summary }), null, JSON.stringify(summary));
+    });
+});
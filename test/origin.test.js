@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { originConfig, pageOriginConfig } = require('../shared/origin');
+
+/**
+ * Origins from PUBNUB_ORIGIN and from `?origin=` in the web pages, where a
+ * crafted link must not point the client at someone else's server.
+ */
+
+test('origins become the SDK\'s origin and ssl options', () => {
+    assert.deepEqual(originConfig('http://localhost:8090/'), { origin: 'localhost:8090', ssl: false });
+    assert.deepEqual(originConfig('https://ps.pndsn.com'), { origin: 'ps.pndsn.com', ssl: true });
+    assert.deepEqual(originConfig('127.0.0.1:8090'), { origin: '127.0.0.1:8090', ssl: false });
+    assert.deepEqual(originConfig(''), {});
+});
+
+test('pages accept loopback origins', () => {
+    assert.deepEqual(pageOriginConfig('?origin=localhost:8090'), { origin: 'localhost:8090', ssl: false });
+    assert.deepEqual(pageOriginConfig('?origin=http://127.0.0.1:8090'), { origin: '127.0.0.1:8090', ssl: false });
+    assert.deepEqual(pageOriginConfig('?gateway'), {});
+});
+
+test('pages ignore other origins unless the build allows them', t => {
+    t.mock.method(console, 'warn', () => {});
+    const origins = ['evil.example', 'https://evil.example', 'localhost.evil.example', 'localhost@evil.example', 'http://localhost:8090/../evil'];
+
+    origins.forEach(origin => {
+        assert.deepEqual(pageOriginConfig(`?origin=${encodeURIComponent(origin)}`), {}, origin);
+    });
+    assert.equal(console.warn.mock.callCount(), origins.length);
+    assert.deepEqual(pageOriginConfig('?origin=https://evil.example', true), { origin: 'evil.example', ssl: true });
+});
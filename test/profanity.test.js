@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createProfanityMatcher } = require('../shared/profanity');
+const { parsePolicy, createEngineFromPolicy } = require('../shared/moderation');
+const corpus = require('../examples/profanity-corpus.json');
+
+/**
+ * The sample corpus behind `npm run profanity`, one test per case, so a
+ * change to the matcher that misses or over-matches a case fails npm test.
+ */
+
+const matcher = createProfanityMatcher(corpus.words, { allowlist: corpus.allowlist });
+
+corpus.cases.forEach(testCase => {
+    test(`${JSON.stringify(testCase.text)} (${testCase.note})`, () => {
+        assert.equal(matcher.test(testCase.text), testCase.match);
+
+        // Masking changes the text exactly when something matched
+        assert.equal(matcher.mask(testCase.text) !== testCase.text, testCase.match);
+    });
+});
+
+// '!' is both leetspeak for "i" and punctuation, so every offset of these
+// could start a match; each used to walk the rest of the text
+test('10 KB of evasion characters are moderated quickly', () => {
+    const policy = parsePolicy(fs.readFileSync(path.join(__dirname, '..', 'moderation-policy.json'), 'utf8'));
+    const inputs = ['!'.repeat(10240), 's.'.repeat(5120), 's '.repeat(5120), 's!'.repeat(5120)];
+
+    inputs.forEach(text => {
+        const engine = createEngineFromPolicy(policy);
+        const started = Date.now();
+        engine.moderate(text);
+        const elapsed = Date.now() - started;
+        assert.ok(elapsed < 1000, `${JSON.stringify(text.slice(0, 4))}... took ${elapsed} ms`);
+    });
+});
+
+test('words are still found after a long run of evasion characters', () => {
+    assert.equal(matcher.test(`${'!'.repeat(5000)} spam`), true);
+    assert.equal(matcher.test(`${'s.'.repeat(2000)} b.a.d.w.o.r.d`), true);
+    assert.equal(matcher.test(`${'s '.repeat(2000)}p a m`), true);
+});
@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SanctionRegistry, setSanction } = require('../shared/sanctions');
+const { useMockServer } = require('./helpers/mock-server');
+
+/**
+ * Sanctions are read from App Context against the mock server: every page of
+ * users on load, and one user again when a notice names them.
+ */
+
+const server = useMockServer();
+
+test('load reads sanctions past the first page of users', async () => {
+    const pubnub = server.client('moderator');
+    for (let i = 0; i < 120; i++) {
+        await pubnub.objects.setUUIDMetadata({ uuid: `user-${String(i).padStart(3, '0')}`, data: { name: `User ${i}` } });
+    }
+    await setSanction(pubnub, 'user-115', 'ban', { moderatorId: 'moderator' });
+
+    const sanctions = await new SanctionRegistry().load(pubnub);
+
+    assert.equal(sanctions.get('user-115').type, 'ban');
+    assert.equal(sanctions.isSilenced('user-005'), false);
+});
+
+test('refresh takes the sanction from App Context, not from a notice', async () => {
+    const pubnub = server.client('moderator');
+    const sanctions = new SanctionRegistry();
+    await setSanction(pubnub, 'carol', 'mute', { moderatorId: 'moderator' });
+
+    // What a forged notice would claim
+    sanctions.update('alice', { sanction: 'ban', sanctionExpiresAt: '' });
+    assert.equal(await sanctions.refresh(pubnub, 'alice'), null);
+
+    assert.equal((await sanctions.refresh(pubnub, 'carol')).type, 'mute');
+
+    await setSanction(pubnub, 'carol', null);
+    assert.equal(await sanctions.refresh(pubnub, 'carol'), null);
+});